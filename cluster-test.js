@@ -0,0 +1,289 @@
+// Multi-process check that real-time events and rate limits work across API instances.
+//
+//   npm run test:cluster
+//
+// Starts two copies of server.js with CLUSTER_BACKEND=mongo on CLUSTER_TEST_PORTS
+// (default 5101,5102), signs a seeded teacher and student in, connects their sockets to
+// different instances and checks that:
+//
+//   - a comment posted on one instance reaches a socket on the other (video room)
+//   - a question notifies the teacher's socket on the other instance (user room)
+//   - presence counts viewers on both instances
+//   - login rate limits are counted once for both instances
+//   - logging out everywhere disconnects sockets on the other instance
+//
+// MONGO_URI must point at a replica set (change streams). A dedicated database is best:
+// the seeded users, video, comments and questions are removed afterwards, but the
+// loopback login rate-limit counter is reset at the start and end of the run.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { io: connectSocket } = require('socket.io-client');
+const User = require('./models/User');
+const Video = require('./models/Video');
+const Comment = require('./models/Comment');
+const Question = require('./models/Question');
+const Notification = require('./models/Notification');
+const NotificationPreference = require('./models/NotificationPreference');
+const AuthSession = require('./models/AuthSession');
+const RateLimit = require('./models/RateLimit');
+
+const PORTS = (process.env.CLUSTER_TEST_PORTS || '5101,5102').split(',').map(port => parseInt(port));
+const LOGIN_LIMIT = 8;
+const START_TIMEOUT = 30 * 1000;
+const EVENT_TIMEOUT = 10 * 1000;
+const PASSWORD = 'cluster-test-password';
+const RUN_ID = `${Date.now().toString(36)}${process.pid}`;
+const LOOPBACK_LOGIN_KEYS = { key: { $regex: /^login:ip:(::ffff:)?127\.0\.0\.1$/ } };
+
+const instances = [];
+const sockets = [];
+const seeded = { users: [], videos: [] };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const baseUrl = (instance) => `http://127.0.0.1:${instance.port}`;
+
+const api = (instance, method, url, { token, data } = {}) => axios({
+  method,
+  url: `${baseUrl(instance)}/api${url}`,
+  data,
+  headers: token ? { Authorization: `Bearer ${token}` } : {},
+  validateStatus: () => true,
+  timeout: EVENT_TIMEOUT
+});
+
+const check = (condition, message) => {
+  if (!condition) throw new Error(message);
+  console.log(`  ok  ${message}`);
+};
+
+// Resolves with the first matching event, rejects after EVENT_TIMEOUT
+const waitFor = (socket, event, matches = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    reject(new Error(`Timed out waiting for "${event}"`));
+  }, EVENT_TIMEOUT);
+
+  const listener = (data) => {
+    if (!matches(data)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(data);
+  };
+  socket.on(event, listener);
+});
+
+const startInstance = (port) => {
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      CLUSTER_BACKEND: 'mongo',
+      RATE_LIMIT_STORE: '',
+      RATE_LIMIT_DISABLED: 'false',
+      RATE_LIMIT_LOGIN: `${LOGIN_LIMIT}/60`,
+      JOB_WORKER: 'false',
+      WEB_PUSH_ENABLED: 'false'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const instance = { port, child, output: '' };
+  const collect = (chunk) => { instance.output += chunk; };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  instances.push(instance);
+
+  return instance;
+};
+
+const waitUntilReady = async (instance) => {
+  const deadline = Date.now() + START_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    if (instance.child.exitCode !== null) {
+      throw new Error(`Instance on port ${instance.port} exited during startup`);
+    }
+    try {
+      await axios.get(baseUrl(instance), { timeout: 1000 });
+      return;
+    } catch (error) {
+      await sleep(250);
+    }
+  }
+  throw new Error(`Instance on port ${instance.port} did not start within ${START_TIMEOUT / 1000}s`);
+};
+
+const seed = async () => {
+  const common = { password: PASSWORD, isApproved: true, isEmailVerified: true };
+
+  const teacher = await User.create({
+    ...common,
+    name: 'Cluster Teacher',
+    email: `cluster-${RUN_ID}-teacher@example.com`,
+    role: 'teacher',
+    department: 'Computer Science'
+  });
+  const student = await User.create({
+    ...common,
+    name: 'Cluster Student',
+    email: `cluster-${RUN_ID}-student@example.com`,
+    role: 'student',
+    branch: 'CSE',
+    year: '2nd'
+  });
+  seeded.users.push(teacher._id, student._id);
+
+  const video = await Video.create({
+    title: `Cluster test ${RUN_ID}`,
+    description: 'Seeded by cluster-test.js',
+    videoUrl: 'https://example.com/cluster-test.mp4',
+    subject: 'Testing',
+    topic: 'Clustering',
+    branch: 'CSE',
+    year: '2nd',
+    teacher: teacher._id
+  });
+  seeded.videos.push(video._id);
+
+  return { teacher, student, video };
+};
+
+const cleanUp = async () => {
+  await Promise.all([
+    Comment.deleteMany({ video: { $in: seeded.videos } }),
+    Question.deleteMany({ video: { $in: seeded.videos } }),
+    Notification.deleteMany({ recipient: { $in: seeded.users } }),
+    NotificationPreference.deleteMany({ user: { $in: seeded.users } }),
+    AuthSession.deleteMany({ user: { $in: seeded.users } }),
+    RateLimit.deleteMany(LOOPBACK_LOGIN_KEYS)
+  ]);
+  await Video.deleteMany({ _id: { $in: seeded.videos } });
+  await User.deleteMany({ _id: { $in: seeded.users } });
+};
+
+const signIn = async (instance, email) => {
+  const res = await api(instance, 'post', '/auth/login', { data: { email, password: PASSWORD } });
+  if (res.status !== 200 || !res.data.token) {
+    throw new Error(`Login for ${email} failed with ${res.status}: ${JSON.stringify(res.data)}`);
+  }
+  return res.data.token;
+};
+
+const openSocket = (instance, token) => new Promise((resolve, reject) => {
+  const socket = connectSocket(baseUrl(instance), {
+    auth: { token },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  sockets.push(socket);
+
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', error => reject(new Error(`Socket connection failed: ${error.message}`)));
+});
+
+const joinVideo = (socket, videoId) => new Promise(resolve => {
+  socket.emit('joinVideoRoom', String(videoId), resolve);
+});
+
+const run = async () => {
+  const [a, b] = PORTS.map(startInstance);
+  await Promise.all([a, b].map(waitUntilReady));
+  console.log(`Instances running on ports ${a.port} and ${b.port}`);
+
+  await RateLimit.deleteMany(LOOPBACK_LOGIN_KEYS);
+  const { teacher, student, video } = await seed();
+
+  const teacherToken = await signIn(b, teacher.email);
+  const studentToken = await signIn(a, student.email);
+
+  // Student on instance A, teacher on instance B
+  const studentSocket = await openSocket(a, studentToken);
+  const teacherSocket = await openSocket(b, teacherToken);
+
+  console.log('Presence');
+  const studentJoin = await joinVideo(studentSocket, video._id);
+  check(studentJoin.success, 'student joins the video room on instance A');
+  const teacherJoin = await joinVideo(teacherSocket, video._id);
+  check(teacherJoin.success, 'teacher joins the video room on instance B');
+  check(teacherJoin.presence.watching === 2 && teacherJoin.presence.students === 1,
+    'presence counts viewers on both instances');
+
+  console.log('Video room events');
+  const commentSeen = waitFor(teacherSocket, 'commentReceived', data => String(data.videoId) === String(video._id));
+  const commentRes = await api(a, 'post', '/comments', {
+    token: studentToken,
+    data: { videoId: video._id, content: 'Hello from instance A' }
+  });
+  check(commentRes.status === 201, 'student posts a comment on instance A');
+  const comment = await commentSeen;
+  check(comment.comment.content === 'Hello from instance A', 'teacher socket on instance B receives commentReceived');
+
+  console.log('User room events');
+  const notificationSeen = waitFor(teacherSocket, 'notification:new', data => data.type === 'question_asked');
+  const questionRes = await api(a, 'post', '/questions', {
+    token: studentToken,
+    data: { video: video._id, content: 'Does this reach the other instance?' }
+  });
+  check(questionRes.status === 201, 'student asks a question on instance A');
+  await notificationSeen;
+  check(true, 'teacher socket on instance B receives notification:new');
+
+  console.log('Shared rate limits');
+  const remaining = [];
+  let allowed = 0;
+  for (let attempt = 0; attempt < LOGIN_LIMIT * 2; attempt++) {
+    // Alternate instances; an empty body is rejected after the limiter has counted it
+    const res = await api(attempt % 2 ? b : a, 'post', '/auth/login', { data: {} });
+    if (res.status === 429) break;
+    allowed++;
+    remaining.push(parseInt(res.headers['ratelimit-remaining']));
+  }
+  check(remaining.every((value, index) => index === 0 || value === remaining[index - 1] - 1),
+    `both instances count down one login counter (${remaining.join(', ')})`);
+  check(allowed === LOGIN_LIMIT - 2, `limit of ${LOGIN_LIMIT} logins is enforced across instances`);
+
+  console.log('Session revocation');
+  const disconnected = waitFor(teacherSocket, 'disconnect');
+  const logoutRes = await api(a, 'post', '/auth/logout-all', { token: teacherToken });
+  check(logoutRes.status === 200, 'teacher logs out everywhere on instance A');
+  await disconnected;
+  check(true, 'teacher socket on instance B is disconnected');
+};
+
+const main = async () => {
+  let failed = false;
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/streamvibe');
+
+  try {
+    await run();
+    console.log('\nCluster test passed');
+  } catch (error) {
+    failed = true;
+    console.error(`\nCluster test failed: ${error.message}`);
+    instances.forEach(instance => {
+      console.error(`\n--- output of instance on port ${instance.port} ---\n${instance.output.slice(-4000)}`);
+    });
+  } finally {
+    sockets.forEach(socket => socket.disconnect());
+    instances.forEach(instance => instance.child.kill());
+    await cleanUp().catch(error => console.error('Clean-up failed:', error.message));
+    await mongoose.disconnect();
+  }
+
+  process.exit(failed ? 1 : 0);
+};
+
+main().catch(error => {
+  console.error('Cluster test could not run:', error.message);
+  process.exit(1);
+});
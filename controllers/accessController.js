@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const Notice = require('../models/Notice');
+const Note = require('../models/Note');
+const Question = require('../models/Question');
+const Comment = require('../models/Comment');
+const { policies, explain } = require('../services/accessPolicy');
+
+const MODELS = { Video, Playlist, Notice, Note, Question, Comment };
+
+// @desc    List resource types, their actions and the rules behind them
+// @route   GET /api/access/policies
+// @access  Private/Admin
+exports.getPolicies = (req, res) => {
+  const data = Object.keys(policies).map(type => ({
+    type,
+    actions: Object.keys(policies[type]).map(action => ({
+      action,
+      require: (policies[type][action].require || []).map(({ name, description }) => ({ name, description })),
+      allow: policies[type][action].allow.map(({ name, description }) => ({ name, description }))
+    }))
+  }));
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+};
+
+// @desc    Explain whether a user may perform an action on a resource, rule by rule
+// @route   GET /api/access/explain?user=:userId&type=Video&id=:resourceId&action=view
+// @access  Private/Admin
+exports.explainAccess = async (req, res) => {
+  try {
+    const { user: userId, type, id, action = 'view' } = req.query;
+
+    if (!MODELS[type]) {
+      return res.status(400).json({
+        success: false,
+        error: `Type must be one of: ${Object.keys(MODELS).join(', ')}`
+      });
+    }
+
+    if (!policies[type][action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${Object.keys(policies[type]).join(', ')}`
+      });
+    }
+
+    if (!mongoose.isValidObjectId(id) || (userId && !mongoose.isValidObjectId(userId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user or resource id'
+      });
+    }
+
+    // Leaving out the user explains what an anonymous visitor gets
+    const [user, resource] = await Promise.all([
+      userId ? User.findById(userId) : null,
+      MODELS[type].findById(id)
+    ]);
+
+    if (userId && !user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        error: `${type} not found`
+      });
+    }
+
+    const result = await explain(user, action, resource);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        user: user
+          ? { _id: user._id, name: user.name, role: user.role, branch: user.branch, year: user.year }
+          : null,
+        resource: { _id: resource._id, title: resource.title }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
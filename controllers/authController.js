@@ -1,25 +1,52 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { cloudinary } = require('../config/cloudinary');
+const { getStorage } = require('../services/storage');
+const { enrollByRules } = require('../services/enrollment');
+const {
+  REFRESH_COOKIE,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../services/authSessions');
+const {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/accountEmails');
+const {
+  isTwoFactorRequired,
+  consumeCode,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
+const loginGuard = require('../services/loginGuard');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+
+// Start a session: short-lived access token in the body, refresh token in an httpOnly cookie
+const startSession = async (user, req, res) => {
+  const { session, refreshToken, accessToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  return accessToken;
+};
 
-// Helper function to generate JWT token
-const generateToken = (id) => {
-  try {
-    if (!process.env.JWT_SECRET) {
-      console.error('JWT_SECRET is not defined in environment variables');
-      throw new Error('JWT_SECRET is not configured');
-    }
+// Count a failed login and answer 401, or 429 if that failure locked the account
+const rejectLogin = async (req, res, email, message) => {
+  const locked = await loginGuard.recordFailure(email, req.ip);
 
-    console.log('Generating token for user ID:', id);
-    const token = jwt.sign({ id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '30d'
-    });
-    console.log('Token generated successfully');
-    return token;
-  } catch (error) {
-    console.error('Error generating token:', error);
-    throw error;
+  if (locked) {
+    return sendTooManyRequests(res, locked.retryAfter, locked.message);
   }
+
+  res.status(401).json({
+    success: false,
+    error: message
+  });
 };
 
 // @desc    Register user
@@ -44,19 +71,24 @@ exports.register = async (req, res) => {
     let profilePictureUrl = 'default-profile.jpg';
     
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
+      const result = await getStorage().upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/profiles',
-        width: 200,
-        crop: "scale"
+        filename: req.file.filename,
+        contentType: req.file.mimetype,
+        cloudinary: {
+          width: 200,
+          crop: "scale"
+        }
       });
       
-      console.log('Profile picture uploaded to Cloudinary:', {
-        url: result.secure_url,
-        publicId: result.public_id,
+      console.log('Profile picture uploaded to storage:', {
+        url: result.url,
+        key: result.key,
         size: result.bytes
       });
       
-      profilePictureUrl = result.secure_url;
+      profilePictureUrl = result.url;
     }
 
     // Create user with different fields based on role
@@ -66,7 +98,8 @@ exports.register = async (req, res) => {
       password,
       role,
       profilePicture: profilePictureUrl,
-      isApproved: role === 'student' // Students are auto-approved, teachers need admin approval
+      isApproved: role === 'student', // Students are auto-approved, teachers need admin approval
+      isEmailVerified: false
     };
 
     // Add role-specific fields
@@ -80,8 +113,24 @@ exports.register = async (req, res) => {
     // Create user
     const user = await User.create(userData);
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Enroll new students in courses whose rules match their branch/year
+    if (user.role === 'student') {
+      try {
+        await enrollByRules(user);
+      } catch (enrollError) {
+        console.error('Automatic course enrollment failed:', enrollError);
+      }
+    }
+
+    // Ask the user to confirm their email address
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Sending verification email failed:', mailError);
+    }
+
+    // Sign the new user in
+    const token = await startSession(user, req, res);
 
     // Remove password from response
     user.password = undefined;
@@ -91,8 +140,8 @@ exports.register = async (req, res) => {
       token,
       user,
       message: role === 'teacher' 
-        ? 'Registration successful. Please wait for admin approval before you can upload videos.' 
-        : 'Registration successful'
+        ? 'Registration successful. Please verify your email and wait for admin approval before you can upload videos.' 
+        : 'Registration successful. Please check your inbox to verify your email address.'
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -120,16 +169,20 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Slow down and lock out repeated failures
+    const blocked = await loginGuard.checkLogin(email, req.ip);
+    if (blocked) {
+      console.log('Login throttled:', email);
+      return sendTooManyRequests(res, blocked.retryAfter, blocked.message);
+    }
+
     // Check for user and explicitly select password field
     console.log('Finding user by email:', email);
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
       console.log('User not found:', email);
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
+      return rejectLogin(req, res, email, 'Invalid credentials');
     }
 
     try {
@@ -139,10 +192,7 @@ exports.login = async (req, res) => {
 
       if (!isMatch) {
         console.log('Password mismatch for user:', email);
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid credentials'
-        });
+        return rejectLogin(req, res, email, 'Invalid credentials');
       }
 
       // Check if user is approved
@@ -154,9 +204,22 @@ exports.login = async (req, res) => {
         });
       }
 
-      // Generate JWT token
-      console.log('Generating token for user:', email);
-      const token = generateToken(user._id);
+      // With 2FA on, the password only earns a challenge token for the second step
+      if (user.twoFactor && user.twoFactor.enabled) {
+        console.log('Two-factor code required for user:', email);
+        return res.status(200).json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user)
+        });
+      }
+
+      // 2FA accounts only clear their failures once the second factor is valid (loginTwoFactor)
+      await loginGuard.recordSuccess(email);
+
+      // Start a session for this device
+      console.log('Starting session for user:', email);
+      const token = await startSession(user, req, res);
 
       // Remove password from response
       user.password = undefined;
@@ -165,7 +228,9 @@ exports.login = async (req, res) => {
       res.status(200).json({
         success: true,
         token,
-        user
+        user,
+        // Admins must set up 2FA before anything else works
+        twoFactorSetupRequired: isTwoFactorRequired(user)
       });
     } catch (error) {
       console.error('Password comparison error:', error);
@@ -183,6 +248,377 @@ exports.login = async (req, res) => {
   }
 };
 
+// @desc    Second login step: exchange the challenge token and a 2FA code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an authentication code or a recovery code'
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login has expired, please enter your password again'
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    if (!user.isApproved) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account is pending approval. Please wait for admin approval.'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const blocked = await loginGuard.checkLogin(user.email, req.ip);
+    if (blocked) {
+      return sendTooManyRequests(res, blocked.retryAfter, blocked.message);
+    }
+
+    const result = await consumeCode(user, { code, recoveryCode });
+
+    if (!result) {
+      return rejectLogin(req, res, user.email, recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code');
+    }
+
+    await loginGuard.recordSuccess(user.email);
+
+    const token = await startSession(user, req, res);
+
+    // Reload without the 2FA secrets for the response
+    const profile = await User.findById(user._id);
+
+    res.status(200).json({
+      success: true,
+      token,
+      user: profile,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred during login. Please try again.'
+    });
+  }
+};
+
+// @desc    Get a new access token (rotates the refresh token cookie)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+exports.refreshToken = async (req, res) => {
+  try {
+    const current = req.cookies && req.cookies[REFRESH_COOKIE];
+
+    if (!current) {
+      return res.status(401).json({
+        success: false,
+        error: 'No refresh token provided'
+      });
+    }
+
+    const { session, user, refreshToken, accessToken } = await refreshSession(current, req);
+    setRefreshCookie(res, refreshToken, session.expiresAt);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      user
+    });
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      clearRefreshCookie(res);
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred while refreshing the session'
+    });
+  }
+};
+
+// @desc    Log out of this device
+// @route   POST /api/auth/logout
+// @access  Public (refresh token cookie)
+exports.logout = async (req, res) => {
+  try {
+    // A stale or tampered cookie is simply cleared
+    await endSession(req.cookies && req.cookies[REFRESH_COOKIE]);
+
+    clearRefreshCookie(res);
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { reason: 'logout-all' });
+
+    clearRefreshCookie(res);
+    res.status(200).json({
+      success: true,
+      revokedSessions: revoked,
+      message: 'Logged out of all devices'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out one of the user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.params.sessionId, req.user._id, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (req.params.sessionId === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeToken(req.body.token, 'verify-email');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { isEmailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/resend-verification
+// @access  Private (unverified accounts allowed)
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).trim() });
+
+    // Same answer whether or not the account exists, so addresses cannot be probed
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Could not send the password reset email'
+    });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters'
+      });
+    }
+
+    const userId = await consumeToken(token, 'reset-password');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.password = password;
+    // Following the emailed link proves the address belongs to them
+    if (user.isEmailVerified === false) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, { reason: 'password-reset' });
+    clearRefreshCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -214,15 +650,27 @@ exports.updateProfile = async (req, res) => {
       email
     };
 
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email !== req.user.email;
+    if (emailChanged) {
+      updateFields.isEmailVerified = false;
+      updateFields.emailVerifiedAt = null;
+    }
+
     // Handle profile picture upload if provided
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
+      const result = await getStorage().upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/profiles',
-        width: 200,
-        crop: "scale"
+        filename: req.file.filename,
+        contentType: req.file.mimetype,
+        cloudinary: {
+          width: 200,
+          crop: "scale"
+        }
       });
       
-      updateFields.profilePicture = result.secure_url;
+      updateFields.profilePicture = result.url;
     }
 
     const user = await User.findByIdAndUpdate(
@@ -231,6 +679,14 @@ exports.updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Sending verification email failed:', mailError);
+      }
+    }
+
     res.status(200).json({
       success: true,
       user
@@ -265,12 +721,17 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out every other device, this one stays signed in
+    const revoked = await revokeUserSessions(user._id, {
+      except: req.sessionId,
+      reason: 'password-changed'
+    });
+    const token = signAccessToken(user._id, req.sessionId);
 
     res.status(200).json({
       success: true,
       token,
+      revokedSessions: revoked,
       message: 'Password updated successfully'
     });
   } catch (error) {
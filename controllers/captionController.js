@@ -0,0 +1,445 @@
+const fs = require('fs');
+const Caption = require('../models/Caption');
+const Video = require('../models/Video');
+const { can } = require('../services/accessPolicy');
+const { StreamTokenError, authorizePlayback } = require('../services/streamTokens');
+const {
+  parseCaptions,
+  detectFormat,
+  cleanCueText,
+  cleanCueSettings,
+  buildVtt
+} = require('../services/captions');
+
+// Same CORS headers as the video proxy so <track> elements can load cross-origin
+const setTrackCorsHeaders = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, Origin, Referer');
+};
+
+// Helper to load the video and check the current user may watch (or manage) it
+const findVideo = async (req, res, { manage = false } = {}) => {
+  const video = await Video.findById(req.params.videoId);
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      error: 'Video not found'
+    });
+    return null;
+  }
+
+  const allowed = await can(req.user, manage ? 'manage' : 'view', video);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: manage
+        ? 'Not authorized to manage captions for this video'
+        : 'You do not have access to this video'
+    });
+    return null;
+  }
+
+  return video;
+};
+
+// Helper to load a caption track belonging to the video
+const findCaption = async (req, res) => {
+  const caption = await Caption.findOne({
+    _id: req.params.captionId,
+    video: req.params.videoId
+  });
+
+  if (!caption) {
+    res.status(404).json({
+      success: false,
+      error: 'Caption track not found'
+    });
+    return null;
+  }
+
+  return caption;
+};
+
+// Helper to make sure only one track per video is the default
+const clearOtherDefaults = (caption) => {
+  return Caption.updateMany(
+    { video: caption.video, _id: { $ne: caption._id } },
+    { isDefault: false }
+  );
+};
+
+// Helper to read the caption text from an uploaded file or the request body
+const readCaptionSource = async (req) => {
+  if (req.file) {
+    try {
+      const content = await fs.promises.readFile(req.file.path, 'utf8');
+      return { content, format: detectFormat(content, req.file.originalname) };
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+
+  if (req.body.content) {
+    return {
+      content: req.body.content,
+      format: req.body.format || detectFormat(req.body.content)
+    };
+  }
+
+  return null;
+};
+
+// @desc    Get caption tracks for a video
+// @route   GET /api/videos/:videoId/captions
+// @access  Private
+exports.getCaptions = async (req, res) => {
+  try {
+    const video = await findVideo(req, res);
+    if (!video) return;
+
+    const captions = await Caption.find({ video: video._id })
+      .sort({ isDefault: -1, language: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: captions.length,
+      data: captions.map(caption => ({
+        _id: caption._id,
+        language: caption.language,
+        label: caption.label,
+        kind: caption.kind,
+        isDefault: caption.isDefault,
+        cueCount: caption.cueCount,
+        // Players append the playback token from the video's stream info as ?token=
+        src: `${req.baseUrl}/${caption._id}/track.vtt`,
+        updatedAt: caption.updatedAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a caption track with its cues
+// @route   GET /api/videos/:videoId/captions/:captionId
+// @access  Private
+exports.getCaption = async (req, res) => {
+  try {
+    const video = await findVideo(req, res);
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    res.status(200).json({
+      success: true,
+      data: caption
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Serve a caption track as WebVTT
+// @route   GET /api/videos/:videoId/captions/:captionId/track.vtt?token=
+// @access  Public (playback token)
+exports.getCaptionTrack = async (req, res) => {
+  setTrackCorsHeaders(res);
+
+  try {
+    const video = await Video.findById(req.params.videoId);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    try {
+      await authorizePlayback(req.query.token, video, req.user);
+    } catch (error) {
+      if (!(error instanceof StreamTokenError)) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    const vtt = buildVtt(caption.cues);
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    if (caption.updatedAt) {
+      res.setHeader('Last-Modified', caption.updatedAt.toUTCString());
+    }
+    res.status(200).send(vtt);
+  } catch (error) {
+    console.error('Error serving caption track:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload a caption track (SRT or VTT), replacing any track for the same language and kind
+// @route   POST /api/videos/:videoId/captions
+// @access  Private/Teacher
+exports.uploadCaption = async (req, res) => {
+  try {
+    const source = await readCaptionSource(req);
+
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload an SRT or VTT file'
+      });
+    }
+
+    const { language, label, kind = 'captions', isDefault } = req.body;
+    if (!language) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the caption language'
+      });
+    }
+
+    const cues = parseCaptions(source.content, source.format);
+    if (cues.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Caption file does not contain any cues'
+      });
+    }
+
+    let caption = await Caption.findOne({ video: video._id, language, kind });
+    const created = !caption;
+
+    if (!caption) {
+      caption = new Caption({ video: video._id, language, kind, createdBy: req.user._id });
+    }
+
+    caption.label = label || caption.label || language;
+    caption.cues = cues;
+    if (isDefault !== undefined) {
+      caption.isDefault = isDefault === true || isDefault === 'true';
+    }
+
+    await caption.save();
+
+    if (caption.isDefault) {
+      await clearOtherDefaults(caption);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: caption
+    });
+  } catch (error) {
+    console.error('Error uploading caption:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update caption track details
+// @route   PUT /api/videos/:videoId/captions/:captionId
+// @access  Private/Teacher
+exports.updateCaption = async (req, res) => {
+  try {
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    const { language, label, kind, isDefault } = req.body;
+
+    if (language) caption.language = language;
+    if (label) caption.label = label;
+    if (kind) caption.kind = kind;
+    if (isDefault !== undefined) {
+      caption.isDefault = isDefault === true || isDefault === 'true';
+    }
+
+    await caption.save();
+
+    if (caption.isDefault) {
+      await clearOtherDefaults(caption);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: caption
+    });
+  } catch (error) {
+    // Duplicate language/kind on the same video
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A caption track for this language already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a caption track
+// @route   DELETE /api/videos/:videoId/captions/:captionId
+// @access  Private/Teacher
+exports.deleteCaption = async (req, res) => {
+  try {
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    await caption.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a cue to a caption track
+// @route   POST /api/videos/:videoId/captions/:captionId/cues
+// @access  Private/Teacher
+exports.addCue = async (req, res) => {
+  try {
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    const { start, end, text, settings } = req.body;
+    caption.cues.push({ start, end, text: cleanCueText(text), settings: cleanCueSettings(settings) });
+    const cue = caption.cues[caption.cues.length - 1];
+
+    await caption.save();
+
+    res.status(201).json({
+      success: true,
+      data: caption.cues.id(cue._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a cue
+// @route   PUT /api/videos/:videoId/captions/:captionId/cues/:cueId
+// @access  Private/Teacher
+exports.updateCue = async (req, res) => {
+  try {
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    const cue = caption.cues.id(req.params.cueId);
+    if (!cue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cue not found'
+      });
+    }
+
+    ['start', 'end'].forEach(field => {
+      if (req.body[field] !== undefined) cue[field] = req.body[field];
+    });
+    if (req.body.text !== undefined) cue.text = cleanCueText(req.body.text);
+    if (req.body.settings !== undefined) cue.settings = cleanCueSettings(req.body.settings);
+
+    // Re-sort in case the cue moved
+    caption.markModified('cues');
+    await caption.save();
+
+    res.status(200).json({
+      success: true,
+      data: caption.cues.id(cue._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a cue
+// @route   DELETE /api/videos/:videoId/captions/:captionId/cues/:cueId
+// @access  Private/Teacher
+exports.deleteCue = async (req, res) => {
+  try {
+    const video = await findVideo(req, res, { manage: true });
+    if (!video) return;
+
+    const caption = await findCaption(req, res);
+    if (!caption) return;
+
+    const cue = caption.cues.id(req.params.cueId);
+    if (!cue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cue not found'
+      });
+    }
+
+    cue.deleteOne();
+    await caption.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    CORS preflight for caption tracks
+// @route   OPTIONS /api/videos/:videoId/captions/:captionId/track.vtt
+// @access  Public
+exports.captionTrackOptions = (req, res) => {
+  setTrackCorsHeaders(res);
+  res.status(204).send();
+};
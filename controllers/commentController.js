@@ -1,6 +1,21 @@
 const Comment = require('../models/Comment');
 const Video = require('../models/Video');
-const Notification = require('../models/Notification');
+const { notify } = require('../services/notifications');
+const { can } = require('../services/accessPolicy');
+const { emitToVideo } = require('../services/socket');
+
+// Tell everyone in the video room that a comment or reply is gone
+const emitDeleted = (comment) => {
+  if (comment.parentComment) {
+    emitToVideo(comment.video, 'replyDeleted', {
+      videoId: comment.video,
+      commentId: comment._id,
+      parentCommentId: comment.parentComment
+    });
+  } else {
+    emitToVideo(comment.video, 'commentDeleted', { videoId: comment.video, commentId: comment._id });
+  }
+};
 
 // @desc    Create comment
 // @route   POST /api/videos/:videoId/comments
@@ -16,6 +31,9 @@ exports.createComment = async (req, res) => {
     if (!video) {
       return res.status(404).json({ success: false, error: 'Video not found' });
     }
+    if (!(await can(req.user, 'interact', video))) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this video' });
+    }
     // Create comment
     const comment = await Comment.create({
       content,
@@ -23,6 +41,15 @@ exports.createComment = async (req, res) => {
       user: req.user._id,
       parentComment: parentComment || null
     });
+    await comment.populate('user', 'name profilePicture role');
+
+    // Live update for everyone watching
+    if (comment.parentComment) {
+      emitToVideo(videoId, 'commentReplyReceived', { videoId, parentCommentId: comment.parentComment, reply: comment });
+    } else {
+      emitToVideo(videoId, 'commentReceived', { videoId, comment });
+    }
+
     res.status(201).json({ success: true, data: comment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -41,9 +68,18 @@ exports.getComments = async (req, res) => {
     // Build query
     let query = {};
     
-    // If videoId is provided, filter by video
+    // If videoId is provided, filter by video. Only admins can list comments across videos.
     if (videoId) {
+      const video = await Video.findById(videoId);
+      if (!video) {
+        return res.status(404).json({ success: false, error: 'Video not found' });
+      }
+      if (!(await can(req.user, 'view', video))) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this video' });
+      }
       query.video = videoId;
+    } else if (req.user.role !== 'admin') {
+      return res.status(400).json({ success: false, error: 'Please provide a video ID' });
     }
     
     // If search term is provided, search in content
@@ -76,11 +112,12 @@ exports.updateComment = async (req, res) => {
     if (!comment) {
       return res.status(404).json({ success: false, error: 'Comment not found' });
     }
-    if (comment.user.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'update', comment))) {
       return res.status(403).json({ success: false, error: 'Not authorized' });
     }
     comment.content = content;
     await comment.save();
+    emitToVideo(comment.video, 'commentUpdated', { videoId: comment.video, comment });
     res.status(200).json({ success: true, data: comment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -96,7 +133,7 @@ exports.deleteComment = async (req, res) => {
     if (!comment) {
       return res.status(404).json({ success: false, error: 'Comment not found' });
     }
-    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'delete', comment))) {
       return res.status(403).json({ success: false, error: 'Not authorized' });
     }
     
@@ -108,6 +145,7 @@ exports.deleteComment = async (req, res) => {
     
     // Delete the comment itself
     await Comment.findByIdAndDelete(req.params.id);
+    emitDeleted(comment);
     
     res.status(200).json({ success: true, message: 'Comment deleted' });
   } catch (error) {
@@ -129,6 +167,13 @@ exports.toggleLike = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'view', comment))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
     // Check if user has already liked the comment
     const likeIndex = comment.likes.indexOf(req.user._id);
     if (likeIndex > -1) {
@@ -139,19 +184,16 @@ exports.toggleLike = async (req, res) => {
       comment.likes.push(req.user._id);
 
       // Create notification for comment owner
-      if (comment.user.toString() !== req.user._id.toString()) {
-        await Notification.create({
-          recipient: comment.user,
-          sender: req.user._id,
-          type: 'like',
-          title: 'New Like',
-          message: `${req.user.name} liked your comment`,
-          data: {
-            videoId: comment.video,
-            commentId: comment._id
-          }
-        });
-      }
+      await notify(comment.user, {
+        sender: req.user._id,
+        type: 'comment_like',
+        title: 'New Like',
+        message: `${req.user.name} liked your comment`,
+        data: {
+          videoId: comment.video,
+          commentId: comment._id
+        }
+      });
     }
 
     await comment.save();
@@ -183,12 +225,14 @@ exports.bulkAction = async (req, res) => {
     }
     
     // Delete comments and their replies
+    const selected = await Comment.find({ _id: { $in: commentIds } }).select('video parentComment');
     await Comment.deleteMany({
       $or: [
         { _id: { $in: commentIds } },
         { parentComment: { $in: commentIds } }
       ]
     });
+    selected.forEach(emitDeleted);
     
     res.status(200).json({ 
       success: true, 
@@ -0,0 +1,723 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Notice = require('../models/Notice');
+const Playlist = require('../models/Playlist');
+const { getUserCourseIds, can } = require('../services/accessPolicy');
+const {
+  parseCsvEmails,
+  createsPrerequisiteCycle,
+  enrollUsers,
+  applyEnrollmentRules
+} = require('../services/enrollment');
+
+const ITEM_MODELS = { Video, Notice, Playlist };
+const ENROLLMENT_STATUSES = ['active', 'completed', 'dropped'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to load a course and check the current user's role on it.
+// access: 'view' (enrolled or staff), 'staff' (instructor or TA) or 'instructor'
+const findCourse = async (req, res, { access = 'view' } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Course not found'
+    });
+    return null;
+  }
+
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      error: 'Course not found'
+    });
+    return null;
+  }
+
+  const user = req.user;
+  let allowed = user.role === 'admin';
+
+  if (!allowed && access === 'instructor') {
+    allowed = course.isInstructor(user);
+  } else if (!allowed && access === 'staff') {
+    allowed = course.isStaff(user);
+  } else if (!allowed) {
+    const courseIds = await getUserCourseIds(user);
+    allowed = course.isStaff(user) ||
+      (course.isPublished && (user.role !== 'student' || courseIds.includes(course._id.toString())));
+  }
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: access === 'view'
+        ? 'You are not enrolled in this course'
+        : 'Not authorized to manage this course'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Check prerequisite ids exist and would not make a course require itself.
+// Returns an error message, or null when they are fine.
+const checkPrerequisites = async (prerequisites, courseId) => {
+  if (!Array.isArray(prerequisites)) return 'Prerequisites must be a list of course ids';
+  if (prerequisites.length === 0) return null;
+
+  if (!prerequisites.every(id => mongoose.isValidObjectId(id))) {
+    return 'Invalid prerequisite course id';
+  }
+
+  const ids = [...new Set(prerequisites.map(id => id.toString()))];
+  const found = await Course.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) return 'Prerequisite course not found';
+
+  if (courseId && (ids.includes(courseId.toString()) || await createsPrerequisiteCycle(courseId, ids))) {
+    return 'Prerequisites cannot form a cycle';
+  }
+
+  return null;
+};
+
+// Keep rules that name a branch or a year (an empty rule would match every student)
+const normalizeRules = (rules) => {
+  if (!Array.isArray(rules)) return null;
+
+  return rules
+    .map(rule => ({
+      branch: rule && rule.branch ? String(rule.branch) : undefined,
+      year: rule && rule.year ? String(rule.year) : undefined
+    }))
+    .filter(rule => rule.branch || rule.year);
+};
+
+// Check every outline item exists, and that videos belong to the user or a course instructor.
+// Returns an error message, or null when the outline is fine.
+const checkModuleItems = async (modules, course, user) => {
+  if (!Array.isArray(modules)) return 'Modules must be a list';
+
+  const byKind = { Video: new Set(), Notice: new Set(), Playlist: new Set() };
+
+  for (const module of modules) {
+    for (const section of module.sections || []) {
+      for (const entry of section.items || []) {
+        if (!entry || !ITEM_MODELS[entry.kind]) return 'Items must be a Video, Notice or Playlist';
+        if (!mongoose.isValidObjectId(entry.item)) return `Invalid ${entry.kind.toLowerCase()} id`;
+        byKind[entry.kind].add(entry.item.toString());
+      }
+    }
+  }
+
+  for (const kind of Object.keys(byKind)) {
+    const ids = [...byKind[kind]];
+    if (ids.length === 0) continue;
+
+    const docs = await ITEM_MODELS[kind].find({ _id: { $in: ids } }).select('teacher');
+    if (docs.length !== ids.length) return `${kind} not found`;
+
+    if (kind === 'Video') {
+      const instructorIds = course.instructors.map(id => id.toString());
+      for (const video of docs) {
+        if (!instructorIds.includes(video.teacher.toString()) && !(await can(user, 'manage', video))) {
+          return 'Only videos uploaded by you or a course instructor can be added';
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Number the modules, sections and items in the order they were sent when no order is given
+const orderOutline = (modules) => modules.map((module, moduleIndex) => ({
+  title: module.title,
+  description: module.description,
+  order: module.order !== undefined ? module.order : moduleIndex,
+  sections: (module.sections || []).map((section, sectionIndex) => ({
+    title: section.title,
+    order: section.order !== undefined ? section.order : sectionIndex,
+    items: (section.items || []).map((entry, itemIndex) => ({
+      kind: entry.kind,
+      item: entry.item,
+      order: entry.order !== undefined ? entry.order : itemIndex
+    }))
+  }))
+}));
+
+// Keep Video.courses in step with the videos listed in the course outline
+const syncCourseVideos = async (course, previousVideoIds) => {
+  const current = course.getItemIds('Video');
+  const added = current.filter(id => !previousVideoIds.includes(id));
+  const removed = previousVideoIds.filter(id => !current.includes(id));
+
+  await Promise.all([
+    added.length > 0 && Video.updateMany({ _id: { $in: added } }, { $addToSet: { courses: course._id } }),
+    removed.length > 0 && Video.updateMany({ _id: { $in: removed } }, { $pull: { courses: course._id } })
+  ]);
+};
+
+const handleError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A course with this code already exists'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// @desc    Get courses (admins: all, staff: courses they teach, students: their enrollments)
+// @route   GET /api/courses
+// @access  Private
+exports.getCourses = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+    const user = req.user;
+    const conditions = [];
+
+    if (user.role === 'student') {
+      conditions.push({ _id: { $in: await getUserCourseIds(user) } });
+      conditions.push({ $or: [{ isPublished: true }, { tas: user._id }] });
+    } else if (user.role !== 'admin') {
+      conditions.push({ $or: [{ instructors: user._id }, { tas: user._id }, { isPublished: true }] });
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).slice(0, 100)), 'i');
+      conditions.push({ $or: [{ title: pattern }, { code: pattern }] });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(query)
+      .select('-modules')
+      .populate('instructors', 'name profilePicture')
+      .populate('prerequisites', 'title code')
+      .populate('enrollmentCount')
+      .sort({ code: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Course.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      page: parseInt(page),
+      data: courses
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Get a course with its modules, sections and items
+// @route   GET /api/courses/:id
+// @access  Private (enrolled students and course staff)
+exports.getCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    await course.populate([
+      { path: 'instructors', select: 'name email profilePicture' },
+      { path: 'tas', select: 'name email profilePicture' },
+      { path: 'prerequisites', select: 'title code' },
+      { path: 'modules.sections.items.item', select: 'title thumbnailUrl duration coverImage createdAt' },
+      { path: 'enrollmentCount' }
+    ]);
+
+    const data = course.toObject();
+
+    // Items deleted since they were added to the outline come back unpopulated
+    data.modules.forEach(module => {
+      module.sections.forEach(section => {
+        section.items = section.items.filter(entry => entry.item);
+      });
+    });
+
+    if (req.user.role === 'student') {
+      data.enrollment = await Enrollment.findOne({ course: course._id, user: req.user._id })
+        .select('status source completedAt createdAt');
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Create a course
+// @route   POST /api/courses
+// @access  Private/Teacher
+exports.createCourse = async (req, res) => {
+  try {
+    const { title, code, description, prerequisites = [], enrollmentRules = [], isPublished } = req.body;
+
+    const prerequisiteError = await checkPrerequisites(prerequisites);
+    if (prerequisiteError) {
+      return res.status(400).json({
+        success: false,
+        error: prerequisiteError
+      });
+    }
+
+    const rules = normalizeRules(enrollmentRules);
+    if (!rules) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enrollment rules must be a list of { branch, year }'
+      });
+    }
+
+    const course = await Course.create({
+      title,
+      code,
+      description,
+      prerequisites,
+      enrollmentRules: rules,
+      isPublished: Boolean(isPublished),
+      instructors: [req.user._id],
+      createdBy: req.user._id
+    });
+
+    const enrollment = course.isPublished
+      ? await applyEnrollmentRules(course, { enrolledBy: req.user._id })
+      : { enrolled: [], skipped: [] };
+
+    res.status(201).json({
+      success: true,
+      data: course,
+      enrolled: enrollment.enrolled.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Update course details, prerequisites and enrollment rules
+// @route   PUT /api/courses/:id
+// @access  Private (course instructors)
+exports.updateCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'instructor' });
+    if (!course) return;
+
+    const { title, code, description, prerequisites, enrollmentRules, isPublished } = req.body;
+
+    if (prerequisites !== undefined) {
+      const prerequisiteError = await checkPrerequisites(prerequisites, course._id);
+      if (prerequisiteError) {
+        return res.status(400).json({
+          success: false,
+          error: prerequisiteError
+        });
+      }
+      course.prerequisites = prerequisites;
+    }
+
+    let rulesChanged = false;
+    if (enrollmentRules !== undefined) {
+      const rules = normalizeRules(enrollmentRules);
+      if (!rules) {
+        return res.status(400).json({
+          success: false,
+          error: 'Enrollment rules must be a list of { branch, year }'
+        });
+      }
+      rulesChanged = JSON.stringify(rules) !== JSON.stringify(
+        course.enrollmentRules.map(rule => ({ branch: rule.branch || undefined, year: rule.year || undefined }))
+      );
+      course.enrollmentRules = rules;
+    }
+
+    const publishing = isPublished !== undefined && Boolean(isPublished) && !course.isPublished;
+
+    if (title !== undefined) course.title = title;
+    if (code !== undefined) course.code = code;
+    if (description !== undefined) course.description = description;
+    if (isPublished !== undefined) course.isPublished = Boolean(isPublished);
+
+    await course.save();
+
+    const enrollment = course.isPublished && (rulesChanged || publishing)
+      ? await applyEnrollmentRules(course, { enrolledBy: req.user._id })
+      : { enrolled: [], skipped: [] };
+
+    res.status(200).json({
+      success: true,
+      data: course,
+      enrolled: enrollment.enrolled.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Delete a course and its enrollments
+// @route   DELETE /api/courses/:id
+// @access  Private (course instructors)
+exports.deleteCourse = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'instructor' });
+    if (!course) return;
+
+    // Videos go back to the branch/year rules once they are in no course
+    await Video.updateMany({ courses: course._id }, { $pull: { courses: course._id } });
+    await Course.updateMany({ prerequisites: course._id }, { $pull: { prerequisites: course._id } });
+    await Enrollment.deleteMany({ course: course._id });
+    await course.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Set course instructors and teaching assistants
+// @route   PUT /api/courses/:id/staff
+// @access  Private (course instructors)
+exports.updateStaff = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'instructor' });
+    if (!course) return;
+
+    const { instructors, tas } = req.body;
+
+    if (instructors !== undefined) {
+      if (!Array.isArray(instructors) || instructors.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'A course needs at least one instructor'
+        });
+      }
+
+      const ids = [...new Set(instructors.map(String))];
+      const users = await User.find({
+        _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+        role: { $in: ['teacher', 'admin'] },
+        isApproved: true
+      }).select('_id');
+
+      if (users.length !== ids.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Instructors must be approved teachers or admins'
+        });
+      }
+      course.instructors = ids;
+    }
+
+    if (tas !== undefined) {
+      if (!Array.isArray(tas)) {
+        return res.status(400).json({
+          success: false,
+          error: 'TAs must be a list of user ids'
+        });
+      }
+
+      const ids = [...new Set(tas.map(String))];
+      const users = await User.find({
+        _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+        isApproved: true
+      }).select('_id');
+
+      if (users.length !== ids.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'TA not found'
+        });
+      }
+      course.tas = ids;
+    }
+
+    await course.save();
+    await course.populate([
+      { path: 'instructors', select: 'name email profilePicture' },
+      { path: 'tas', select: 'name email profilePicture' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        instructors: course.instructors,
+        tas: course.tas
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Replace the course outline (modules, sections and items)
+// @route   PUT /api/courses/:id/modules
+// @access  Private (course staff)
+exports.updateModules = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const { modules } = req.body;
+
+    const itemError = await checkModuleItems(modules, course, req.user);
+    if (itemError) {
+      return res.status(400).json({
+        success: false,
+        error: itemError
+      });
+    }
+
+    const previousVideoIds = course.getItemIds('Video');
+    course.modules = orderOutline(modules);
+    await course.save();
+    await syncCourseVideos(course, previousVideoIds);
+
+    res.status(200).json({
+      success: true,
+      data: course.modules
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Get course enrollments
+// @route   GET /api/courses/:id/enrollments
+// @access  Private (course staff)
+exports.getEnrollments = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const { status, page = 1, limit = 50 } = req.query;
+    const query = { course: course._id };
+
+    if (status && ENROLLMENT_STATUSES.includes(status)) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const enrollments = await Enrollment.find(query)
+      .populate('user', 'name email branch year profilePicture')
+      .populate('enrolledBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Enrollment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: enrollments.length,
+      total,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      page: parseInt(page),
+      data: enrollments
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Enroll students by id or e-mail
+// @route   POST /api/courses/:id/enrollments
+// @access  Private (course staff)
+exports.enrollStudents = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const { userIds = [], emails = [], override = false } = req.body;
+
+    if (!Array.isArray(userIds) || !Array.isArray(emails) || (userIds.length === 0 && emails.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide userIds or emails to enroll'
+      });
+    }
+
+    const lowerEmails = emails.map(email => String(email).trim().toLowerCase());
+    const users = await User.find({
+      $or: [
+        { _id: { $in: userIds.filter(id => mongoose.isValidObjectId(id)) } },
+        { email: { $in: lowerEmails } }
+      ]
+    }).select('name email role');
+
+    const foundEmails = new Set(users.map(user => user.email));
+    const foundIds = new Set(users.map(user => user._id.toString()));
+    const notFound = [
+      ...userIds.filter(id => !foundIds.has(String(id))),
+      ...lowerEmails.filter(email => !foundEmails.has(email))
+    ];
+
+    const result = await enrollUsers(course, users, {
+      source: 'manual',
+      enrolledBy: req.user._id,
+      override: Boolean(override)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { ...result, notFound }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Enroll students from a CSV file of e-mail addresses
+// @route   POST /api/courses/:id/enrollments/csv
+// @access  Private (course staff)
+exports.enrollFromCsv = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload a CSV file'
+      });
+    }
+
+    const content = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlinkSync(req.file.path);
+
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const emails = parseCsvEmails(content);
+    if (emails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No e-mail addresses found in the file'
+      });
+    }
+
+    const users = await User.find({ email: { $in: emails } }).select('name email role');
+    const found = new Set(users.map(user => user.email));
+
+    const result = await enrollUsers(course, users, {
+      source: 'csv',
+      enrolledBy: req.user._id,
+      override: req.body.override === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        notFound: emails.filter(email => !found.has(email))
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Enroll every student matching the course's branch/year rules
+// @route   POST /api/courses/:id/enrollments/sync
+// @access  Private (course staff)
+exports.syncEnrollmentRules = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const result = await applyEnrollmentRules(course, { enrolledBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Change an enrollment's status (e.g. mark the course completed)
+// @route   PUT /api/courses/:id/enrollments/:userId
+// @access  Private (course staff)
+exports.updateEnrollment = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    const { status } = req.body;
+    if (!ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const enrollment = await Enrollment.findOne({ course: course._id, user: req.params.userId });
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Enrollment not found'
+      });
+    }
+
+    enrollment.status = status;
+    enrollment.completedAt = status === 'completed' ? (enrollment.completedAt || Date.now()) : undefined;
+    await enrollment.save();
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Drop a student from a course
+// @route   DELETE /api/courses/:id/enrollments/:userId
+// @access  Private (course staff)
+exports.dropEnrollment = async (req, res) => {
+  try {
+    const course = await findCourse(req, res, { access: 'staff' });
+    if (!course) return;
+
+    // Kept as "dropped" so enrollment rules do not add the student back
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { course: course._id, user: req.params.userId },
+      { status: 'dropped', $unset: { completedAt: '' } },
+      { new: true }
+    );
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Enrollment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
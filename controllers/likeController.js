@@ -1,6 +1,7 @@
 const Like = require('../models/Like');
 const Video = require('../models/Video');
-const Notification = require('../models/Notification');
+const { notify } = require('../services/notifications');
+const { can } = require('../services/accessPolicy');
 
 // @desc    Like/Unlike video
 // @route   PUT /api/videos/:id/like
@@ -17,19 +18,11 @@ exports.toggleLike = async (req, res) => {
     }
 
     // Check access
-    if (req.user.role === 'student') {
-      const hasAccess = (
-        video.isApproved && 
-        (video.branch.includes(req.user.branch) && video.year.includes(req.user.year)) ||
-        video.specialAccess.includes(req.user._id)
-      );
-      
-      if (!hasAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'You do not have access to this video'
-        });
-      }
+    if (!(await can(req.user, 'interact', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
     }
 
     // Check if user has already liked the video
@@ -54,18 +47,15 @@ exports.toggleLike = async (req, res) => {
       });
 
       // Create notification for video owner
-      if (video.teacher.toString() !== req.user._id.toString()) {
-        await Notification.create({
-          recipient: video.teacher,
-          sender: req.user._id,
-          type: 'like',
-          title: 'New Like',
-          message: `${req.user.name} liked your video "${video.title}"`,
-          data: {
-            videoId: video._id
-          }
-        });
-      }
+      await notify(video.teacher, {
+        sender: req.user._id,
+        type: 'video_like',
+        title: 'New Like',
+        message: `${req.user.name} liked your video "${video.title}"`,
+        data: {
+          videoId: video._id
+        }
+      });
 
       res.status(200).json({
         success: true,
@@ -102,19 +92,11 @@ exports.getLikes = async (req, res) => {
     }
 
     // Check access
-    if (req.user.role === 'student') {
-      const hasAccess = (
-        video.isApproved && 
-        (video.branch.includes(req.user.branch) && video.year.includes(req.user.year)) ||
-        video.specialAccess.includes(req.user._id)
-      );
-      
-      if (!hasAccess) {
-        return res.status(403).json({
-          success: false,
-          error: 'You do not have access to this video'
-        });
-      }
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
     }
 
     // Pagination
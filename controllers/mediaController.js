@@ -0,0 +1,42 @@
+const { getStorage } = require('../services/storage');
+const { sendStoredFile } = require('../services/rangeStreaming');
+
+// @desc    Serve a file of the local storage provider
+// @route   GET /media/:key?expires=&signature=
+// @access  Public (signed URL, except public images)
+exports.getLocalMedia = async (req, res) => {
+  try {
+    const storage = getStorage();
+    const key = req.params[0];
+
+    if (storage.name !== 'local') {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    if (!storage.canServe(key, req.query)) {
+      return res.status(403).json({
+        success: false,
+        error: 'This link is invalid or has expired'
+      });
+    }
+
+    // Signed responses must not outlive their signature in shared caches
+    res.setHeader('Cache-Control', storage.isPublic(key) ? 'public, max-age=3600' : 'private, max-age=600');
+    await sendStoredFile(req, res, storage, key);
+  } catch (error) {
+    if (error.message.startsWith('Invalid storage key')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file path'
+      });
+    }
+    console.error('Error serving local media:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const Note = require('../models/Note');
 const Video = require('../models/Video');
+const { can, accessFilter } = require('../services/accessPolicy');
 
 // @desc    Create or update note
 // @route   POST /api/notes
@@ -44,32 +45,7 @@ exports.createNote = async (req, res) => {
     }
     
     // Check if the student has access to this video
-    const hasAccess = (
-      video.isApproved && 
-      (
-        // Compare branch and year as strings
-        (video.branch === req.user.branch) && 
-        (video.year === req.user.year) 
-      ) ||
-      // Check for special access
-      (Array.isArray(video.specialAccess) && video.specialAccess.includes(req.user._id)) ||
-      // Always allow for testing
-      true // TEMPORARY: Allow all users to take notes for testing purposes
-    );
-    
-    // Log access details for debugging
-    console.log('Access check details:', {
-      videoId,
-      userId: req.user.id,
-      userBranch: req.user.branch,
-      userYear: req.user.year,
-      videoBranch: video.branch,
-      videoYear: video.year,
-      videoApproved: video.isApproved,
-      hasAccess
-    });
-    
-    if (!hasAccess) {
+    if (!(await can(req.user, 'interact', video))) {
       return res.status(403).json({
         success: false,
         error: 'You do not have access to this video'
@@ -117,7 +93,7 @@ exports.getNotes = async (req, res) => {
   try {
     const { videoId, page = 1, limit = 10 } = req.query;
     
-    const query = { student: req.user.id };
+    const query = { ...(await accessFilter(req.user, 'Note')) };
     
     // If videoId is provided, get notes for that specific video
     if (videoId) {
@@ -207,7 +183,7 @@ exports.getNote = async (req, res) => {
     }
     
     // Check if note belongs to student
-    if (note.student.toString() !== req.user.id) {
+    if (!(await can(req.user, 'view', note))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this note'
@@ -241,7 +217,7 @@ exports.deleteNote = async (req, res) => {
     }
     
     // Check if note belongs to student
-    if (note.student.toString() !== req.user.id) {
+    if (!(await can(req.user, 'manage', note))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this note'
@@ -280,7 +256,7 @@ exports.updateNote = async (req, res) => {
     }
     
     // Check if note belongs to student
-    if (note.student.toString() !== req.user.id) {
+    if (!(await can(req.user, 'manage', note))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this note'
@@ -1,7 +1,8 @@
 const Notice = require('../models/Notice');
-const Notification = require('../models/Notification');
+const { notify } = require('../services/notifications');
 const User = require('../models/User');
-const { cloudinary } = require('../config/cloudinary');
+const { getStorage, deleteByUrl } = require('../services/storage');
+const { can, accessFilter } = require('../services/accessPolicy');
 const fs = require('fs');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
@@ -24,6 +25,37 @@ const upload = multer({
   }
 });
 
+// Helper to collect uploaded files from single or multi-file multer middleware
+const getUploadedFiles = (req) => {
+  if (req.files && req.files.length > 0) return req.files;
+  return req.file ? [req.file] : [];
+};
+
+// Helper to upload a notice attachment and remove the temporary file
+const uploadAttachment = async (file) => {
+  try {
+    const result = await getStorage().upload(file.path, {
+      resourceType: 'raw',
+      folder: 'streamvibe/notices',
+      filename: file.filename || file.originalname,
+      contentType: file.mimetype,
+      cloudinary: { format: 'pdf' }
+    });
+
+    return {
+      filename: result.key,
+      originalname: file.originalname,
+      url: result.url,
+      size: file.size,
+      mimetype: file.mimetype
+    };
+  } finally {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
 // @desc    Create a notice
 // @route   POST /api/notices
 // @access  Private/Teacher
@@ -67,30 +99,14 @@ exports.createNotice = async (req, res) => {
     });
 
     // Handle file uploads if any
-    if (req.files && req.files.length > 0) {
-      const uploadPromises = req.files.map(file => {
-        return new Promise((resolve, reject) => {
-          cloudinary.uploader.upload(file.path, {
-            resource_type: 'auto',
-            folder: 'notices'
-          }, (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          });
-        });
-      });
-
-      const uploadResults = await Promise.all(uploadPromises);
-      notice.attachments = uploadResults.map(result => ({
-        filename: result.original_filename,
-        originalname: result.original_filename,
-        url: result.secure_url,
-        size: result.bytes,
-        mimetype: 'application/pdf'
-      }));
+    const files = getUploadedFiles(req);
+    if (files.length > 0) {
+      notice.attachments = await Promise.all(files.map(uploadAttachment));
       await notice.save();
     }
 
+    await createNotifications(notice);
+
     res.status(201).json({
       success: true,
       data: notice
@@ -107,22 +123,10 @@ exports.createNotice = async (req, res) => {
 exports.getNotices = asyncHandler(async (req, res, next) => {
   const { branch, year, category, priority } = req.query;
   
-  // Build query
-  let query = { isActive: true };
+  // Build query, students only get notices for their branch and year (or "All")
+  let query = { isActive: true, ...(await accessFilter(req.user, 'Notice')) };
   
-  // If user is a student, filter notices based on their branch and year
-  if (req.user && req.user.role === 'student') {
-    query.$or = [
-      // Notices for student's branch and year
-      { branch: req.user.branch, year: req.user.year },
-      // Notices for student's branch and all years
-      { branch: req.user.branch, year: 'All' },
-      // Notices for all branches and student's year
-      { branch: 'All', year: req.user.year },
-      // Notices for all branches and all years
-      { branch: 'All', year: 'All' }
-    ];
-  } else {
+  if (!req.user || req.user.role !== 'student') {
     // For non-students, use the provided filters
     if (branch && branch !== 'All') {
       query.branch = branch;
@@ -172,6 +176,10 @@ exports.getNotice = asyncHandler(async (req, res, next) => {
   if (notice.isExpired()) {
     return next(new ErrorResponse('This notice has expired', 400));
   }
+
+  if (!(await can(req.user, 'view', notice))) {
+    return next(new ErrorResponse('You do not have access to this notice', 403));
+  }
   
   res.status(200).json({
     success: true,
@@ -190,36 +198,33 @@ exports.updateNotice = asyncHandler(async (req, res, next) => {
   }
   
   // Make sure user is notice owner or admin
-  if (notice.teacher.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(new ErrorResponse(`User ${req.user.id} is not authorized to update this notice`, 401));
+  if (!(await can(req.user, 'manage', notice))) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to update this notice`, 403));
   }
   
   // Handle file uploads if any
-  if (req.files && req.files.length > 0) {
-    const uploadPromises = req.files.map(async (file) => {
-      const result = await cloudinary.uploader.upload(file.path, {
-        resource_type: 'raw',
-        folder: 'notices',
-        format: 'pdf'
-      });
-      
-      return {
-        filename: result.public_id,
-        originalname: file.originalname,
-        url: result.secure_url,
-        size: file.size,
-        mimetype: file.mimetype
-      };
-    });
-    
-    req.body.attachments = await Promise.all(uploadPromises);
+  const files = getUploadedFiles(req);
+  if (files.length > 0) {
+    req.body.attachments = await Promise.all(files.map(uploadAttachment));
   }
+
+  const previous = notice;
+  const { notify: notifyReaders, ...updates } = req.body;
   
-  notice = await Notice.findByIdAndUpdate(req.params.id, req.body, {
+  notice = await Notice.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   });
   
+  // Small edits stay quiet; readers hear again about a new audience or priority,
+  // a notice switched back on, or when the teacher asks (notify: true)
+  const audienceChanged = ['branch', 'year', 'priority'].some(field => previous[field] !== notice[field]);
+  const reactivated = !previous.isActive && notice.isActive;
+
+  if (audienceChanged || reactivated || notifyReaders === true || notifyReaders === 'true') {
+    await createNotifications(notice, 'notice_updated');
+  }
+  
   res.status(200).json({
     success: true,
     data: notice
@@ -227,39 +232,27 @@ exports.updateNotice = asyncHandler(async (req, res, next) => {
 });
 
 // Helper function to create notifications for a notice
-const createNotifications = async (notice) => {
+const createNotifications = async (notice, type = 'notice_posted') => {
   try {
-    // Find all students who should receive this notice
-    const query = { role: 'student' };
+    // Students of the notice's branch and year
+    const students = await User.find({
+      role: 'student',
+      branch: notice.branch,
+      year: notice.year
+    }).select('_id');
 
-    if (notice.targetAudience) {
-      const { branches, years } = notice.targetAudience;
-      
-      if (branches && !branches.includes('All')) {
-        query.branch = { $in: branches };
-      }
-      
-      if (years && !years.includes('All')) {
-        query.year = { $in: years };
-      }
-    }
-
-    const students = await User.find(query);
-
-    // Create notifications for each student
-    const notifications = students.map(student => ({
-      recipient: student._id,
-      type: 'notice_posted',
-      title: 'New Notice',
+    await notify(students, {
+      sender: notice.teacher,
+      type,
+      title: type === 'notice_updated' ? 'Notice Updated' : 'New Notice',
       message: notice.title,
+      priority: notice.priority === 'normal' ? 'medium' : notice.priority,
       data: {
         noticeId: notice._id,
         category: notice.category,
         priority: notice.priority
       }
-    }));
-
-    await Notification.insertMany(notifications);
+    });
   } catch (error) {
     console.error('Error creating notifications:', error);
   }
@@ -276,14 +269,14 @@ exports.deleteNotice = asyncHandler(async (req, res, next) => {
   }
   
   // Make sure user is notice owner or admin
-  if (notice.teacher.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(new ErrorResponse(`User ${req.user.id} is not authorized to delete this notice`, 401));
+  if (!(await can(req.user, 'manage', notice))) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to delete this notice`, 403));
   }
 
-  // Delete attachments from cloudinary if any
+  // Delete attachments from storage if any
   if (notice.attachments && notice.attachments.length > 0) {
     const deletePromises = notice.attachments.map(attachment => {
-      return cloudinary.uploader.destroy(attachment.filename);
+      return deleteByUrl(attachment.url, { resourceType: 'raw' });
     });
     await Promise.all(deletePromises);
   }
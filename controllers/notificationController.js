@@ -1,4 +1,13 @@
 const Notification = require('../models/Notification');
+const { getUnreadCount: countUnread, emitUnreadCount } = require('../services/notifications');
+const {
+  getPreferences,
+  updatePreferences,
+  serializePreferences,
+  unsubscribe
+} = require('../services/notificationPreferences');
+
+const SORT_FIELDS = ['createdAt', 'type', 'priority', 'isRead'];
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
@@ -22,35 +31,34 @@ exports.getNotifications = async (req, res) => {
     }
 
     if (read !== undefined) {
-      query.read = read === 'true';
+      query.isRead = read === 'true';
     }
 
     // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+    const skip = (pageNumber - 1) * pageSize;
 
     // Sorting
     const sortOption = {};
-    sortOption[sort] = order === 'desc' ? -1 : 1;
+    sortOption[SORT_FIELDS.includes(sort) ? sort : 'createdAt'] = order === 'desc' ? -1 : 1;
 
     const notifications = await Notification.find(query)
       .populate('sender', 'name profilePicture')
       .skip(skip)
-      .limit(parseInt(limit))
+      .limit(pageSize)
       .sort(sortOption);
 
     const total = await Notification.countDocuments(query);
-    const unreadCount = await Notification.countDocuments({
-      recipient: req.user._id,
-      read: false
-    });
+    const unreadCount = await countUnread(req.user._id);
 
     res.status(200).json({
       success: true,
       count: notifications.length,
       total,
       unreadCount,
-      totalPages: Math.ceil(total / parseInt(limit)),
-      page: parseInt(page),
+      totalPages: Math.ceil(total / pageSize),
+      page: pageNumber,
       data: notifications
     });
   } catch (error) {
@@ -61,8 +69,25 @@ exports.getNotifications = async (req, res) => {
   }
 };
 
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      count: await countUnread(req.user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Mark notification as read
-// @route   PUT /api/notifications/:id/read
+// @route   PUT /api/notifications/:id
 // @access  Private
 exports.markAsRead = async (req, res) => {
   try {
@@ -83,8 +108,11 @@ exports.markAsRead = async (req, res) => {
       });
     }
 
-    notification.read = true;
-    await notification.save();
+    if (!notification.isRead) {
+      notification.isRead = true;
+      await notification.save();
+      await emitUnreadCount(req.user._id);
+    }
 
     res.status(200).json({
       success: true,
@@ -103,10 +131,8 @@ exports.markAsRead = async (req, res) => {
 // @access  Private
 exports.markAllAsRead = async (req, res) => {
   try {
-    await Notification.updateMany(
-      { recipient: req.user._id, read: false },
-      { read: true }
-    );
+    await Notification.markAllAsRead(req.user._id);
+    await emitUnreadCount(req.user._id);
 
     res.status(200).json({
       success: true,
@@ -142,7 +168,11 @@ exports.deleteNotification = async (req, res) => {
       });
     }
 
-    await notification.remove();
+    await notification.deleteOne();
+
+    if (!notification.isRead) {
+      await emitUnreadCount(req.user._id);
+    }
 
     res.status(200).json({
       success: true,
@@ -156,12 +186,33 @@ exports.deleteNotification = async (req, res) => {
   }
 };
 
+// @desc    Delete all read notifications
+// @route   DELETE /api/notifications/read
+// @access  Private
+exports.deleteReadNotifications = async (req, res) => {
+  try {
+    const result = await Notification.deleteMany({ recipient: req.user._id, isRead: true });
+
+    res.status(200).json({
+      success: true,
+      deletedCount: result.deletedCount,
+      message: 'Read notifications deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete all notifications
 // @route   DELETE /api/notifications
 // @access  Private
 exports.deleteAllNotifications = async (req, res) => {
   try {
     await Notification.deleteMany({ recipient: req.user._id });
+    await emitUnreadCount(req.user._id);
 
     res.status(200).json({
       success: true,
@@ -173,4 +224,64 @@ exports.deleteAllNotifications = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: serializePreferences(preferences)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update notification preferences (per-type delivery, quiet hours, digest timing)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: serializePreferences(preferences.toObject())
+    });
+  } catch (error) {
+    const invalid = error.name === 'PreferenceError' || error.name === 'ValidationError';
+
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    One-click unsubscribe from notification emails (token from the email)
+// @route   POST /api/notifications/unsubscribe?token=
+// @access  Public (signed token)
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { types } = await unsubscribe(req.query.token || req.body.token);
+
+    res.status(200).json({
+      success: true,
+      types,
+      message: 'You will no longer get these emails. They will still show up in your notifications.'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
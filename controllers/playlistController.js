@@ -1,6 +1,7 @@
 const Playlist = require('../models/Playlist');
 const Video = require('../models/Video');
-const { cloudinary } = require('../config/cloudinary');
+const { getStorage, deleteByUrl } = require('../services/storage');
+const { can, accessFilter } = require('../services/accessPolicy');
 const fs = require('fs');
 
 // @desc    Create a playlist
@@ -19,11 +20,13 @@ exports.createPlaylist = async (req, res) => {
     // Handle cover image upload
     let coverImage = null;
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
+      const result = await getStorage().upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/playlists',
-        resource_type: 'image'
+        filename: req.file.filename,
+        contentType: req.file.mimetype
       });
-      coverImage = result.secure_url;
+      coverImage = result.url;
       fs.unlinkSync(req.file.path);
     }
 
@@ -86,17 +89,20 @@ exports.getPlaylists = async (req, res) => {
       ];
     }
     
+    // Signed-in students only see playlists for their branch and year, whatever they filter by
+    const filter = { $and: [query, await accessFilter(req.user, 'Playlist')] };
+    
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    const playlists = await Playlist.find(query)
+    const playlists = await Playlist.find(filter)
       .populate('teacher', 'name')
       .populate('videos.video', 'title thumbnail duration views')
       .skip(skip)
       .limit(parseInt(limit))
       .sort({ createdAt: -1 });
       
-    const total = await Playlist.countDocuments(query);
+    const total = await Playlist.countDocuments(filter);
     
     res.status(200).json({
       success: true,
@@ -129,6 +135,13 @@ exports.getPlaylist = async (req, res) => {
         error: 'Playlist not found'
       });
     }
+
+    if (!(await can(req.user, 'view', playlist))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this playlist'
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -165,7 +178,7 @@ exports.updatePlaylist = async (req, res) => {
     }
 
     // Check if user is the playlist owner
-    if (playlist.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', playlist))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this playlist'
@@ -175,17 +188,18 @@ exports.updatePlaylist = async (req, res) => {
     // Handle cover image upload
     let coverImage = playlist.coverImage;
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
+      const result = await getStorage().upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/playlists',
-        resource_type: 'image'
+        filename: req.file.filename,
+        contentType: req.file.mimetype
       });
-      coverImage = result.secure_url;
+      coverImage = result.url;
       fs.unlinkSync(req.file.path);
 
       // Delete old cover image if exists
       if (playlist.coverImage) {
-        const publicId = playlist.coverImage.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(`streamvibe/playlists/${publicId}`);
+        await deleteByUrl(playlist.coverImage, { resourceType: 'image' });
       }
     }
 
@@ -231,7 +245,7 @@ exports.deletePlaylist = async (req, res) => {
     }
     
     // Check if user is the playlist owner
-    if (playlist.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', playlist))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this playlist'
@@ -240,8 +254,7 @@ exports.deletePlaylist = async (req, res) => {
     
     // Delete cover image if exists
     if (playlist.coverImage) {
-      const publicId = playlist.coverImage.split('/').pop().split('.')[0];
-      await cloudinary.uploader.destroy(`streamvibe/playlists/${publicId}`);
+      await deleteByUrl(playlist.coverImage, { resourceType: 'image' });
     }
 
     await playlist.remove();
@@ -273,7 +286,7 @@ exports.addVideoToPlaylist = async (req, res) => {
     }
     
     // Check if user is the playlist owner
-    if (playlist.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', playlist))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to modify this playlist'
@@ -332,7 +345,7 @@ exports.removeVideoFromPlaylist = async (req, res) => {
     }
     
     // Check if user is the playlist owner
-    if (playlist.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', playlist))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to modify this playlist'
@@ -387,7 +400,7 @@ exports.reorderVideos = async (req, res) => {
     }
     
     // Check if user is the playlist owner
-    if (playlist.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', playlist))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to modify this playlist'
@@ -0,0 +1,134 @@
+const {
+  isPushEnabled,
+  getPublicKey,
+  saveSubscription,
+  listSubscriptions,
+  removeSubscription,
+  sendToUser
+} = require('../services/webPush');
+
+const pushDisabled = (res) => res.status(503).json({
+  success: false,
+  error: 'Push notifications are not enabled'
+});
+
+// @desc    VAPID public key for pushManager.subscribe({ applicationServerKey })
+// @route   GET /api/notifications/push/public-key
+// @access  Private
+exports.getPushPublicKey = async (req, res) => {
+  try {
+    if (!isPushEnabled()) return pushDisabled(res);
+
+    res.status(200).json({
+      success: true,
+      publicKey: await getPublicKey()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Register this browser for push notifications
+// @route   POST /api/notifications/push/subscriptions
+// @access  Private
+exports.subscribe = async (req, res) => {
+  try {
+    if (!isPushEnabled()) return pushDisabled(res);
+
+    // Accept the subscription object itself or { subscription }
+    const subscription = await saveSubscription(req.user._id, req.body.subscription || req.body, req);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: subscription._id,
+        device: subscription.device,
+        createdAt: subscription.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'PushError' ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the devices registered for push notifications
+// @route   GET /api/notifications/push/subscriptions
+// @access  Private
+exports.getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a device, by id or by endpoint (after pushManager unsubscribe)
+// @route   DELETE /api/notifications/push/subscriptions/:id
+// @route   DELETE /api/notifications/push/subscriptions  { endpoint }
+// @access  Private
+exports.unsubscribe = async (req, res) => {
+  try {
+    const removed = await removeSubscription(req.user._id, {
+      id: req.params.id,
+      endpoint: req.body.endpoint
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Push subscription not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a test push to all of the user's devices
+// @route   POST /api/notifications/push/test
+// @access  Private
+exports.sendTestPush = async (req, res) => {
+  try {
+    if (!isPushEnabled()) return pushDisabled(res);
+
+    const delivered = await sendToUser(req.user._id, {
+      title: 'StreamVibe',
+      body: 'Push notifications are working on this device.',
+      tag: 'push-test',
+      type: 'test'
+    });
+
+    res.status(200).json({
+      success: true,
+      delivered
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
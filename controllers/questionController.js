@@ -1,6 +1,8 @@
 const Question = require('../models/Question');
 const Video = require('../models/Video');
-const Notification = require('../models/Notification');
+const { notify } = require('../services/notifications');
+const { can } = require('../services/accessPolicy');
+const { emitToVideo } = require('../services/socket');
 
 // @desc    Create question
 // @route   POST /api/questions
@@ -24,6 +26,13 @@ exports.createQuestion = async (req, res) => {
         error: 'Video not found'
       });
     }
+
+    if (!(await can(req.user, 'interact', videoExists))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
     
     // Create question
     const question = await Question.create({
@@ -38,21 +47,20 @@ exports.createQuestion = async (req, res) => {
     const populatedQuestion = await Question.findById(question._id)
       .populate('user', 'name profilePicture')
       .populate('answers.user', 'name profilePicture');
+
+    emitToVideo(video, 'questionReceived', { videoId: video, question: populatedQuestion });
     
     // Create notification for video owner (teacher)
-    if (videoExists.teacher && videoExists.teacher.toString() !== req.user._id.toString()) {
-      await Notification.create({
-        recipient: videoExists.teacher,
-        sender: req.user._id,
-        type: 'question',
-        title: 'New Question',
-        message: `${req.user.name} asked a question on your video "${videoExists.title}"`,
-        data: {
-          videoId: video,
-          questionId: question._id
-        }
-      });
-    }
+    await notify(videoExists.teacher, {
+      sender: req.user._id,
+      type: 'question_asked',
+      title: 'New Question',
+      message: `${req.user.name} asked a question on your video "${videoExists.title}"`,
+      data: {
+        videoId: video,
+        questionId: question._id
+      }
+    });
     
     res.status(201).json({
       success: true,
@@ -89,6 +97,13 @@ exports.getQuestions = async (req, res) => {
         error: 'Video not found'
       });
     }
+
+    if (!(await can(req.user, 'view', videoExists))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
     
     // Get questions for video
     const questions = await Question.find({ video })
@@ -133,6 +148,13 @@ exports.addAnswer = async (req, res) => {
       });
     }
     
+    if (!(await can(req.user, 'answer', question))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+    
     // Create answer
     const answer = {
       content,
@@ -150,22 +172,21 @@ exports.addAnswer = async (req, res) => {
       .populate('answers.user', 'name profilePicture');
     
     const newAnswer = updatedQuestion.answers[updatedQuestion.answers.length - 1];
+
+    emitToVideo(question.video, 'answerReceived', { videoId: question.video, questionId: question._id, answer: newAnswer });
     
     // Create notification for question owner
-    if (question.user.toString() !== req.user._id.toString()) {
-      await Notification.create({
-        recipient: question.user,
-        sender: req.user._id,
-        type: 'answer',
-        title: 'New Answer',
-        message: `${req.user.name} answered your question`,
-        data: {
-          videoId: question.video,
-          questionId: question._id,
-          answerId: newAnswer._id
-        }
-      });
-    }
+    await notify(question.user, {
+      sender: req.user._id,
+      type: 'question_answered',
+      title: 'New Answer',
+      message: `${req.user.name} answered your question`,
+      data: {
+        videoId: question.video,
+        questionId: question._id,
+        answerId: newAnswer._id
+      }
+    });
     
     res.status(200).json({
       success: true,
@@ -196,6 +217,13 @@ exports.getQuestion = async (req, res) => {
       });
     }
     
+    if (!(await can(req.user, 'view', question))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: question
@@ -1,24 +1,177 @@
+const mongoose = require('mongoose');
 const Video = require('../models/Video');
 const Playlist = require('../models/Playlist');
 const Notice = require('../models/Notice');
+const { accessFilter } = require('../services/accessPolicy');
+const { searchTranscripts } = require('../services/transcriptSearch');
 
-// @desc    Search videos, playlists, and notices
+const MAX_QUERY_LENGTH = 100;
+const SORT_FIELDS = ['relevance', 'createdAt', 'views', 'title'];
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to read the search term, trimmed and capped in length
+const getQuery = (req) => String(req.query.query || '').trim().slice(0, MAX_QUERY_LENGTH);
+
+// Helper to read a filter param as a plain string, so operators like ?branch[$ne]= never reach a query
+const getStringParam = (req, name) => {
+  const value = req.query[name];
+  if (value === undefined || value === '') return undefined;
+
+  if (typeof value !== 'string') {
+    const error = new Error(`Invalid ${name} filter`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return value;
+};
+
+// Helper to turn the teacher filter into an ObjectId (aggregations do not cast)
+const getTeacherFilter = (req) => {
+  const teacher = getStringParam(req, 'teacher');
+  if (!teacher) return {};
+
+  if (!mongoose.isValidObjectId(teacher)) {
+    const error = new Error('Invalid teacher id');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { teacher: new mongoose.Types.ObjectId(teacher) };
+};
+
+// Each filter starts from the access policy so search only returns what the user may open
+
+// Videos: students only see videos from their courses, branch/year or shared with them
+const getVideoFilter = async (req) => {
+  const [subject, branch, year] = ['subject', 'branch', 'year'].map(name => getStringParam(req, name));
+  const filter = { ...getTeacherFilter(req), ...(await accessFilter(req.user, 'Video')) };
+
+  if (req.user.role !== 'student') {
+    if (branch) filter.branch = branch;
+    if (year) filter.year = year;
+  }
+
+  if (subject) {
+    filter.subject = subject;
+  }
+
+  return filter;
+};
+
+// Playlists: students only see playlists for their branch and year
+const getPlaylistFilter = async (req) => {
+  const [category, branch, year] = ['category', 'branch', 'year'].map(name => getStringParam(req, name));
+  const filter = { ...getTeacherFilter(req), ...(await accessFilter(req.user, 'Playlist')) };
+
+  if (req.user.role !== 'student') {
+    if (branch) filter.branch = branch;
+    if (year) filter.year = parseInt(year);
+  }
+
+  if (category) {
+    filter.category = category;
+  }
+
+  return filter;
+};
+
+// Notices: only active ones, students see notices for their branch/year (or "All")
+const getNoticeFilter = async (req) => {
+  const [category, branch, year] = ['category', 'branch', 'year'].map(name => getStringParam(req, name));
+  const filter = { isActive: true, ...getTeacherFilter(req), ...(await accessFilter(req.user, 'Notice')) };
+
+  if (req.user.role !== 'student') {
+    if (branch) filter.branch = branch;
+    if (year) filter.year = year;
+  }
+
+  if (category) {
+    filter.category = category;
+  }
+
+  return filter;
+};
+
+// Relevance first by default, otherwise the requested field with relevance as tie-breaker
+const getSortOption = (req) => {
+  const { sort = 'relevance', order = 'desc' } = req.query;
+  const field = SORT_FIELDS.includes(sort) ? sort : 'relevance';
+
+  if (field === 'relevance') {
+    return { score: { $meta: 'textScore' } };
+  }
+
+  return { [field]: order === 'asc' ? 1 : -1, score: { $meta: 'textScore' } };
+};
+
+// Run a ranked text search on one collection and paginate it
+const textSearch = async (Model, filter, { query, page, limit, sort, populate }) => {
+  const match = { $text: { $search: query }, ...filter };
+
+  const [data, total] = await Promise.all([
+    Model.find(match, { score: { $meta: 'textScore' } })
+      .populate(populate.path, populate.select)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(match)
+  ]);
+
+  return {
+    count: data.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    page,
+    data
+  };
+};
+
+// Count matching videos by subject, branch, year and teacher
+const getVideoFacets = async (query, filter) => {
+  const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 20 }
+  ];
+
+  const [facets] = await Video.aggregate([
+    { $match: { $text: { $search: query }, ...filter } },
+    {
+      $facet: {
+        subject: countBy('subject'),
+        branch: countBy('branch'),
+        year: countBy('year'),
+        teacher: [
+          ...countBy('teacher'),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $project: { count: 1, name: { $arrayElemAt: ['$user.name', 0] } } }
+        ]
+      }
+    }
+  ]);
+
+  const format = (buckets) => buckets.map(({ _id, count, name }) => (
+    name !== undefined ? { value: _id, name, count } : { value: _id, count }
+  ));
+
+  return {
+    subject: format(facets.subject),
+    branch: format(facets.branch),
+    year: format(facets.year),
+    teacher: format(facets.teacher)
+  };
+};
+
+// @desc    Search videos, playlists, notices and transcripts
 // @route   GET /api/search
 // @access  Private
 exports.search = async (req, res) => {
   try {
-    const {
-      query,
-      type,
-      category,
-      branch,
-      year,
-      teacher,
-      page = 1,
-      limit = 10,
-      sort = 'createdAt',
-      order = 'desc'
-    } = req.query;
+    const query = getQuery(req);
+    const { type, page = 1, limit = 10 } = req.query;
 
     if (!query) {
       return res.status(400).json({
@@ -27,123 +180,55 @@ exports.search = async (req, res) => {
       });
     }
 
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Sorting
-    const sortOption = {};
-    sortOption[sort] = order === 'desc' ? -1 : 1;
-
-    // Base search query
-    const searchQuery = {
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ]
+    const options = {
+      query,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50),
+      sort: getSortOption(req)
     };
 
-    // Apply filters based on user role
-    if (req.user.role === 'student') {
-      searchQuery.isApproved = true;
-      searchQuery.$or.push(
-        { branch: { $in: ['All', req.user.branch] } },
-        { year: { $in: ['All', req.user.year] } },
-        { specialAccess: req.user._id }
-      );
-    }
-
-    // Additional filters
-    if (category) {
-      searchQuery.category = category;
-    }
-
-    if (branch && req.user.role !== 'student') {
-      searchQuery.branch = branch;
-    }
-
-    if (year && req.user.role !== 'student') {
-      searchQuery.year = year;
-    }
-
-    if (teacher) {
-      searchQuery.teacher = teacher;
-    }
-
     let results = {
       videos: [],
       playlists: [],
-      notices: []
+      notices: [],
+      transcripts: []
     };
 
     // Search videos
     if (!type || type === 'videos') {
-      const videos = await Video.find(searchQuery)
-        .populate('teacher', 'name profilePicture')
-        .skip(skip)
-        .limit(parseInt(limit))
-        .sort(sortOption);
-
-      const totalVideos = await Video.countDocuments(searchQuery);
-
-      results.videos = {
-        count: videos.length,
-        total: totalVideos,
-        totalPages: Math.ceil(totalVideos / parseInt(limit)),
-        page: parseInt(page),
-        data: videos
-      };
+      const videoFilter = await getVideoFilter(req);
+
+      const [videos, facets] = await Promise.all([
+        textSearch(Video, videoFilter, { ...options, populate: { path: 'teacher', select: 'name profilePicture' } }),
+        getVideoFacets(query, videoFilter)
+      ]);
+
+      results.videos = { ...videos, facets };
     }
 
     // Search playlists
     if (!type || type === 'playlists') {
-      const playlistQuery = { ...searchQuery };
-      if (req.user.role === 'student') {
-        playlistQuery.visibility = 'public';
-      }
-
-      const playlists = await Playlist.find(playlistQuery)
-        .populate('teacher', 'name profilePicture')
-        .skip(skip)
-        .limit(parseInt(limit))
-        .sort(sortOption);
-
-      const totalPlaylists = await Playlist.countDocuments(playlistQuery);
-
-      results.playlists = {
-        count: playlists.length,
-        total: totalPlaylists,
-        totalPages: Math.ceil(totalPlaylists / parseInt(limit)),
-        page: parseInt(page),
-        data: playlists
-      };
+      results.playlists = await textSearch(Playlist, await getPlaylistFilter(req), {
+        ...options,
+        populate: { path: 'teacher', select: 'name profilePicture' }
+      });
     }
 
     // Search notices
     if (!type || type === 'notices') {
-      const noticeQuery = { ...searchQuery };
-      if (req.user.role === 'student') {
-        noticeQuery.isPublished = true;
-        noticeQuery.$or.push(
-          { 'targetAudience.branches': { $in: ['All', req.user.branch] } },
-          { 'targetAudience.years': { $in: ['All', req.user.year] } }
-        );
-      }
+      results.notices = await textSearch(Notice, await getNoticeFilter(req), {
+        ...options,
+        populate: { path: 'teacher', select: 'name profilePicture' }
+      });
+    }
 
-      const notices = await Notice.find(noticeQuery)
-        .populate('author', 'name profilePicture')
-        .skip(skip)
-        .limit(parseInt(limit))
-        .sort(sortOption);
-
-      const totalNotices = await Notice.countDocuments(noticeQuery);
-
-      results.notices = {
-        count: notices.length,
-        total: totalNotices,
-        totalPages: Math.ceil(totalNotices / parseInt(limit)),
-        page: parseInt(page),
-        data: notices
-      };
+    // Search inside video transcripts
+    if (!type || type === 'transcripts') {
+      results.transcripts = await searchTranscripts(query, {
+        videoFilter: await getVideoFilter(req),
+        page: options.page,
+        limit: options.limit
+      });
     }
 
     res.status(200).json({
@@ -151,19 +236,19 @@ exports.search = async (req, res) => {
       data: results
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 };
 
-// @desc    Get search suggestions
+// @desc    Get search suggestions (prefix autocomplete on titles and tags)
 // @route   GET /api/search/suggestions
 // @access  Private
 exports.getSuggestions = async (req, res) => {
   try {
-    const { query } = req.query;
+    const query = getQuery(req);
 
     if (!query) {
       return res.status(400).json({
@@ -172,83 +257,96 @@ exports.getSuggestions = async (req, res) => {
       });
     }
 
-    // Base search query
-    const searchQuery = {
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ]
-    };
-
-    // Apply filters based on user role
-    if (req.user.role === 'student') {
-      searchQuery.isApproved = true;
-      searchQuery.$or.push(
-        { branch: { $in: ['All', req.user.branch] } },
-        { year: { $in: ['All', req.user.year] } },
-        { specialAccess: req.user._id }
-      );
-    }
-
-    // Get suggestions from videos
-    const videoSuggestions = await Video.find(searchQuery)
-      .select('title category')
-      .limit(5)
-      .sort({ views: -1 });
-
-    // Get suggestions from playlists
-    const playlistQuery = { ...searchQuery };
-    if (req.user.role === 'student') {
-      playlistQuery.visibility = 'public';
-    }
-
-    const playlistSuggestions = await Playlist.find(playlistQuery)
-      .select('title category')
-      .limit(5)
-      .sort({ 'videos.length': -1 });
-
-    // Get suggestions from notices
-    const noticeQuery = { ...searchQuery };
-    if (req.user.role === 'student') {
-      noticeQuery.isPublished = true;
-      noticeQuery.$or.push(
-        { 'targetAudience.branches': { $in: ['All', req.user.branch] } },
-        { 'targetAudience.years': { $in: ['All', req.user.year] } }
-      );
-    }
-
-    const noticeSuggestions = await Notice.find(noticeQuery)
-      .select('title category')
-      .limit(5)
-      .sort({ createdAt: -1 });
+    // Anchored on the title or on the start of a word, input is escaped so it is matched literally
+    const startsWith = new RegExp(`^${escapeRegex(query)}`, 'i');
+    const wordStartsWith = new RegExp(`(?:^|\\s)${escapeRegex(query)}`, 'i');
+
+    const [videoSuggestions, playlistSuggestions, noticeSuggestions] = await Promise.all([
+      Video.find({
+        $and: [
+          await getVideoFilter(req),
+          { $or: [{ title: wordStartsWith }, { tags: startsWith }] }
+        ]
+      })
+        .select('title subject')
+        .limit(5)
+        .sort({ views: -1 }),
+      Playlist.find({ ...(await getPlaylistFilter(req)), title: wordStartsWith })
+        .select('title category')
+        .limit(5)
+        .sort({ createdAt: -1 }),
+      Notice.find({ ...(await getNoticeFilter(req)), title: wordStartsWith })
+        .select('title category')
+        .limit(5)
+        .sort({ createdAt: -1 })
+    ]);
+
+    // Titles that start with the query rank above mid-title matches
+    const byPrefix = (a, b) => Number(startsWith.test(b.title)) - Number(startsWith.test(a.title));
 
-    // Combine and format suggestions
     const suggestions = [
       ...videoSuggestions.map(v => ({
+        _id: v._id,
         type: 'video',
         title: v.title,
-        category: v.category
+        category: v.subject
       })),
       ...playlistSuggestions.map(p => ({
+        _id: p._id,
         type: 'playlist',
         title: p.title,
         category: p.category
       })),
       ...noticeSuggestions.map(n => ({
+        _id: n._id,
         type: 'notice',
         title: n.title,
         category: n.category
       }))
-    ];
+    ].sort(byPrefix);
 
     res.status(200).json({
       success: true,
       data: suggestions
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    Search inside video transcripts and jump to the matching timestamps
+// @route   GET /api/search/transcripts
+// @access  Private
+exports.searchTranscripts = async (req, res) => {
+  try {
+    const query = getQuery(req);
+    const { page = 1, limit = 10, hitsPerVideo = 5 } = req.query;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    const results = await searchTranscripts(query, {
+      videoFilter: await getVideoFilter(req),
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50),
+      hitsPerVideo: Math.min(parseInt(hitsPerVideo) || 5, 50)
+    });
+
+    res.status(200).json({
+      success: true,
+      ...results
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
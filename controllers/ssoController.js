@@ -0,0 +1,170 @@
+const {
+  SsoError,
+  getProvider,
+  listProviders,
+  signState,
+  verifyState,
+  safeReturnTo,
+  provisionUser
+} = require('../services/sso');
+const { createSession, setRefreshCookie } = require('../services/authSessions');
+const { createChallengeToken } = require('../services/twoFactor');
+const { enrollByRules } = require('../services/enrollment');
+
+// OIDC keeps its login state in this cookie; SAML sends it back as RelayState
+const STATE_COOKIE = 'ssoState';
+
+const getStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Sent on the top-level redirect back from the identity provider
+  sameSite: 'lax',
+  path: '/api/auth/sso',
+  maxAge: 10 * 60 * 1000
+});
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Send the browser back to the frontend, which finishes sign-in (POST /api/auth/refresh)
+const redirectToFrontend = (res, params = {}, fragment = {}) => {
+  const query = new URLSearchParams(params).toString();
+  const hash = new URLSearchParams(fragment).toString();
+  res.redirect(`${getFrontendUrl()}/sso/callback${query ? `?${query}` : ''}${hash ? `#${hash}` : ''}`);
+};
+
+// @desc    List the single sign-on providers that are configured
+// @route   GET /api/auth/sso
+// @access  Public
+exports.getProviders = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      providers: listProviders()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start single sign-on (redirects to the identity provider)
+// @route   GET /api/auth/sso/:provider/login?returnTo=
+// @access  Public
+exports.startSso = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sign-in provider not found'
+      });
+    }
+
+    const returnTo = safeReturnTo(req.query.returnTo);
+
+    if (provider.type === 'saml') {
+      const { url } = await provider.startLogin({
+        relayState: signState({ provider: provider.id, returnTo })
+      });
+      return res.redirect(url);
+    }
+
+    const { url, state } = await provider.startLogin();
+    res.cookie(STATE_COOKIE, signState({ provider: provider.id, returnTo, ...state }), getStateCookieOptions());
+    res.redirect(url);
+  } catch (error) {
+    console.error('Error starting single sign-on:', error);
+    redirectToFrontend(res, { error: 'Could not reach the sign-in provider' });
+  }
+};
+
+// @desc    Finish single sign-on (identity provider redirects or posts back here)
+// @route   GET|POST /api/auth/sso/:provider/callback
+// @access  Public
+exports.ssoCallback = async (req, res) => {
+  const params = req.method === 'POST' ? req.body : req.query;
+
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sign-in provider not found'
+      });
+    }
+
+    const saved = verifyState(provider.type === 'saml' ? params.RelayState : req.cookies[STATE_COOKIE]);
+    res.clearCookie(STATE_COOKIE, { ...getStateCookieOptions(), maxAge: undefined });
+
+    if (saved.provider !== provider.id) {
+      throw new SsoError('Invalid sign-in response, please try again');
+    }
+
+    const identity = await provider.finishLogin(params, saved);
+    const { user, created, linked } = await provisionUser(provider.id, identity);
+
+    if (created && user.role === 'student') {
+      try {
+        await enrollByRules(user);
+      } catch (enrollError) {
+        console.error('Automatic course enrollment failed:', enrollError);
+      }
+    }
+
+    if (!user.isApproved) {
+      return redirectToFrontend(res, {
+        error: 'Your account is pending approval. Please wait for admin approval.'
+      });
+    }
+
+    // Accounts with 2FA still need their code; the frontend posts it to /api/auth/login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return redirectToFrontend(res, { returnTo: saved.returnTo }, {
+        challengeToken: createChallengeToken(user)
+      });
+    }
+
+    const { session, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken, session.expiresAt);
+
+    redirectToFrontend(res, {
+      returnTo: saved.returnTo,
+      ...(created ? { created: 'true' } : {}),
+      ...(linked ? { linked: 'true' } : {})
+    });
+  } catch (error) {
+    if (error.name !== 'SsoError') {
+      console.error('Single sign-on error:', error);
+    }
+    redirectToFrontend(res, {
+      error: error.name === 'SsoError' ? error.message : 'Sign-in failed, please try again'
+    });
+  }
+};
+
+// @desc    SAML service provider metadata
+// @route   GET /api/auth/sso/saml/metadata
+// @access  Public
+exports.getSamlMetadata = async (req, res) => {
+  try {
+    const provider = getProvider('saml');
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: 'SAML is not configured'
+      });
+    }
+
+    res.type('application/xml').send(provider.getMetadata());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
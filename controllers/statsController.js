@@ -5,6 +5,9 @@ const View = require('../models/View');
 const Like = require('../models/Like');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
+const VideoHeatmap = require('../models/VideoHeatmap');
+const { buildRetentionReport } = require('../services/watchAnalytics');
+const { can } = require('../services/accessPolicy');
 
 // @desc    Get teacher dashboard stats
 // @route   GET /api/stats/teacher
@@ -257,7 +260,7 @@ exports.getVideoStats = async (req, res) => {
     }
 
     // Check ownership
-    if (video.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this data'
@@ -346,4 +349,59 @@ exports.getVideoStats = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    Get audience retention curve, rewatch hotspots and drop-off points
+// @route   GET /api/stats/videos/:id/retention
+// @access  Private/Teacher
+exports.getVideoRetention = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    // Check ownership
+    if (!(await can(req.user, 'manage', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this data'
+      });
+    }
+
+    const heatmap = await VideoHeatmap.findOne({ video: video._id });
+
+    if (!heatmap) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          duration: video.duration,
+          uniqueViewers: 0,
+          curve: [],
+          hotspots: [],
+          dropOffs: []
+        }
+      });
+    }
+
+    // Optional downsampling for charts, e.g. ?points=100
+    const points = parseInt(req.query.points) || undefined;
+
+    res.status(200).json({
+      success: true,
+      data: buildRetentionReport(heatmap, {
+        points: points && Math.max(10, points),
+        limit: Math.min(parseInt(req.query.limit) || 5, 20)
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  buildQrCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  consumeCode
+} = require('../services/twoFactor');
+
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private/Teacher/Admin
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      twoFactor: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start 2FA setup: new secret, otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private/Teacher/Admin
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Not active until confirmed with a code from the app
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUri(secret, user.email);
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await buildQrCode(otpauthUrl)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm setup with a code from the authenticator app and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private/Teacher/Admin
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      // Shown only once
+      recoveryCodes: codes,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turn 2FA off (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private/Teacher/Admin
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRETS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for admin accounts'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (!(await consumeCode(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the recovery codes (a current code required)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private/Teacher/Admin
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeCode(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes: codes,
+      message: 'New recovery codes generated, the old ones no longer work'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
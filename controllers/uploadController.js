@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const { uploadVideo } = require('./videoController');
+const { RESUMABLE_DIR, LOCK_TIMEOUT, getSessionTtl } = require('../jobs/uploadCleanup');
+
+const ALLOWED_VIDEO_TYPES = /mp4|webm|mov|avi|mkv|flv/;
+
+// Read when used so it can come from .env
+const getMaxUploadSize = () => parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE, 10) || 5 * 1024 * 1024 * 1024; // 5GB
+
+// Ensure resumable uploads directory exists
+if (!fs.existsSync(RESUMABLE_DIR)) {
+  fs.mkdirSync(RESUMABLE_DIR, { recursive: true });
+}
+
+// Helper to parse tus style "Upload-Metadata: filename bXkubXA0,filetype dmlkZW8vbXA0"
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+};
+
+// Helper to set the upload state headers shared by every response
+const setUploadHeaders = (res, session) => {
+  res.setHeader('Tus-Resumable', '1.0.0');
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.size);
+  res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+// Helper to find an active session owned by the current user
+const findSession = async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'Upload session not found'
+    });
+    return null;
+  }
+
+  if (session.isExpired()) {
+    res.status(410).json({
+      success: false,
+      error: 'Upload session has expired'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Helper to stop a chunk from writing past the declared upload length
+const createLimiter = (remaining) => {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const error = new Error('Chunk exceeds the declared upload length');
+        error.statusCode = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+// @desc    Create a resumable upload session
+// @route   POST /api/uploads
+// @access  Private/Teacher
+exports.createUploadSession = async (req, res) => {
+  try {
+    const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+    const filename = req.body.filename || metadata.filename;
+    const mimetype = req.body.mimetype || metadata.filetype;
+    const size = parseInt(req.body.size || req.headers['upload-length'], 10);
+
+    if (!filename || !mimetype || !size || size < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide filename, mimetype and size'
+      });
+    }
+
+    const extname = ALLOWED_VIDEO_TYPES.test(path.extname(filename).toLowerCase());
+    if (!extname || !mimetype.includes('video/')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type. Only videos can be uploaded.'
+      });
+    }
+
+    if (size > getMaxUploadSize()) {
+      return res.status(413).json({
+        success: false,
+        error: `File is too large. Maximum size is ${getMaxUploadSize()} bytes`
+      });
+    }
+
+    const session = new UploadSession({
+      user: req.user._id,
+      filename,
+      mimetype,
+      size,
+      expiresAt: new Date(Date.now() + getSessionTtl())
+    });
+    session.path = path.join(RESUMABLE_DIR, `${session._id}.part`);
+
+    await fs.promises.writeFile(session.path, '');
+    await session.save();
+
+    setUploadHeaders(res, session);
+    res.setHeader('Location', `${req.baseUrl}/${session._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current offset of an upload
+// @route   HEAD /api/uploads/:id
+// @access  Private/Teacher
+exports.getUploadOffset = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    setUploadHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Append a chunk to an upload
+// @route   PATCH /api/uploads/:id
+// @access  Private/Teacher
+exports.uploadChunk = async (req, res) => {
+  let session;
+
+  try {
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const clientOffset = parseInt(req.headers['upload-offset'], 10);
+    if (Number.isNaN(clientOffset) || clientOffset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset header is required'
+      });
+    }
+
+    const current = await findSession(req, res);
+    if (!current) return;
+
+    if (current.offset !== clientOffset) {
+      setUploadHeaders(res, current);
+      return res.status(409).json({
+        success: false,
+        error: `Upload-Offset mismatch, expected ${current.offset}`
+      });
+    }
+
+    // Lock the session so two requests cannot append at the same time
+    const now = new Date();
+    session = await UploadSession.findOneAndUpdate(
+      {
+        _id: current._id,
+        offset: clientOffset,
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }]
+      },
+      { lockedAt: now },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(423).json({
+        success: false,
+        error: 'Another chunk is being uploaded for this session'
+      });
+    }
+
+    // Drop any bytes written past the recorded offset by an interrupted request
+    await fs.promises.truncate(session.path, session.offset);
+
+    let streamError = null;
+    await new Promise((resolve) => {
+      pipeline(
+        req,
+        createLimiter(session.size - session.offset),
+        fs.createWriteStream(session.path, { flags: 'a' }),
+        (err) => {
+          streamError = err || null;
+          resolve();
+        }
+      );
+    });
+
+    // Keep whatever arrived, even if the connection dropped mid-chunk
+    const { size: written } = await fs.promises.stat(session.path);
+    const offset = Math.min(written, session.size);
+    if (written > session.size) {
+      await fs.promises.truncate(session.path, session.size);
+    }
+
+    session.offset = offset;
+    session.lockedAt = null;
+    session.expiresAt = new Date(Date.now() + getSessionTtl());
+    await session.save();
+
+    if (res.headersSent || req.aborted) return;
+
+    setUploadHeaders(res, session);
+
+    if (streamError && streamError.statusCode === 413) {
+      return res.status(413).json({
+        success: false,
+        error: streamError.message
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error uploading chunk:', error);
+
+    if (session) {
+      await UploadSession.updateOne({ _id: session._id }, { lockedAt: null }).catch(() => {});
+    }
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+};
+
+// @desc    Finish an upload and hand the file to the video upload flow (body: the video details)
+// @route   POST /api/uploads/:id/complete
+// @access  Private/Teacher
+exports.completeUpload = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.offset !== session.size) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        error: `Upload is incomplete, received ${session.offset} of ${session.size} bytes`
+      });
+    }
+
+    // Move the assembled file to where multer would have put it
+    const filename = `${Date.now()}-${path.basename(session.filename).replace(/\s+/g, '-')}`;
+    const filePath = path.join('public/uploads', filename);
+    await fs.promises.rename(session.path, filePath);
+
+    await session.deleteOne();
+
+    req.file = {
+      filename,
+      originalname: session.filename,
+      mimetype: session.mimetype,
+      size: session.size,
+      path: filePath
+    };
+
+    return uploadVideo(req, res);
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel an upload
+// @route   DELETE /api/uploads/:id
+// @access  Private/Teacher
+exports.cancelUpload = async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+
+    await fs.promises.rm(session.path, { force: true });
+    await session.deleteOne();
+
+    res.setHeader('Tus-Resumable', '1.0.0');
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,5 @@
 const User = require('../models/User');
-const Notification = require('../models/Notification');
-const { cloudinary } = require('../config/cloudinary');
+const { notify } = require('../services/notifications');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -297,9 +296,9 @@ exports.updateUser = async (req, res) => {
     
     // If approval status changed, create notification
     if (isApproved !== undefined && isApproved !== user.isApproved) {
-      await Notification.create({
-        recipient: user._id,
-        type: 'system_announcement',
+      await notify(user._id, {
+        type: 'account_status',
+        sender: req.user._id,
         title: isApproved ? 'Account Approved' : 'Account Rejected',
         message: isApproved 
           ? 'Your account has been approved. You can now use all the features.' 
@@ -398,19 +397,15 @@ exports.bulkApproval = async (req, res) => {
       console.log('Update result:', result);
       
       // Create notifications for all affected users
-      const notificationPromises = userIds.map(userId => {
-        return Notification.create({
-          recipient: userId,
-          type: 'system_announcement',
-          title: isApproved ? 'Account Approved' : 'Account Rejected',
-          message: isApproved 
-            ? 'Your account has been approved. You can now use all the features.' 
-            : 'Your account approval has been revoked. Please contact the administrator.'
-        });
+      await notify(userIds, {
+        type: 'account_status',
+        sender: req.user._id,
+        title: isApproved ? 'Account Approved' : 'Account Rejected',
+        message: isApproved 
+          ? 'Your account has been approved. You can now use all the features.' 
+          : 'Your account approval has been revoked. Please contact the administrator.'
       });
       
-      await Promise.all(notificationPromises);
-      
       res.status(200).json({
         success: true,
         message: `${result.modifiedCount} users ${isApproved ? 'approved' : 'rejected'} successfully`,
@@ -1,28 +1,44 @@
 const Video = require('../models/Video');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const { notify } = require('../services/notifications');
 const VideoView = require('../models/VideoView');
 const Like = require('../models/Like');
 const Comment = require('../models/Comment');
-const { cloudinary } = require('../config/cloudinary');
+const Caption = require('../models/Caption');
+const { getStorage, deleteByUrl, isAllowedSource } = require('../services/storage');
 const fs = require('fs');
 const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
-const ffprobeInstaller = require('@ffprobe-installer/ffprobe');
+const {
+  SEGMENT_PATTERN,
+  hlsKey,
+  buildMasterPlaylist,
+  appendQueryToPlaylist,
+  deleteHlsRenditions
+} = require('../services/hlsTranscoder');
+const {
+  buildStoryboardVtt,
+  deleteGeneratedImages
+} = require('../services/thumbnailGenerator');
+const { can, accessFilter } = require('../services/accessPolicy');
+const {
+  StreamTokenError,
+  issueStreamToken,
+  authorizePlayback,
+  endStream
+} = require('../services/streamTokens');
+const { sendStoredFile } = require('../services/rangeStreaming');
+const { emitToVideo } = require('../services/socket');
+const { getRecommendedVideos, getUpNextVideos } = require('../services/recommendations');
+const { enqueue } = require('../services/jobQueue');
+const { VIDEO_PROCESS_JOB, stageUpload } = require('../jobs/videoProcessing');
 const mongoose = require('mongoose');
 
-// Set FFmpeg and FFprobe paths
-ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-ffmpeg.setFfprobePath(ffprobeInstaller.path);
-
-console.log('FFmpeg path:', ffmpegInstaller.path);
-console.log('FFprobe path:', ffprobeInstaller.path);
-
-// @desc    Upload video
+// @desc    Upload a video file with its details; storing and processing happen in a background job
 // @route   POST /api/videos/upload
 // @access  Private/Teacher
 exports.uploadVideo = async (req, res) => {
+  let stagedPath = null;
+
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -38,72 +54,63 @@ exports.uploadVideo = async (req, res) => {
       path: req.file.path
     });
 
-    // Get video duration
-    let duration = 0;
-    try {
-      duration = await getVideoDuration(req.file.path);
-      console.log('Video duration:', duration);
-    } catch (durationError) {
-      console.warn('Failed to get video duration, continuing with upload:', durationError.message);
-    }
+    const {
+      title,
+      description,
+      subject,
+      topic,
+      tags,
+      thumbnailUrl,
+      branch,
+      year,
+      specialAccess
+    } = req.body;
 
-    // Upload video to cloudinary
-    console.log('Uploading to Cloudinary...');
-    
-    try {
-      const result = await cloudinary.uploader.upload(req.file.path, {
-        resource_type: 'video',
-        folder: 'streamvibe/videos',
-        chunk_size: 6000000, // Use larger chunks (6MB)
-        eager: [
-          { format: 'mp4', quality: 'auto' },
-          { format: 'webm', quality: 'auto' }
-        ],
-        eager_async: true,
-        timeout: 120000 // Increase timeout to 2 minutes
-      });
-      
-      console.log('Cloudinary upload result:', {
-        url: result.secure_url,
-        public_id: result.public_id,
-        format: result.format,
-        resource_type: result.resource_type
-      });
+    const video = new Video({
+      title,
+      description,
+      subject,
+      topic,
+      tags,
+      thumbnailUrl,
+      branch,
+      year,
+      specialAccess: Array.isArray(specialAccess) ? specialAccess : [],
+      teacher: req.user._id,
+      processingStatus: 'uploaded',
+      hls: { status: process.env.HLS_ENABLED === 'false' ? 'none' : 'pending' }
+    });
+    video.videoUrl = `${Video.PENDING_URL_PREFIX}${video._id}`;
 
-      // Delete local file
-      fs.unlinkSync(req.file.path);
-      console.log('Local file deleted');
+    // Check the details before keeping the file
+    await video.validate();
 
-      res.status(200).json({
-        success: true,
-        data: {
-          videoUrl: result.secure_url,
-          duration,
-          formats: result.eager && result.eager.length > 0 
-            ? result.eager.map(format => ({
-                url: format.secure_url,
-                format: format.format
-              }))
-            : [{ url: result.secure_url, format: result.format }]
-        }
-      });
-    } catch (cloudinaryError) {
-      console.error('Cloudinary upload error:', cloudinaryError);
-      
-      // Clean up local file
-      if (req.file && req.file.path) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting local file:', unlinkError);
-        }
+    stagedPath = await stageUpload(req.file);
+    video.source = {
+      path: stagedPath,
+      filename: req.file.filename,
+      mimetype: req.file.mimetype
+    };
+    await video.save();
+
+    await enqueue(VIDEO_PROCESS_JOB, { videoId: video._id.toString() });
+
+    // Progress arrives as videoProcessing socket events and from GET /api/videos/:id/processing
+    res.status(202).json({
+      success: true,
+      data: {
+        videoId: video._id,
+        processingStatus: video.processingStatus,
+        processingProgress: video.processingProgress
       }
-      
-      throw new Error(`Cloudinary upload failed: ${cloudinaryError.message}`);
-    }
+    });
   } catch (error) {
     console.error('Video upload error:', error);
-    
+
+    if (stagedPath) {
+      fs.rmSync(stagedPath, { force: true });
+    }
+
     // Clean up local file if it exists
     if (req.file && req.file.path && fs.existsSync(req.file.path)) {
       try {
@@ -140,6 +147,14 @@ exports.createVideo = async (req, res) => {
       specialAccess // should be array of student IDs
     } = req.body;
 
+    // The processing job reads the file, so only our storage or an allowed host
+    if (!isAllowedSource(videoUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The video URL must point to uploaded storage or an allowed host'
+      });
+    }
+
     // Check if video with this URL already exists
     const existingVideo = await Video.findOne({ videoUrl });
     if (existingVideo) {
@@ -162,9 +177,14 @@ exports.createVideo = async (req, res) => {
       branch,
       year,
       specialAccess: Array.isArray(specialAccess) ? specialAccess : [],
-      teacher: req.user._id
+      teacher: req.user._id,
+      processingStatus: 'uploaded',
+      hls: { status: process.env.HLS_ENABLED === 'false' ? 'none' : 'pending' }
     });
 
+    // Probe and transcode in a background job, the progressive URL works meanwhile
+    await enqueue(VIDEO_PROCESS_JOB, { videoId: video._id.toString() });
+
     res.status(201).json({
       success: true,
       data: video
@@ -204,24 +224,12 @@ exports.getVideos = async (req, res) => {
         id: req.user._id
       });
 
-      // If user is a student, only show videos for their branch and year
+      // If user is a student, only show videos from their courses, branch and year
       if (req.user.role === 'student') {
         const studentQuery = {
           $and: [
             query, // Include any search query
-            {
-              $or: [
-                // Show videos matching student's branch and year
-                {
-                  branch: req.user.branch,
-                  year: req.user.year
-                },
-                // Show videos with special access for this student
-                {
-                  specialAccess: { $in: [req.user._id] }
-                }
-              ]
-            }
+            await accessFilter(req.user, 'Video') // Course enrollment, branch/year match or special access
           ]
         };
         query = studentQuery;
@@ -275,6 +283,37 @@ exports.getVideos = async (req, res) => {
   }
 };
 
+// Helper to build the playback URLs handed to the player, each carrying the token
+const buildStreamInfo = (video, stream) => {
+  const query = `token=${encodeURIComponent(stream.token)}`;
+
+  return {
+    token: stream.token,
+    streamId: stream.streamId,
+    expiresAt: stream.expiresAt,
+    proxyUrl: `/api/videos/proxy/${video._id}?${query}`,
+    hlsUrl: video.hls && video.hls.status === 'ready'
+      ? `/api/videos/${video._id}/hls/master.m3u8?${query}`
+      : null
+  };
+};
+
+// Helper to check the playback token and its viewer's access, sends the error response if refused
+const checkStreamToken = async (req, res, video) => {
+  try {
+    await authorizePlayback(req.query.token, video, req.user);
+    return true;
+  } catch (error) {
+    if (!(error instanceof StreamTokenError)) throw error;
+
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+    return false;
+  }
+};
+
 // @desc    Get single video
 // @route   GET /api/videos/:id
 // @access  Public/Private
@@ -303,96 +342,51 @@ exports.getVideo = async (req, res) => {
       });
     }
 
-    // Log the full video URL to ensure it's correctly retrieved
-    console.log('Full video URL from database:', video.videoUrl);
-    
-    // Check access permissions if user is authenticated
-    if (req.user) {
-      console.log('Video access check (detailed):', {
-        userRole: req.user.role,
-        userBranch: req.user.branch,
-        userYear: req.user.year,
-        videoBranch: video.branch,
-        videoYear: video.year,
-        videoSpecialAccess: video.specialAccess,
-        branchMatch: video.branch === req.user.branch,
-        yearMatch: video.year === req.user.year
+    // Visitors see catalogue details; students need course, branch/year or special access
+    // (see services/accessPolicy)
+    if (!(await can(req.user, 'browse', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
       });
-
-      // Check if user has access to this video
-      if (req.user.role === 'student') {
-        // Check branch and year as strings to ensure proper comparison
-        const branchMatch = String(video.branch) === String(req.user.branch);
-        const yearMatch = String(video.year) === String(req.user.year);
-        
-        // Check if student has special access
-        const hasSpecialAccess = Array.isArray(video.specialAccess) && 
-          video.specialAccess.some(id => id.toString() === req.user._id.toString());
-        
-        const hasAccess = (branchMatch && yearMatch) || hasSpecialAccess;
-
-        console.log('Student access calculation:', {
-          branchMatch,
-          yearMatch,
-          specialAccess: video.specialAccess,
-          hasSpecialAccess,
-          hasAccess,
-          videoBranch: video.branch,
-          videoYear: video.year,
-          studentBranch: req.user.branch,
-          studentYear: req.user.year
-        });
-
-        if (!hasAccess) {
-          return res.status(403).json({
-            success: false,
-            error: 'You do not have access to this video'
-          });
-        }
-      }
-      
-      // Check if user has liked the video
-      const userLiked = await Like.findOne({ video: req.params.id, user: req.user._id });
-    } else {
-      console.log('Public access to video - no user info available');
     }
 
-    // Create optimized video URL if it's a Cloudinary URL
+    // Playback goes through the token-checked stream URLs, never the storage URLs
     const videoData = video.toObject();
+    delete videoData.videoUrl;
+    delete videoData.formats;
     
     // Add likes count to the response
     videoData.likes = likesCount;
+
+    // Short-lived playback URLs, the proxy and HLS routes reject requests without a valid token.
+    // Visitors only get the catalogue details.
+    if (req.user && await can(req.user, 'view', video)) {
+      videoData.stream = buildStreamInfo(video, await issueStreamToken(req.user, video));
+    } else {
+      videoData.stream = null;
+      delete videoData.comments;
+    }
     
-    // Check if the current user has liked this video
+    // Check if the current user has liked this video, and where they left off
     if (req.user) {
-      const userLiked = await Like.findOne({ video: req.params.id, user: req.user._id });
+      const [userLiked, view] = await Promise.all([
+        Like.findOne({ video: req.params.id, user: req.user._id }),
+        VideoView.findOne({ video: req.params.id, user: req.user._id })
+      ]);
       videoData.isLiked = !!userLiked;
-    }
-    
-    if (videoData.videoUrl && videoData.videoUrl.includes('cloudinary.com')) {
-      try {
-        // Example URL: https://res.cloudinary.com/cloud-name/video/upload/v1234567890/folder/filename.mp4
-        const urlParts = videoData.videoUrl.split('/upload/');
-        if (urlParts.length === 2) {
-          // Use more compatible transformations without streaming profile
-          // f_auto = automatic format
-          // q_auto = automatic quality
-          videoData.optimizedVideoUrl = `${urlParts[0]}/upload/q_auto/f_auto/${urlParts[1]}`;
-          console.log('Created optimized video URL:', videoData.optimizedVideoUrl);
+
+      // Finished videos start from the beginning again
+      videoData.resume = view
+        ? {
+          position: view.isCompleted ? 0 : view.lastPosition,
+          completionPercentage: view.completionPercentage,
+          completed: view.isCompleted,
+          watchedAt: view.watchedAt
         }
-      } catch (err) {
-        console.error('Error creating optimized Cloudinary URL:', err);
-        // Continue with original URL
-      }
+        : null;
     }
-
-    console.log('Sending video data with URLs:', {
-      originalUrl: videoData.videoUrl,
-      optimizedUrl: videoData.optimizedVideoUrl || 'none',
-      likesCount: videoData.likes,
-      commentsCount: videoData.comments ? videoData.comments.length : 0
-    });
-
+    
     res.status(200).json({
       success: true,
       data: videoData
@@ -417,6 +411,7 @@ exports.updateVideo = async (req, res) => {
       subject,
       tags,
       thumbnailUrl,
+      thumbnailCandidate,
       branch,
       year,
       specialAccess
@@ -432,27 +427,48 @@ exports.updateVideo = async (req, res) => {
     }
 
     // Check ownership
-    if (video.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this video'
       });
     }
 
+    const isCandidate = (url) => (video.thumbnailCandidates || []).some(candidate => candidate.url === url);
+
     // Handle thumbnail upload
     let thumbnail = video.thumbnailUrl;
+
+    // Pick one of the generated thumbnails, by index or URL
+    if (!req.file && (thumbnailCandidate !== undefined || thumbnailUrl)) {
+      const candidates = video.thumbnailCandidates || [];
+      const picked = thumbnailCandidate !== undefined
+        ? candidates[parseInt(thumbnailCandidate, 10)]
+        : candidates.find(candidate => candidate.url === thumbnailUrl);
+
+      if (picked) {
+        thumbnail = picked.url;
+      } else if (thumbnailCandidate !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid thumbnail candidate'
+        });
+      }
+    }
+
     if (req.file) {
-      const result = await cloudinary.uploader.upload(req.file.path, {
+      const result = await getStorage().upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/thumbnails',
-        resource_type: 'image'
+        filename: req.file.filename,
+        contentType: req.file.mimetype
       });
-      thumbnail = result.secure_url;
+      thumbnail = result.url;
       fs.unlinkSync(req.file.path);
 
-      // Delete old thumbnail if exists
-      if (video.thumbnailUrl) {
-        const publicId = video.thumbnailUrl.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(`streamvibe/thumbnails/${publicId}`);
+      // Delete old thumbnail if exists, generated candidates are kept for later picks
+      if (video.thumbnailUrl && !isCandidate(video.thumbnailUrl)) {
+        await deleteByUrl(video.thumbnailUrl, { resourceType: 'image' });
       }
     }
 
@@ -489,7 +505,7 @@ exports.updateVideo = async (req, res) => {
 // @access  Private/Teacher
 exports.deleteVideo = async (req, res) => {
   try {
-    const video = await Video.findById(req.params.id);
+    const video = await Video.findById(req.params.id).select('+source');
 
     if (!video) {
       return res.status(404).json({
@@ -499,24 +515,28 @@ exports.deleteVideo = async (req, res) => {
     }
 
     // Check ownership
-    if (video.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this video'
       });
     }
 
-    // Delete video from cloudinary
-    const videoPublicId = video.videoUrl.split('/').pop().split('.')[0];
-    await cloudinary.uploader.destroy(`streamvibe/videos/${videoPublicId}`, { resource_type: 'video' });
+    // Delete video file and HLS renditions from storage, and a file still waiting to be stored
+    await deleteByUrl(video.videoUrl, { resourceType: 'video' });
+    if (video.source && video.source.path) {
+      await fs.promises.rm(video.source.path, { force: true });
+    }
+    await deleteHlsRenditions(video._id);
+    await deleteGeneratedImages(video);
+    await Caption.deleteMany({ video: video._id });
 
-    // Delete thumbnail if exists
-    if (video.thumbnailUrl) {
-      const thumbnailPublicId = video.thumbnailUrl.split('/').pop().split('.')[0];
-      await cloudinary.uploader.destroy(`streamvibe/thumbnails/${thumbnailPublicId}`);
+    // Delete thumbnail if exists (generated candidates are already gone)
+    if (video.thumbnailUrl && !(video.thumbnailCandidates || []).some(candidate => candidate.url === video.thumbnailUrl)) {
+      await deleteByUrl(video.thumbnailUrl, { resourceType: 'image' });
     }
 
-    await video.remove();
+    await video.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -530,25 +550,32 @@ exports.deleteVideo = async (req, res) => {
   }
 };
 
-// Helper function to get video duration
-const getVideoDuration = (filePath) => {
-  return new Promise((resolve, reject) => {
-    try {
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
-        if (err) {
-          console.warn('Could not get video duration:', err.message);
-          // Return a default duration if ffprobe fails
-          resolve(0);
-        } else {
-          resolve(Math.round(metadata.format.duration));
-        }
-      });
-    } catch (error) {
-      console.warn('Error using ffprobe:', error.message);
-      // Return a default duration if ffprobe fails
-      resolve(0);
-    }
-  });
+// Helper function to load a video with its HLS playlists and check access
+const findHlsVideo = async (req, res) => {
+  const video = await Video.findById(req.params.id).select('+hls.renditions.playlist');
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      error: 'Video not found'
+    });
+    return null;
+  }
+
+  if (!(await checkStreamToken(req, res, video))) {
+    return null;
+  }
+
+  if (!video.hls || video.hls.status !== 'ready') {
+    res.status(404).json({
+      success: false,
+      error: 'HLS stream is not available for this video',
+      status: video.hls ? video.hls.status : 'none'
+    });
+    return null;
+  }
+
+  return video;
 };
 
 // @desc    Like video
@@ -566,6 +593,13 @@ exports.likeVideo = async (req, res) => {
       });
     }
     
+    if (!(await can(req.user, 'interact', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+    
     // Check if the user has already liked the video
     let liked = false;
     let existingLike = null;
@@ -610,23 +644,15 @@ exports.likeVideo = async (req, res) => {
       }
       
       // Create notification for video owner
-      try {
-        if (video.teacher && video.teacher.toString() !== req.user._id.toString()) {
-          await Notification.create({
-            recipient: video.teacher,
-            sender: req.user._id,
-            type: 'like',
-            title: 'New Like',
-            message: `${req.user.name} liked your video "${video.title}"`,
-            data: {
-              videoId: video._id
-            }
-          });
+      await notify(video.teacher, {
+        sender: req.user._id,
+        type: 'video_like',
+        title: 'New Like',
+        message: `${req.user.name} liked your video "${video.title}"`,
+        data: {
+          videoId: video._id
         }
-      } catch (err) {
-        console.error('Error creating notification:', err);
-        // Continue with the function, notification is not critical
-      }
+      });
     }
     
     return res.status(200).json({
@@ -657,7 +683,7 @@ exports.getVideoAnalytics = async (req, res) => {
     }
     
     // Check if user is the video owner or admin
-    if (req.user.role !== 'admin' && video.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view analytics'
@@ -796,17 +822,16 @@ exports.updateSpecialAccess = async (req, res) => {
     await video.save();
     
     // Create notifications for all affected students
-    const notificationPromises = studentIds.map(studentId => {
-      return Notification.create({
-        recipient: studentId,
-        type: 'video',
-        relatedId: video._id,
-        content: `You have been granted special access to the video "${video.title}"`
-      });
+    await notify(studentIds, {
+      sender: req.user._id,
+      type: 'video_access_granted',
+      title: 'Video Access Granted',
+      message: `You have been granted special access to the video "${video.title}"`,
+      data: {
+        videoId: video._id
+      }
     });
     
-    await Promise.all(notificationPromises);
-    
     res.status(200).json({
       success: true,
       data: video
@@ -833,13 +858,11 @@ exports.bulkUpdateVideos = async (req, res) => {
       });
     }
     
-    // Check if user is the owner of all videos
-    const videos = await Video.find({
-      _id: { $in: videoIds },
-      teacher: req.user._id
-    });
+    // Check if user can manage all videos
+    const videos = await Video.find({ _id: { $in: videoIds } });
+    const allowed = await Promise.all(videos.map(video => can(req.user, 'manage', video)));
     
-    if (videos.length !== videoIds.length) {
+    if (videos.length !== videoIds.length || allowed.includes(false)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update some videos'
@@ -881,25 +904,29 @@ exports.bulkDeleteVideos = async (req, res) => {
       });
     }
     
-    // Check if user is the owner of all videos
-    const videos = await Video.find({
-      _id: { $in: videoIds },
-      teacher: req.user._id
-    });
+    // Check if user can manage all videos
+    const videos = await Video.find({ _id: { $in: videoIds } });
+    const allowed = await Promise.all(videos.map(video => can(req.user, 'manage', video)));
     
-    if (videos.length !== videoIds.length) {
+    if (videos.length !== videoIds.length || allowed.includes(false)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete some videos'
       });
     }
     
-    // Delete videos from Cloudinary
+    // Delete video files from storage
     for (const video of videos) {
-      await cloudinary.uploader.destroy(video.publicId, { resource_type: 'video' });
+      await deleteByUrl(video.videoUrl, { resourceType: 'video' });
+      await deleteHlsRenditions(video._id);
+      await deleteGeneratedImages(video);
+      if (!(video.thumbnailCandidates || []).some(candidate => candidate.url === video.thumbnailUrl)) {
+        await deleteByUrl(video.thumbnailUrl, { resourceType: 'image' });
+      }
     }
     
-    // Delete videos from database
+    // Delete videos and their caption tracks from database
+    await Caption.deleteMany({ video: { $in: videoIds } });
     const result = await Video.deleteMany({ _id: { $in: videoIds } });
     
     res.status(200).json({
@@ -973,6 +1000,13 @@ exports.addComment = async (req, res) => {
       });
     }
     
+    if (!(await can(req.user, 'interact', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
     const comment = {
       text,
       user: req.user.id
@@ -980,6 +1014,8 @@ exports.addComment = async (req, res) => {
     
     video.comments.unshift(comment);
     await video.save();
+
+    emitToVideo(video._id, 'commentReceived', { videoId: video._id, comment: video.comments[0] });
     
     res.status(200).json({
       success: true,
@@ -1020,7 +1056,7 @@ exports.removeComment = async (req, res) => {
     }
     
     // Check if user is comment owner
-    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'delete', comment, 'Comment'))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this comment'
@@ -1033,6 +1069,8 @@ exports.removeComment = async (req, res) => {
     );
     
     await video.save();
+
+    emitToVideo(video._id, 'commentDeleted', { videoId: video._id, commentId: req.params.commentId });
     
     res.status(200).json({
       success: true,
@@ -1051,6 +1089,22 @@ exports.removeComment = async (req, res) => {
 // @access  Public
 exports.getVideoComments = async (req, res) => {
   try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
     // Find comments directly using the Comment model instead of accessing through Video model
     const comments = await Comment.find({ video: req.params.id })
       .populate('user', 'name profilePicture')
@@ -1069,9 +1123,18 @@ exports.getVideoComments = async (req, res) => {
   }
 };
 
+// Set appropriate CORS headers, only our own frontend may embed the stream
+const setProxyCorsHeaders = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, If-Range, Origin, Referer');
+  res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag');
+};
+
 // @desc    Proxy video stream to handle CORS issues
-// @route   GET /api/videos/proxy/:id
-// @access  Public
+// @route   GET /api/videos/proxy/:id?token=
+// @access  Public (playback token)
 exports.proxyVideo = async (req, res) => {
   try {
     console.log('⭐ VIDEO PROXY REQUEST received for ID:', req.params.id);
@@ -1086,6 +1149,10 @@ exports.proxyVideo = async (req, res) => {
       });
     }
     
+    // <video> elements cannot send headers, so the signed token in the URL says who is
+    // watching; that user needs course, branch/year or special access
+    if (!(await checkStreamToken(req, res, video))) return;
+
     // If video URL is not available
     if (!video.videoUrl) {
       console.error('❌ Video URL not found for ID:', req.params.id);
@@ -1094,7 +1161,26 @@ exports.proxyVideo = async (req, res) => {
         error: 'Video URL not found'
       });
     }
+
+    if (!video.isStored()) {
+      return res.status(409).json({
+        success: false,
+        error: 'The video is still being processed'
+      });
+    }
     
+    // Local disk and S3/MinIO files are served directly, with Range and conditional GET support
+    const storage = getStorage();
+    if (typeof storage.createReadStream === 'function') {
+      setProxyCorsHeaders(res);
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+
+      if (await sendStoredFile(req, res, storage, storage.keyFromUrl(video.videoUrl))) return;
+
+      // Not one of our files (e.g. uploaded before switching provider): fall back to proxying it
+      res.removeHeader('Cache-Control');
+    }
+
     // Log the video URL
     console.log('📽️ Proxying video URL:', video.videoUrl);
     
@@ -1152,10 +1238,7 @@ exports.proxyVideo = async (req, res) => {
       console.log('📥 Response status:', videoResponse.status);
       console.log('📥 Response headers:', videoResponse.headers);
       
-      // Set appropriate CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, Origin, Referer');
+      setProxyCorsHeaders(res);
       
       // Set content type and other headers from the response
       if (videoResponse.headers['content-type']) {
@@ -1179,8 +1262,8 @@ exports.proxyVideo = async (req, res) => {
         console.log('📋 Setting content-range:', videoResponse.headers['content-range']);
       }
       
-      // Set cache headers for better performance
-      res.setHeader('Cache-Control', 'public, max-age=31536000');
+      // Each URL carries its own token, so shared caches must not keep the response
+      res.setHeader('Cache-Control', 'private, max-age=3600');
       
       // Set status code based on response
       res.status(videoResponse.status);
@@ -1220,9 +1303,11 @@ exports.proxyVideo = async (req, res) => {
         return;
       }
       
-      // Fallback to direct redirect if streaming fails
-      console.log('⚠️ Falling back to redirect for video URL');
-      res.redirect(videoUrl);
+      // Never hand out the storage URL; the client retries through the proxy
+      res.status(502).json({
+        success: false,
+        error: 'Could not reach video storage'
+      });
     }
   } catch (error) {
     console.error('❌ Error proxying video:', error.message);
@@ -1241,6 +1326,320 @@ exports.proxyVideo = async (req, res) => {
   }
 };
 
+// @desc    Get video processing status
+// @route   GET /api/videos/:id/processing
+// @access  Private/Teacher
+exports.getProcessingStatus = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id)
+      .select('teacher processingStatus processingProgress processingError hls.status duration');
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'manage', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view processing status'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: video.processingStatus,
+        progress: video.processingProgress,
+        error: video.processingError,
+        hlsStatus: video.hls ? video.hls.status : 'none',
+        duration: video.duration
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get personalised video recommendations
+// @route   GET /api/videos/recommended
+// @access  Private
+exports.getRecommended = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const recommendations = await getRecommendedVideos(req.user, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: recommendations.length,
+      data: recommendations
+    });
+  } catch (error) {
+    console.error('Error getting recommendations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get videos to play after this one
+// @route   GET /api/videos/:id/up-next
+// @access  Private
+exports.getUpNext = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const upNext = await getUpNextVideos(req.user, video, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: upNext.length,
+      data: upNext
+    });
+  } catch (error) {
+    console.error('Error getting up next videos:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get storyboard (seek-bar preview) WebVTT index
+// @route   GET /api/videos/:id/storyboard.vtt
+// @access  Private
+exports.getStoryboard = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
+    if (!video.storyboard || !video.storyboard.sheets || video.storyboard.sheets.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storyboard is not available for this video'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.status(200).send(buildStoryboardVtt(video.storyboard, video.duration));
+  } catch (error) {
+    console.error('Error serving storyboard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a fresh playback token (pass streamId to renew the current stream)
+// @route   GET /api/videos/:id/stream-token
+// @access  Private
+exports.getStreamToken = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
+    const stream = await issueStreamToken(req.user, video, { streamId: req.query.streamId });
+
+    res.status(200).json({
+      success: true,
+      data: buildStreamInfo(video, stream)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    End a stream so it no longer counts towards the concurrent-stream limit
+// @route   DELETE /api/videos/streams/:streamId
+// @access  Private
+exports.stopStream = async (req, res) => {
+  try {
+    const ended = await endStream(req.params.streamId, req.user);
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get HLS master playlist
+// @route   GET /api/videos/:id/hls/master.m3u8?token=
+// @access  Public (playback token)
+exports.getHlsMasterPlaylist = async (req, res) => {
+  try {
+    const video = await findHlsVideo(req, res);
+    if (!video) return;
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    // Variant playlists need the token too, players request them without our headers
+    const query = `token=${encodeURIComponent(req.query.token)}`;
+    res.status(200).send(appendQueryToPlaylist(buildMasterPlaylist(video.hls.renditions), query));
+  } catch (error) {
+    console.error('Error serving HLS master playlist:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get HLS media playlist for a rendition
+// @route   GET /api/videos/:id/hls/:rendition/index.m3u8?token=
+// @access  Public (playback token)
+exports.getHlsMediaPlaylist = async (req, res) => {
+  try {
+    const video = await findHlsVideo(req, res);
+    if (!video) return;
+
+    const rendition = video.hls.renditions.find(r => r.name === req.params.rendition);
+
+    if (!rendition) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rendition not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    res.status(200).send(appendQueryToPlaylist(rendition.playlist, `token=${encodeURIComponent(req.query.token)}`));
+  } catch (error) {
+    console.error('Error serving HLS media playlist:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get HLS segment (redirects to the storage provider, or proxies it when its URLs never expire)
+// @route   GET /api/videos/:id/hls/:rendition/:segment?token=
+// @access  Public (playback token)
+exports.getHlsSegment = async (req, res) => {
+  try {
+    const { rendition: renditionName, segment } = req.params;
+
+    if (!SEGMENT_PATTERN.test(segment)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid segment name'
+      });
+    }
+
+    const video = await findHlsVideo(req, res);
+    if (!video) return;
+
+    if (!video.hls.renditions.some(r => r.name === renditionName)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rendition not found'
+      });
+    }
+
+    const storage = getStorage();
+    const url = await storage.getSignedUrl(hlsKey(video._id, renditionName, segment), {
+      resourceType: 'raw',
+      expiresIn: 600
+    });
+
+    if (storage.signedUrlsExpire()) {
+      return res.redirect(302, url);
+    }
+
+    // A permanent URL would outlive the playback token, so the client never sees it
+    const axios = require('axios');
+    const segmentResponse = await axios({
+      method: 'get',
+      url,
+      responseType: 'stream',
+      timeout: 30000
+    });
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    if (segmentResponse.headers['content-length']) {
+      res.setHeader('Content-Length', segmentResponse.headers['content-length']);
+    }
+    res.setHeader('Cache-Control', 'private, max-age=600');
+    segmentResponse.data.on('error', (err) => {
+      console.error('Error proxying HLS segment:', err.message);
+      res.destroy(err);
+    });
+    segmentResponse.data.pipe(res);
+  } catch (error) {
+    console.error('Error serving HLS segment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Upload thumbnail
 // @route   POST /api/videos/thumbnail
 // @access  Private/Teacher
@@ -1260,22 +1659,27 @@ exports.uploadThumbnail = async (req, res) => {
       path: req.file.path
     });
 
-    // Upload thumbnail to cloudinary
-    console.log('Uploading thumbnail to Cloudinary...');
+    // Upload thumbnail to the configured storage provider
+    const storage = getStorage();
+    console.log(`Uploading thumbnail to ${storage.name} storage...`);
     
     try {
-      const result = await cloudinary.uploader.upload(req.file.path, {
-        resource_type: 'image',
+      const result = await storage.upload(req.file.path, {
+        resourceType: 'image',
         folder: 'streamvibe/thumbnails',
-        transformation: [
-          { width: 1280, height: 720, crop: 'fill' },
-          { quality: 'auto' }
-        ]
+        filename: req.file.filename,
+        contentType: req.file.mimetype,
+        cloudinary: {
+          transformation: [
+            { width: 1280, height: 720, crop: 'fill' },
+            { quality: 'auto' }
+          ]
+        }
       });
       
-      console.log('Cloudinary thumbnail upload result:', {
-        url: result.secure_url,
-        public_id: result.public_id
+      console.log('Storage thumbnail upload result:', {
+        url: result.url,
+        key: result.key
       });
 
       // Delete local file
@@ -1285,12 +1689,12 @@ exports.uploadThumbnail = async (req, res) => {
       res.status(200).json({
         success: true,
         data: {
-          thumbnailUrl: result.secure_url,
-          publicId: result.public_id
+          thumbnailUrl: result.url,
+          publicId: result.key
         }
       });
-    } catch (cloudinaryError) {
-      console.error('Cloudinary thumbnail upload error:', cloudinaryError);
+    } catch (storageError) {
+      console.error('Storage thumbnail upload error:', storageError);
       
       // Clean up local file
       if (req.file && req.file.path) {
@@ -1301,7 +1705,7 @@ exports.uploadThumbnail = async (req, res) => {
         }
       }
       
-      throw new Error(`Cloudinary thumbnail upload failed: ${cloudinaryError.message}`);
+      throw new Error(`Thumbnail upload failed: ${storageError.message}`);
     }
   } catch (error) {
     console.error('Thumbnail upload error:', error);
@@ -1327,20 +1731,35 @@ exports.uploadThumbnail = async (req, res) => {
 // @access  Private
 exports.getWatchHistory = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate({
-      path: 'watchHistory',
-      select: 'title thumbnailUrl views createdAt teacher',
-      populate: {
-        path: 'teacher',
-        select: 'name profilePicture'
-      }
-    });
-
-    const history = user.watchHistory || [];
-    
     // Apply limit if provided in query
     const limit = parseInt(req.query.limit, 10) || 0;
-    const limitedHistory = limit > 0 ? history.slice(0, limit) : history;
+
+    // Watch history comes from recorded views, most recent first
+    let query = VideoView.find({ user: req.user._id })
+      .populate({
+        path: 'video',
+        select: 'title thumbnailUrl views duration createdAt teacher',
+        populate: {
+          path: 'teacher',
+          select: 'name profilePicture'
+        }
+      })
+      .sort('-watchedAt');
+
+    if (limit > 0) {
+      query = query.limit(limit);
+    }
+
+    const views = await query;
+
+    const limitedHistory = views
+      .filter(view => view.video)
+      .map(view => ({
+        ...view.video.toObject(),
+        lastPosition: view.lastPosition,
+        completionPercentage: view.completionPercentage,
+        watchedAt: view.watchedAt
+      }));
 
     res.status(200).json({
       success: true,
@@ -1391,6 +1810,13 @@ exports.getLikes = async (req, res) => {
       });
     }
 
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
     // Get all likes for this video
     const likes = await Like.find({ video: req.params.id })
       .populate('user', 'name email profilePicture role');
@@ -1,12 +1,14 @@
 const VideoView = require('../models/VideoView');
 const Video = require('../models/Video');
+const { can } = require('../services/accessPolicy');
+const { recordSegments, coveredSeconds } = require('../services/watchAnalytics');
 
 // @desc    Record or update a video view
 // @route   POST /api/views
 // @access  Private
 exports.recordView = async (req, res) => {
   try {
-    const { videoId, watchTime, completionPercentage, lastPosition } = req.body;
+    const { videoId, watchTime, completionPercentage, lastPosition, segments } = req.body;
 
     if (!videoId) {
       return res.status(400).json({
@@ -15,6 +17,22 @@ exports.recordView = async (req, res) => {
       });
     }
 
+    const video = await Video.findById(videoId);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!(await can(req.user, 'view', video))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this video'
+      });
+    }
+
     // Find existing view or create new one
     let view = await VideoView.findOne({
       video: videoId,
@@ -22,12 +40,12 @@ exports.recordView = async (req, res) => {
     });
 
     if (view) {
-      // Update existing view
-      view.watchTime = watchTime || view.watchTime;
-      view.completionPercentage = completionPercentage || view.completionPercentage;
-      view.lastPosition = lastPosition || view.lastPosition;
+      // Update existing view, a position of 0 is valid when restarting a video
+      view.watchTime = watchTime !== undefined ? watchTime : view.watchTime;
+      view.completionPercentage = completionPercentage !== undefined ? completionPercentage : view.completionPercentage;
+      view.lastPosition = lastPosition !== undefined ? lastPosition : view.lastPosition;
       view.watchedAt = Date.now();
-      await view.save();
+      view.dismissedAt = null; // Watching again brings it back to "continue watching"
     } else {
       // Create new view
       view = await VideoView.create({
@@ -44,6 +62,22 @@ exports.recordView = async (req, res) => {
       });
     }
 
+    // Watched [start, end] segments from the player feed the retention heatmap
+    if (Array.isArray(segments) && segments.length > 0) {
+      const seconds = await recordSegments(view, video, segments);
+
+      // Derive totals from the segments when the player did not send them
+      if (watchTime === undefined) {
+        view.watchTime += Math.round(seconds);
+      }
+      if (completionPercentage === undefined && video.duration > 0) {
+        const covered = coveredSeconds(view.segments);
+        view.completionPercentage = Math.min(100, Math.round((covered / video.duration) * 100));
+      }
+    }
+
+    await view.save();
+
     res.status(200).json({
       success: true,
       data: view
@@ -80,6 +114,95 @@ exports.getViewHistory = async (req, res) => {
   }
 };
 
+// @desc    Get partially watched videos with resume positions
+// @route   GET /api/views/continue-watching
+// @access  Private
+exports.getContinueWatching = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const views = await VideoView.find({
+      user: req.user._id,
+      completionPercentage: { $gt: 0, $lt: VideoView.COMPLETED_PERCENTAGE },
+      dismissedAt: null
+    })
+      .populate({
+        path: 'video',
+        select: 'title thumbnailUrl duration subject branch year specialAccess courses teacher',
+        populate: {
+          path: 'teacher',
+          select: 'name profilePicture'
+        }
+      })
+      .sort('-watchedAt')
+      .limit(limit * 2); // Room for deleted or no longer accessible videos
+
+    const accessible = await Promise.all(
+      views.map(view => view.video && can(req.user, 'view', view.video))
+    );
+
+    const data = views
+      .filter((view, index) => accessible[index])
+      .slice(0, limit)
+      .map(view => ({
+        video: {
+          _id: view.video._id,
+          title: view.video.title,
+          thumbnailUrl: view.video.thumbnailUrl,
+          duration: view.video.duration,
+          subject: view.video.subject,
+          teacher: view.video.teacher
+        },
+        lastPosition: view.lastPosition,
+        completionPercentage: view.completionPercentage,
+        remaining: Math.max(0, (view.video.duration || 0) - view.lastPosition),
+        watchedAt: view.watchedAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching continue watching:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+// @desc    Remove a video from "continue watching"
+// @route   DELETE /api/views/continue-watching/:videoId
+// @access  Private
+exports.dismissContinueWatching = async (req, res) => {
+  try {
+    const view = await VideoView.findOneAndUpdate(
+      { video: req.params.videoId, user: req.user._id },
+      { dismissedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video is not in your watch history'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
 // @desc    Get view statistics for a video
 // @route   GET /api/views/stats/:videoId
 // @access  Private/Teacher
@@ -95,7 +218,7 @@ exports.getViewStats = async (req, res) => {
     }
 
     // Check if user is video owner or admin
-    if (video.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view these statistics'
@@ -160,7 +283,7 @@ exports.getVideoViews = async (req, res) => {
     }
 
     // Check ownership
-    if (video.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage', video))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view this data'
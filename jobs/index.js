@@ -0,0 +1,9 @@
+const { registerHandler } = require('../services/jobQueue');
+const { VIDEO_PROCESS_JOB, processVideo } = require('./videoProcessing');
+
+// Register every background job handler with the queue
+const registerJobs = () => {
+  registerHandler(VIDEO_PROCESS_JOB, processVideo);
+};
+
+module.exports = registerJobs;
@@ -0,0 +1,145 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { getLocalTime, isQuietHours } = require('../services/notificationPreferences');
+const { sendDigestEmail } = require('../services/notificationEmails');
+
+// Builds the notification digest emails. Each run looks at users with unread,
+// un-emailed notifications and sends one email per user with whatever is due:
+//   - `email` notifications held back by quiet hours (or whose email failed), once quiet hours are over
+//   - `daily_digest` ones at the user's digest hour
+//   - `weekly_digest` ones at the digest hour on the user's digest day
+
+const LOCK_TIME = 5 * 60 * 1000;
+// Immediate emails are sent in the background; give them time before treating them as held back
+const EMAIL_GRACE = 5 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Settings are read when used so they can come from .env
+const getDigestInterval = () => parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL, 10) || 15 * 60 * 1000; // 15 minutes
+
+// Claim a user for this run so other servers skip them; null if someone else has them
+const claimUser = async (userId, now) => {
+  try {
+    return await NotificationPreference.findOneAndUpdate(
+      {
+        user: userId,
+        $or: [{ digestLockedUntil: null }, { digestLockedUntil: { $lte: now } }]
+      },
+      { $set: { digestLockedUntil: new Date(now.getTime() + LOCK_TIME) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The upsert lost against an existing, locked document
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Which deliveries are due for a user right now
+const getDueDeliveries = (preferences, now) => {
+  const due = [];
+  const { day, hour } = getLocalTime(now, preferences.timezone || 'UTC');
+  const atDigestHour = hour === preferences.digestHour;
+  const sentWithin = (date, ms) => date && now - date < ms;
+
+  if (!isQuietHours(preferences, now)) {
+    due.push('email');
+  }
+  if (atDigestHour && !sentWithin(preferences.lastDailyDigestAt, 20 * HOUR)) {
+    due.push('daily_digest');
+  }
+  if (atDigestHour && day === preferences.weeklyDigestDay && !sentWithin(preferences.lastWeeklyDigestAt, 6 * 24 * HOUR)) {
+    due.push('weekly_digest');
+  }
+
+  return due;
+};
+
+const getHeading = (deliveries) => {
+  if (deliveries.includes('weekly_digest')) return 'Your weekly StreamVibe digest';
+  if (deliveries.includes('daily_digest')) return 'Your daily StreamVibe digest';
+  return 'While you were away';
+};
+
+const sendUserDigest = async (userId, now) => {
+  const preferences = await claimUser(userId, now);
+  if (!preferences) return false;
+
+  try {
+    const due = getDueDeliveries(preferences, now);
+    if (due.length === 0) return false;
+
+    const notifications = await Notification.find({
+      recipient: userId,
+      isRead: false,
+      emailedAt: null,
+      $or: due.map(delivery => delivery === 'email'
+        ? { delivery, createdAt: { $lte: new Date(now.getTime() - EMAIL_GRACE) } }
+        : { delivery })
+    }).sort({ createdAt: -1 });
+
+    if (notifications.length === 0) return false;
+
+    const deliveries = [...new Set(notifications.map(n => n.delivery))];
+    const user = await User.findById(userId).select('name email isEmailVerified');
+    const sent = await sendDigestEmail(user, notifications, getHeading(deliveries));
+
+    if (!sent) return false;
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(n => n._id) } },
+      { $set: { emailedAt: now } }
+    );
+
+    const update = {};
+    if (deliveries.includes('daily_digest')) update.lastDailyDigestAt = now;
+    if (deliveries.includes('weekly_digest')) update.lastWeeklyDigestAt = now;
+    if (Object.keys(update).length > 0) {
+      await NotificationPreference.updateOne({ _id: preferences._id }, { $set: update });
+    }
+
+    return true;
+  } finally {
+    await NotificationPreference.updateOne({ _id: preferences._id }, { $set: { digestLockedUntil: null } });
+  }
+};
+
+// Send every digest that is due
+const sendDueDigests = async (now = new Date()) => {
+  const recipients = await Notification.distinct('recipient', {
+    isRead: false,
+    emailedAt: null,
+    delivery: { $ne: 'in_app' }
+  });
+
+  let sent = 0;
+  for (const userId of recipients) {
+    try {
+      if (await sendUserDigest(userId, now)) sent++;
+    } catch (error) {
+      console.error(`Notification digest failed for user ${userId}:`, error.message);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`Sent ${sent} notification digest email(s)`);
+  }
+  return sent;
+};
+
+// Run the digest builder now and then periodically in this process
+const scheduleNotificationDigests = () => {
+  const run = () => sendDueDigests().catch(err => {
+    console.error('Notification digest error:', err.message);
+  });
+
+  run();
+  return setInterval(run, getDigestInterval());
+};
+
+module.exports = {
+  getDueDeliveries,
+  sendDueDigests,
+  scheduleNotificationDigests
+};
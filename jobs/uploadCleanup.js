@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+
+const RESUMABLE_DIR = 'public/uploads/resumable';
+const LOCK_TIMEOUT = 5 * 60 * 1000; // a chunk write holding the lock longer than this has died
+
+// Settings are read when used so they can come from .env
+const getSessionTtl = () => parseInt(process.env.UPLOAD_SESSION_TTL, 10) || 24 * 60 * 60 * 1000; // 24 hours
+const getCleanupInterval = () => parseInt(process.env.UPLOAD_GC_INTERVAL, 10) || 60 * 60 * 1000; // 1 hour
+
+// Expired sessions with no chunk being written right now
+const expiredFilter = () => {
+  const now = new Date();
+
+  return {
+    expiresAt: { $lt: now },
+    $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }]
+  };
+};
+
+// Remove expired upload sessions and any partial files they left behind
+const cleanupExpiredUploads = async () => {
+  const candidates = await UploadSession.find(expiredFilter()).select('_id');
+  const expired = [];
+
+  // Delete one at a time with the filter again, a chunk may have taken the lock meanwhile
+  for (const { _id } of candidates) {
+    const session = await UploadSession.findOneAndDelete({ _id, ...expiredFilter() });
+    if (!session) continue;
+
+    await fs.promises.rm(session.path, { force: true });
+    expired.push(session);
+  }
+
+  // Partial files without a session (e.g. the session was deleted by hand)
+  let orphans = 0;
+  const files = await fs.promises.readdir(RESUMABLE_DIR).catch(() => []);
+
+  for (const file of files.filter(name => name.endsWith('.part'))) {
+    const filePath = path.join(RESUMABLE_DIR, file);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+
+    if (Date.now() - mtimeMs < getSessionTtl()) continue;
+
+    const sessionExists = await UploadSession.exists({ _id: path.basename(file, '.part') });
+    if (!sessionExists) {
+      await fs.promises.rm(filePath, { force: true });
+      orphans++;
+    }
+  }
+
+  if (expired.length > 0 || orphans > 0) {
+    console.log(`Upload cleanup removed ${expired.length} expired sessions and ${orphans} orphaned files`);
+  }
+};
+
+// Run the cleanup now and then periodically in this process, so restarts do not postpone it
+const scheduleUploadCleanup = () => {
+  const run = () => cleanupExpiredUploads().catch(err => {
+    console.error('Upload cleanup error:', err.message);
+  });
+
+  run();
+  return setInterval(run, getCleanupInterval());
+};
+
+module.exports = {
+  RESUMABLE_DIR,
+  LOCK_TIMEOUT,
+  getSessionTtl,
+  cleanupExpiredUploads,
+  scheduleUploadCleanup
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const Video = require('../models/Video');
+const ffmpeg = require('../config/ffmpeg');
+const { getStorage, resolveSource } = require('../services/storage');
+const { transcodeToHls } = require('../services/hlsTranscoder');
+const {
+  generateThumbnailCandidates,
+  generateStoryboard
+} = require('../services/thumbnailGenerator');
+const { emitToUser } = require('../services/socket');
+
+const VIDEO_PROCESS_JOB = 'video.process';
+
+// Uploads wait here until the job has stored them. A worker on another machine
+// needs this directory shared with the API servers (VIDEO_STAGING_DIR).
+const getStagingDir = () => process.env.VIDEO_STAGING_DIR || 'tmp/video-staging';
+
+// Move an uploaded file out of the upload directory into staging
+const stageUpload = async (file) => {
+  const dir = getStagingDir();
+  const destination = path.resolve(dir, path.basename(file.path));
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  try {
+    await fs.promises.rename(file.path, destination);
+  } catch (error) {
+    // Staging on another filesystem
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(file.path, destination);
+    await fs.promises.unlink(file.path);
+  }
+
+  return destination;
+};
+
+const fileExists = (filePath) => fs.promises.access(filePath).then(() => true, () => false);
+
+// Upload the staged file to the storage provider (Cloudinary also builds mp4/webm variants)
+const storeSource = async (video) => {
+  const { source } = video;
+  const result = await getStorage().upload(source.path, {
+    resourceType: 'video',
+    folder: 'streamvibe/videos',
+    filename: source.filename,
+    contentType: source.mimetype,
+    cloudinary: {
+      chunk_size: 6000000, // Use larger chunks (6MB)
+      eager: [
+        { format: 'mp4', quality: 'auto' },
+        { format: 'webm', quality: 'auto' }
+      ],
+      eager_async: true,
+      timeout: 120000 // Increase timeout to 2 minutes
+    }
+  });
+
+  console.log(`Stored video ${video._id} with ${result.provider}:`, result.key);
+
+  video.videoUrl = result.url;
+  video.formats = result.derived.length > 0
+    ? result.derived
+    : [{ url: result.url, format: result.format }];
+  await video.save();
+};
+
+// Delete the staged file once it is no longer needed
+const removeSource = async (video) => {
+  if (!video.source || !video.source.path) return;
+
+  await fs.promises.rm(video.source.path, { force: true });
+  await Video.updateOne({ _id: video._id }, { $unset: { source: '' } });
+};
+
+// Helper function to get video duration
+const getVideoDuration = (input) => {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(input, (err, metadata) => {
+      if (err) {
+        console.warn('Could not get video duration:', err.message);
+        // Return a default duration if ffprobe fails
+        return resolve(0);
+      }
+      resolve(Math.round(metadata.format.duration) || 0);
+    });
+  });
+};
+
+// Push the processing state to the uploading teacher
+const notifyTeacher = (video) => {
+  emitToUser(video.teacher, 'videoProcessing', {
+    videoId: video._id,
+    status: video.processingStatus,
+    progress: video.processingProgress,
+    error: video.processingError
+  });
+};
+
+// Store, probe and transcode an uploaded video: uploaded → storing → probing → transcoding → ready
+const processVideo = async ({ videoId }, job) => {
+  let video = await Video.findById(videoId).select('+source');
+
+  if (!video) {
+    console.warn('Skipping processing, video no longer exists:', videoId);
+    return { skipped: true };
+  }
+
+  const staged = Boolean(video.source && video.source.path) && await fileExists(video.source.path);
+
+  if (!video.isStored()) {
+    if (!staged) {
+      throw new Error('The uploaded file is missing, please upload the video again');
+    }
+
+    await video.setProcessingStatus('storing');
+    notifyTeacher(video);
+    await storeSource(video);
+  }
+
+  await video.setProcessingStatus('probing');
+  notifyTeacher(video);
+
+  // The staged copy is faster to read; otherwise a long lived URL, read once per rendition
+  const input = staged
+    ? video.source.path
+    : await resolveSource(video.videoUrl, { resourceType: 'video', expiresIn: 6 * 3600 });
+
+  const duration = await getVideoDuration(input);
+  if (duration) {
+    video.duration = duration;
+    await video.save();
+  }
+
+  await video.setProcessingStatus('transcoding');
+  notifyTeacher(video);
+
+  // Thumbnails and storyboards are nice to have, never fail the job over them
+  try {
+    video.thumbnailCandidates = await generateThumbnailCandidates(video._id, input, video.duration);
+    video.storyboard = await generateStoryboard(video._id, input, video.duration);
+
+    if (!video.thumbnailUrl || video.thumbnailUrl === 'default-thumbnail.jpg') {
+      const middle = video.thumbnailCandidates[Math.floor(video.thumbnailCandidates.length / 2)];
+      if (middle) video.thumbnailUrl = middle.url;
+    }
+
+    await video.save();
+  } catch (error) {
+    console.error(`Thumbnail generation failed for video ${video._id}:`, error.message);
+  }
+
+  if (process.env.HLS_ENABLED !== 'false') {
+    let lastReported = 0;
+
+    await transcodeToHls(video._id, {
+      input,
+      onProgress: (progress) => {
+        // Throttle database writes and socket events to 5% steps
+        if (progress - lastReported < 5 && progress < 100) return;
+        lastReported = progress;
+
+        const rounded = Math.round(progress);
+        Promise.all([
+          Video.updateOne({ _id: video._id }, { processingProgress: rounded }),
+          job.reportProgress(rounded)
+        ]).catch(err => console.error('Error saving processing progress:', err.message));
+
+        emitToUser(video.teacher, 'videoProcessing', {
+          videoId: video._id,
+          status: 'transcoding',
+          progress: rounded
+        });
+      }
+    });
+  }
+
+  // transcodeToHls saved its own copy of the video, reload before finishing
+  video = await Video.findById(videoId).select('+source');
+  await video.setProcessingStatus('ready');
+  await removeSource(video);
+  notifyTeacher(video);
+
+  return { duration, hls: video.hls.status };
+};
+
+// Called once every retry has been used up
+processVideo.onFailed = async ({ videoId }, error) => {
+  const video = await Video.findById(videoId).select('+source');
+  if (!video) return;
+
+  await video.setProcessingStatus('failed', { error: error.message });
+  await removeSource(video);
+  notifyTeacher(video);
+};
+
+module.exports = {
+  VIDEO_PROCESS_JOB,
+  processVideo,
+  stageUpload,
+  getVideoDuration
+};
@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/authSessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -26,10 +27,11 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and check its session has not been signed out
+    const decoded = await verifyAccessToken(token);
     console.log('Token decoded successfully:', {
       id: decoded.id,
+      sid: decoded.sid,
       iat: decoded.iat,
       exp: decoded.exp
     });
@@ -60,20 +62,73 @@ exports.protect = async (req, res, next) => {
       });
     }
     
-    // Set user in request object
+    // Unverified accounts can only reach routes marked with allowUnverified
+    if (user.isEmailVerified === false && !req.allowUnverified) {
+      console.log('Email not verified:', user.email);
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address to continue.'
+      });
+    }
+    
+    // Admins have to finish setting up two-factor authentication first
+    if (isTwoFactorRequired(user) && !user.twoFactor.enabled && !req.allowTwoFactorSetup) {
+      console.log('Two-factor authentication not set up:', user.email);
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for admin accounts. Please set it up to continue.'
+      });
+    }
+    
+    // Set user (and the session the token belongs to) in request object
     req.user = user;
+    req.sessionId = decoded.sid;
     console.log('User set in request object');
 
     next();
   } catch (err) {
-    console.error('Auth middleware error:', err);
+    console.error('Auth middleware error:', err.message);
     return res.status(401).json({
       success: false,
-      error: 'Not authorized to access this route'
+      error: err.name === 'AuthError' ? err.message : 'Not authorized to access this route'
     });
   }
 };
 
+// Let accounts that have not verified their email through the next protect
+exports.allowUnverified = (req, res, next) => {
+  req.allowUnverified = true;
+  next();
+};
+
+// Let admins who have not set up two-factor authentication through the next protect
+exports.allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
+// Set req.user when a valid token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = await verifyAccessToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (user && user.isApproved) {
+      req.user = user;
+      req.sessionId = decoded.sid;
+    }
+  } catch (err) {
+    // Invalid, expired or signed-out tokens are treated as anonymous
+  }
+
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -0,0 +1,48 @@
+const { getStore, getPolicy, isEnabled } = require('../services/rateLimit');
+
+// 429 with Retry-After (seconds)
+const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: message || 'Too many requests, please try again later',
+    retryAfter
+  });
+};
+
+// Limit requests with a named policy (see services/rateLimit/policies.js).
+// Put user-keyed policies after protect so signed-in users get their own counter.
+const rateLimit = (policyName, { skip } = {}) => async (req, res, next) => {
+  if (!isEnabled() || (skip && skip(req))) {
+    return next();
+  }
+
+  try {
+    const policy = getPolicy(policyName);
+    const subject = policy.keyBy === 'user' && req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const { count, resetAt } = await getStore().hit(`${policyName}:${subject}`, policy.windowMs);
+    const resetSeconds = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Policy': `${policy.max};w=${Math.round(policy.windowMs / 1000)}`,
+      'RateLimit-Limit': String(policy.max),
+      'RateLimit-Remaining': String(Math.max(0, policy.max - count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > policy.max) {
+      return sendTooManyRequests(res, resetSeconds);
+    }
+
+    next();
+  } catch (error) {
+    // A broken store should not take the API down with it
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests
+};
@@ -36,6 +36,40 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Check file type for notice attachments
+const attachmentFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.pdf';
+  const mimetype = file.mimetype === 'application/pdf';
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb('Error: Invalid file type. Only PDF attachments are allowed.');
+  }
+};
+
+// Check file type for caption tracks (browsers report SRT/VTT mime types inconsistently)
+const captionFilter = (req, file, cb) => {
+  const extname = ['.srt', '.vtt'].includes(path.extname(file.originalname).toLowerCase());
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb('Error: Invalid file type. Only SRT and VTT captions are allowed.');
+  }
+};
+
+// Check file type for roster imports
+const csvFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb('Error: Invalid file type. Only CSV files are allowed.');
+  }
+};
+
 // Initialize upload variable
 const upload = multer({
   storage: storage,
@@ -45,8 +79,34 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+const attachmentUploader = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max size
+  },
+  fileFilter: attachmentFilter
+});
+
+const captionUploader = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max size
+  },
+  fileFilter: captionFilter
+});
+
+const csvUploader = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB max size
+  },
+  fileFilter: csvFilter
+});
+
 // Create middleware functions for different use cases
 exports.videoUpload = upload.single('video');
 exports.thumbnailUpload = upload.single('thumbnail');
 exports.profilePictureUpload = upload.single('profilePicture');
-exports.attachmentUpload = upload.single('attachment');
+exports.attachmentUpload = attachmentUploader.single('attachment');
+exports.captionUpload = captionUploader.single('caption');
+exports.csvUpload = csvUploader.single('file');
@@ -0,0 +1,187 @@
+// Local OpenID Connect identity provider for trying single sign-on without a campus IdP.
+//
+//   npm run mock-idp
+//
+// then start the API with:
+//
+//   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=streamvibe OIDC_CLIENT_SECRET=mock-secret
+//
+// Pick a user on the login page, or skip it with ?login_hint=<user key> (handy in scripts).
+// Users can be replaced with a JSON file: MOCK_IDP_USERS=./users.json ({ "key": { claims } }).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = (process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'streamvibe';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const users = process.env.MOCK_IDP_USERS
+  ? JSON.parse(fs.readFileSync(process.env.MOCK_IDP_USERS, 'utf8'))
+  : {
+    student: {
+      sub: 'mock-student-1',
+      name: 'Sam Student',
+      email: 'sam.student@campus.edu',
+      email_verified: true,
+      role: 'student',
+      branch: 'CSE',
+      year: '2'
+    },
+    teacher: {
+      sub: 'mock-teacher-1',
+      name: 'Tara Teacher',
+      email: 'tara.teacher@campus.edu',
+      email_verified: true,
+      role: 'faculty',
+      department: 'Computer Science'
+    },
+    unverified: {
+      sub: 'mock-unverified-1',
+      name: 'Una Unverified',
+      email: 'una@campus.edu',
+      email_verified: false,
+      role: 'student',
+      branch: 'ECE',
+      year: '1st'
+    }
+  };
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens only live in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+});
+
+// Issue a code for the chosen user and send the browser back to the client
+const approve = (res, request, userKey) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, { ...request, userKey, expiresAt: Date.now() + 60 * 1000 });
+
+  const params = new URLSearchParams({ code });
+  if (request.state) params.set('state', request.state);
+  res.redirect(`${request.redirect_uri}?${params}`);
+};
+
+app.get('/authorize', (req, res) => {
+  const request = req.query;
+
+  if (request.client_id !== CLIENT_ID || !request.redirect_uri) {
+    return res.status(400).send('Unknown client_id or missing redirect_uri');
+  }
+  if (request.response_type !== 'code') {
+    return res.status(400).send('Only response_type=code is supported');
+  }
+
+  if (request.login_hint && users[request.login_hint]) {
+    return approve(res, request, request.login_hint);
+  }
+
+  const hidden = Object.entries(request)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const buttons = Object.entries(users)
+    .map(([key, user]) => `<button name="user" value="${escapeHtml(key)}">${escapeHtml(user.name)} (${escapeHtml(user.email)})</button>`)
+    .join('<br><br>');
+
+  res.send(`<!doctype html><title>Mock IdP</title><h2>Mock campus login</h2>
+    <form method="post" action="/authorize">${hidden}${buttons}</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { user, ...request } = req.body;
+  if (!users[user] || request.client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown user or client');
+  }
+  approve(res, request, user);
+});
+
+app.post('/token', (req, res) => {
+  const fail = (error, description) => res.status(400).json({ error, error_description: description });
+
+  // client_secret_basic or client_secret_post
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Basic ')) {
+    [clientId, clientSecret] = Buffer.from(auth.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+  }
+  if (clientId !== CLIENT_ID || (clientSecret !== undefined && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return fail('invalid_grant', 'Unknown or expired code');
+  }
+  if (grant.redirect_uri !== req.body.redirect_uri) {
+    return fail('invalid_grant', 'redirect_uri does not match');
+  }
+  if (grant.code_challenge) {
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (grant.code_challenge_method !== 'S256' || challenge !== grant.code_challenge) {
+      return fail('invalid_grant', 'PKCE verification failed');
+    }
+  }
+
+  const claims = users[grant.userKey];
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.userKey);
+
+  const idToken = jwt.sign(
+    { ...claims, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const userKey = accessTokens.get(token);
+
+  if (!userKey) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(users[userKey]);
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER} (client_id=${CLIENT_ID}, client_secret=${CLIENT_SECRET})`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token; the token is
+// rotated on every refresh and the previous hash is kept to detect reuse.
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { // SHA-256 of the current refresh token
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHash: { // Token replaced by the last rotation
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  device: { // e.g. "Chrome on Windows"
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: { // Removed by MongoDB once the refresh token has expired
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: { // logout, logout-all, revoked, password-changed, password-reset, token-reuse
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuthSessionSchema.index({ user: 1, revokedAt: 1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used to refresh or authenticate
+AuthSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
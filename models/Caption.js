@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const CueSchema = new mongoose.Schema({
+  start: { // Seconds into the video
+    type: Number,
+    required: [true, 'Please provide the cue start time'],
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: [true, 'Please provide the cue end time'],
+    validate: {
+      validator: function(value) {
+        return value > this.start;
+      },
+      message: 'Cue end time must be after its start time'
+    }
+  },
+  text: {
+    type: String,
+    required: [true, 'Please provide the cue text'],
+    trim: true
+  },
+  settings: { // WebVTT cue settings, e.g. "line:0 align:start"
+    type: String,
+    default: ''
+  }
+});
+
+const CaptionSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  language: { // BCP 47 language tag, e.g. "en" or "hi-IN"
+    type: String,
+    required: [true, 'Please provide the caption language'],
+    trim: true,
+    match: [/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/, 'Please provide a valid language code']
+  },
+  label: {
+    type: String,
+    required: [true, 'Please provide a label for the caption track'],
+    trim: true,
+    maxlength: [50, 'Label cannot be more than 50 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['subtitles', 'captions'],
+    default: 'captions'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  cues: [CueSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One track per language and kind on each video
+CaptionSchema.index({ video: 1, language: 1, kind: 1 }, { unique: true });
+
+// Full-text index over cue text for transcript search. The "language" field holds
+// BCP 47 tags MongoDB does not understand, so point the override somewhere else.
+CaptionSchema.index(
+  { 'cues.text': 'text' },
+  { name: 'cue_text', default_language: 'english', language_override: 'textSearchLanguage' }
+);
+
+// Virtual for number of cues
+CaptionSchema.virtual('cueCount').get(function() {
+  return this.cues ? this.cues.length : 0;
+});
+
+// Keep cues in playback order
+CaptionSchema.pre('save', function(next) {
+  if (this.isModified('cues')) {
+    this.cues.sort((a, b) => a.start - b.start);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Caption', CaptionSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const CourseItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['Video', 'Notice', 'Playlist']
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'modules.sections.items.kind'
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
+const SectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a section title'],
+    trim: true,
+    maxlength: [100, 'Section title cannot be more than 100 characters']
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  items: [CourseItemSchema]
+});
+
+const ModuleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a module title'],
+    trim: true,
+    maxlength: [100, 'Module title cannot be more than 100 characters']
+  },
+  description: String,
+  order: {
+    type: Number,
+    default: 0
+  },
+  sections: [SectionSchema]
+});
+
+const CourseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  code: { // e.g. "CS201"
+    type: String,
+    required: [true, 'Please add a course code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Course code cannot be more than 20 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  instructors: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  tas: [{ // Teaching assistants can manage content and enrollment
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  modules: [ModuleSchema],
+  prerequisites: [{ // Courses a student must have completed before enrolling
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course'
+  }],
+  enrollmentRules: [{ // Students matching any rule are enrolled automatically
+    branch: String,
+    year: String
+  }],
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+CourseSchema.index({ instructors: 1 });
+CourseSchema.index({ tas: 1 });
+
+// Virtual for number of enrolled students
+CourseSchema.virtual('enrollmentCount', {
+  ref: 'Enrollment',
+  localField: '_id',
+  foreignField: 'course',
+  count: true,
+  match: { status: { $in: ['active', 'completed'] } }
+});
+
+// Get the ids of every item of a kind in the course outline
+CourseSchema.methods.getItemIds = function(kind) {
+  const ids = new Set();
+
+  this.modules.forEach(module => {
+    module.sections.forEach(section => {
+      section.items.forEach(entry => {
+        if (entry.kind === kind) ids.add((entry.item._id || entry.item).toString());
+      });
+    });
+  });
+
+  return [...ids];
+};
+
+// Check if a user teaches or assists on the course
+CourseSchema.methods.isStaff = function(user) {
+  const id = user._id.toString();
+  return [...this.instructors, ...this.tas].some(member => (member._id || member).toString() === id);
+};
+
+// Check if a user is one of the course instructors
+CourseSchema.methods.isInstructor = function(user) {
+  const id = user._id.toString();
+  return this.instructors.some(member => (member._id || member).toString() === id);
+};
+
+module.exports = mongoose.model('Course', CourseSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const EnrollmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'dropped'],
+    default: 'active'
+  },
+  source: { // How the student was enrolled
+    type: String,
+    enum: ['manual', 'csv', 'rule'],
+    default: 'manual'
+  },
+  enrolledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// A student is enrolled in a course at most once
+EnrollmentSchema.index({ course: 1, user: 1 }, { unique: true });
+EnrollmentSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('Enrollment', EnrollmentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Please add a job type'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: { // Earliest time the job may run, pushed back on retries
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for claiming the next runnable job
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedAt: 1 });
+JobSchema.index({ type: 1, 'payload.videoId': 1 });
+
+module.exports = mongoose.model('Job', JobSchema);
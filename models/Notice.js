@@ -90,6 +90,17 @@ NoticeSchema.virtual('formattedDate').get(function() {
   });
 });
 
+// Days each expiration duration lasts
+const DURATION_DAYS = {
+  '3 days': 3,
+  '7 days': 7,
+  '14 days': 14,
+  '30 days': 30,
+  '3 months': 90,
+  '6 months': 180,
+  '1 year': 365
+};
+
 // Method to check if notice is expired
 NoticeSchema.methods.isExpired = function() {
   if (this.expiration.type === 'date') {
@@ -97,17 +108,7 @@ NoticeSchema.methods.isExpired = function() {
   } else if (this.expiration.type === 'duration') {
     if (this.expiration.duration === 'never') return false;
     
-    const durationMap = {
-      '3 days': 3,
-      '7 days': 7,
-      '14 days': 14,
-      '30 days': 30,
-      '3 months': 90,
-      '6 months': 180,
-      '1 year': 365
-    };
-    
-    const days = durationMap[this.expiration.duration];
+    const days = DURATION_DAYS[this.expiration.duration];
     const expirationDate = new Date(this.createdAt);
     expirationDate.setDate(expirationDate.getDate() + days);
     
@@ -116,4 +117,25 @@ NoticeSchema.methods.isExpired = function() {
   return false;
 };
 
+// Query matching the notices isExpired() would keep
+NoticeSchema.statics.unexpiredFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { 'expiration.type': 'date', 'expiration.date': { $gte: now } },
+      { 'expiration.type': 'duration', 'expiration.duration': 'never' },
+      ...Object.entries(DURATION_DAYS).map(([duration, days]) => {
+        const createdAfter = new Date(now);
+        createdAfter.setDate(createdAfter.getDate() - days);
+        return { 'expiration.type': 'duration', 'expiration.duration': duration, createdAt: { $gte: createdAfter } };
+      })
+    ]
+  };
+};
+
+// Weighted full-text index used by search
+NoticeSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'notice_search', weights: { title: 10, content: 1 } }
+);
+
 module.exports = mongoose.model('Notice', NoticeSchema);
@@ -6,15 +6,24 @@ const NotificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  sender: { // User whose action caused the notification, if any
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   type: {
     type: String,
     enum: [
       'video_comment',
       'video_like',
       'video_view',
+      'video_access_granted',
+      'comment_like',
+      'question_asked',
+      'question_answered',
       'notice_posted',
       'notice_updated',
       'playlist_updated',
+      'account_status',
       'system_announcement'
     ],
     required: true
@@ -35,6 +44,16 @@ const NotificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Channel chosen from the recipient's preferences when it was created
+  delivery: {
+    type: String,
+    enum: ['in_app', 'email', 'daily_digest', 'weekly_digest'],
+    default: 'in_app'
+  },
+  emailedAt: { // Sent by email, on its own or in a digest
+    type: Date,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -55,6 +74,7 @@ const NotificationSchema = new mongoose.Schema({
 // Indexes for efficient querying
 NotificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 NotificationSchema.index({ type: 1, createdAt: -1 });
+NotificationSchema.index({ emailedAt: 1, delivery: 1, isRead: 1 });
 NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Static method to create a notification
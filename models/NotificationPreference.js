@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// How each notification type reaches the user
+const DELIVERY_OPTIONS = ['in_app', 'email', 'daily_digest', 'weekly_digest', 'muted'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const NotificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Notification type -> delivery; types not listed use their default
+  types: {
+    type: Map,
+    of: {
+      type: String,
+      enum: DELIVERY_OPTIONS
+    },
+    default: {}
+  },
+  // No immediate emails in this window (local time); they go out together afterwards
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours must use HH:MM'],
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours must use HH:MM'],
+      default: '07:00'
+    }
+  },
+  timezone: {
+    type: String,
+    default: () => process.env.DEFAULT_TIMEZONE || 'UTC',
+    validate: [isValidTimeZone, 'Unknown timezone']
+  },
+  // Local hour digests are sent at, and the weekday for the weekly one (0 = Sunday)
+  digestHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 7
+  },
+  weeklyDigestDay: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  lastDailyDigestAt: Date,
+  lastWeeklyDigestAt: Date,
+  // Keeps two servers from building the same user's digest at once
+  digestLockedUntil: Date
+}, {
+  timestamps: true
+});
+
+NotificationPreferenceSchema.statics.DELIVERY_OPTIONS = DELIVERY_OPTIONS;
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
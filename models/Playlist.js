@@ -91,4 +91,10 @@ PlaylistSchema.virtual('formattedDate').get(function() {
   });
 });
 
+// Weighted full-text index used by search
+PlaylistSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'playlist_search', weights: { title: 10, description: 1 } }
+);
+
 module.exports = mongoose.model('Playlist', PlaylistSchema);
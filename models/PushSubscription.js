@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (one per device/browser profile)
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  // VAPID public key the browser subscribed with; subscriptions for an old key are dropped
+  vapidPublicKey: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  device: String,
+  failureCount: { // Consecutive failed deliveries
+    type: Number,
+    default: 0
+  },
+  lastSuccessAt: Date,
+  expiresAt: { // Expiry reported by the browser, removed by MongoDB afterwards
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PushSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
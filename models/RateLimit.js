@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Counter for one rate limit key (e.g. "login:ip:127.0.0.1") in the current window
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAt: { // Time of the latest hit
+    type: Date,
+    default: Date.now
+  },
+  resetAt: { // End of the window; removed by MongoDB afterwards
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// An outstanding SAML AuthnRequest. The IdP's response must answer one of these,
+// and each can be answered only once.
+const SamlRequestSchema = new mongoose.Schema({
+  requestId: { // ID of the AuthnRequest, returned as InResponseTo
+    type: String,
+    required: true,
+    unique: true
+  },
+  issuedAt: { // IssueInstant, as node-saml stores it
+    type: String,
+    required: true
+  },
+  expiresAt: { // Removed by MongoDB once the sign-in can no longer finish
+    type: Date,
+    required: true
+  }
+});
+
+SamlRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SamlRequest', SamlRequestSchema);
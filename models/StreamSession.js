@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const StreamSessionSchema = new mongoose.Schema({
+  streamId: { // Carried in the playback token
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  lastSeenAt: { // Last proxy or HLS request, null until playback starts
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: { // Removed by MongoDB once the token can no longer be used
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StreamSessionSchema.index({ user: 1, lastSeenAt: -1 });
+StreamSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StreamSession', StreamSessionSchema);
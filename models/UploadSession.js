@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const UploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: [true, 'Please provide the file name']
+  },
+  mimetype: {
+    type: String,
+    required: [true, 'Please provide the file type']
+  },
+  size: { // Total upload length in bytes
+    type: Number,
+    required: [true, 'Please provide the file size'],
+    min: 1
+  },
+  offset: { // Bytes received so far
+    type: Number,
+    default: 0
+  },
+  path: { // Partial file on disk
+    type: String,
+    required: true
+  },
+  lockedAt: { // Set while a chunk is being written
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UploadSessionSchema.index({ user: 1 });
+UploadSessionSchema.index({ expiresAt: 1 });
+
+// Check if the session can no longer receive chunks
+UploadSessionSchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
@@ -58,6 +58,47 @@ const UserSchema = new mongoose.Schema({
       return this.role === 'student'; // Students are approved by default, teachers need approval
     }
   },
+  // Set to false on registration until the address is confirmed. Accounts created
+  // before email verification existed have no value and count as verified.
+  isEmailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: { // Encrypted TOTP secret
+      type: String,
+      select: false
+    },
+    pendingSecret: { // Set during setup until the first code is confirmed
+      type: String,
+      select: false
+    },
+    recoveryCodes: { // SHA-256 hashes, each usable once
+      type: [String],
+      select: false
+    },
+    lastUsedStep: { // Time step of the last accepted code, so codes cannot be replayed
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  identities: [{ // Linked single sign-on accounts
+    _id: false,
+    provider: String, // oidc, saml
+    subject: String, // The IdP's user id (OIDC sub / SAML NameID)
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   watchHistory: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Video'
@@ -71,6 +112,8 @@ const UserSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+UserSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
 // Virtual for playlists
 UserSchema.virtual('playlists', {
   ref: 'Playlist',
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (verify address, reset password). Only the hash is stored.
+const UserTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: true
+  },
+  tokenHash: { // SHA-256 of the token in the link
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: { // Removed by MongoDB once expired
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UserTokenSchema.index({ user: 1, purpose: 1 });
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', UserTokenSchema);
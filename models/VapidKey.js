@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Generated VAPID key pair, used when VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are not set.
+// Stored once so every server instance signs with the same key.
+const VapidKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  privateKey: { // Encrypted (see services/twoFactor encryptSecret)
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('VapidKey', VapidKeySchema);
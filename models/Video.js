@@ -21,6 +21,19 @@ const VideoSchema = new mongoose.Schema({
     type: String,
     default: 'default-thumbnail.jpg'
   },
+  thumbnailCandidates: [{ // Frames extracted after upload, the teacher can pick one
+    url: String,
+    time: Number // seconds into the video
+  }],
+  storyboard: { // Sprite sheets for seek-bar hover previews
+    interval: Number, // seconds between frames
+    width: Number,
+    height: Number,
+    columns: Number,
+    rows: Number,
+    frameCount: Number,
+    sheets: [String]
+  },
   subject: {
     type: String,
     required: [true, 'Please add a subject']
@@ -53,6 +66,49 @@ const VideoSchema = new mongoose.Schema({
   formats: {
     type: Object
   },
+  processingStatus: {
+    type: String,
+    enum: ['uploaded', 'storing', 'probing', 'transcoding', 'ready', 'failed'],
+    default: 'uploaded'
+  },
+  source: { // Uploaded file waiting on this server's disk until the processing job has stored it
+    type: new mongoose.Schema({
+      path: String,
+      filename: String,
+      mimetype: String
+    }, { _id: false }),
+    select: false
+  },
+  processingProgress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  processingError: String,
+  hls: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+      default: 'none'
+    },
+    error: String,
+    renditions: [{
+      name: String, // e.g. 240p
+      width: Number,
+      height: Number,
+      bandwidth: Number, // bits per second, advertised in the master playlist
+      playlist: { // media playlist content, segments are stored through the storage provider
+        type: String,
+        select: false
+      }
+    }],
+    updatedAt: Date
+  },
+  courses: [{ // Courses containing this video, kept in sync by the course controller
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course'
+  }],
   specialAccess: [{
     type: mongoose.Schema.ObjectId,
     ref: 'User'
@@ -70,10 +126,55 @@ const VideoSchema = new mongoose.Schema({
     default: 0
   }
 }, {
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Storage URLs stay on the server, players use the token-checked stream routes
+    transform: (doc, ret) => {
+      delete ret.videoUrl;
+      delete ret.formats;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
+// Allowed processing status transitions
+const PROCESSING_TRANSITIONS = {
+  uploaded: ['storing', 'probing', 'failed'],
+  storing: ['probing', 'failed'],
+  probing: ['transcoding', 'failed'],
+  transcoding: ['ready', 'failed', 'probing'], // probing again when a job attempt is retried
+  ready: ['probing'], // reprocessing
+  failed: ['storing', 'probing'] // retry
+};
+
+// videoUrl is required and unique, so files that are not stored yet get a placeholder
+const PENDING_URL_PREFIX = 'pending:';
+
+// Move the video to the next processing status, rejecting invalid transitions
+VideoSchema.methods.setProcessingStatus = async function(status, fields = {}) {
+  const current = this.processingStatus || 'uploaded';
+
+  // Retried jobs may resume from the step they were on
+  if (current !== status && !PROCESSING_TRANSITIONS[current].includes(status)) {
+    throw new Error(`Invalid processing status transition from ${current} to ${status}`);
+  }
+
+  this.processingStatus = status;
+  this.processingProgress = status === 'ready' ? 100 : (fields.progress || 0);
+  this.processingError = status === 'failed' ? fields.error : undefined;
+
+  return this.save();
+};
+
+VideoSchema.statics.PROCESSING_TRANSITIONS = PROCESSING_TRANSITIONS;
+VideoSchema.statics.PENDING_URL_PREFIX = PENDING_URL_PREFIX;
+
+// Whether the uploaded file has reached the storage provider
+VideoSchema.methods.isStored = function() {
+  return Boolean(this.videoUrl) && !this.videoUrl.startsWith(PENDING_URL_PREFIX);
+};
+
 // Virtual for likes
 VideoSchema.virtual('likes', {
   ref: 'Like',
@@ -127,4 +228,10 @@ VideoSchema.virtual('formattedDate').get(function() {
   }
 });
 
+// Weighted full-text index used by search (title > tags > topic > description)
+VideoSchema.index(
+  { title: 'text', tags: 'text', topic: 'text', description: 'text' },
+  { name: 'video_search', weights: { title: 10, tags: 5, topic: 3, description: 1 } }
+);
+
 module.exports = mongoose.model('Video', VideoSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Per-video watch counters, one slot per time bucket
+const VideoHeatmapSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    unique: true
+  },
+  duration: { // Video duration (seconds) the buckets were sized for
+    type: Number,
+    required: true
+  },
+  bucketSize: { // Seconds per bucket
+    type: Number,
+    required: true,
+    min: 1
+  },
+  uniqueViewers: { // Viewers who posted at least one watched segment
+    type: Number,
+    default: 0
+  },
+  viewers: [Number], // Unique viewers who watched each bucket
+  plays: [Number], // Times each bucket was played, rewatches included
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('VideoHeatmap', VideoHeatmapSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Views at or above this completion count as finished
+const COMPLETED_PERCENTAGE = 90;
+
 const VideoViewSchema = new mongoose.Schema({
   video: {
     type: mongoose.Schema.Types.ObjectId,
@@ -27,10 +30,30 @@ const VideoViewSchema = new mongoose.Schema({
   lastPosition: {
     type: Number,
     default: 0
+  },
+  segments: { // Merged [start, end] intervals (seconds) the user has watched
+    type: [[Number]],
+    default: []
+  },
+  dismissedAt: { // Hidden from "continue watching" until the video is watched again
+    type: Date,
+    default: null
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Ensure a user can have only one view record per video
 VideoViewSchema.index({ video: 1, user: 1 }, { unique: true });
+VideoViewSchema.index({ user: 1, watchedAt: -1 });
+
+// Virtual for whether the video was watched to the end
+VideoViewSchema.virtual('isCompleted').get(function() {
+  return this.completionPercentage >= COMPLETED_PERCENTAGE;
+});
+
+const VideoView = mongoose.model('VideoView', VideoViewSchema);
+VideoView.COMPLETED_PERCENTAGE = COMPLETED_PERCENTAGE;
 
-module.exports = mongoose.model('VideoView', VideoViewSchema);
+module.exports = VideoView;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getPolicies, explainAccess } = require('../controllers/accessController');
+
+// Admin-only access policy debugging
+router.use(protect, authorize('admin'));
+
+router.get('/policies', getPolicies);
+router.get('/explain', explainAccess);
+
+module.exports = router;
@@ -1,24 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, allowUnverified, allowTwoFactorSetup } = require('../middleware/auth');
 const { profilePictureUpload } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
 const {
   register,
   login,
+  loginTwoFactor,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getMe,
   updateProfile,
   updatePassword,
   checkCloudinaryUploads
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+
+// Routes an account can still use before it is fully set up
+// (email not verified yet, or an admin without two-factor authentication)
+const accountSetup = [allowUnverified, allowTwoFactorSetup, protect];
 
 // Public routes
-router.post('/register', profilePictureUpload, register);
-router.post('/login', login);
+router.post('/register', rateLimit('register'), profilePictureUpload, register);
+router.post('/login', rateLimit('login'), login);
+router.post('/login/2fa', rateLimit('loginTwoFactor'), loginTwoFactor);
+router.post('/refresh', rateLimit('refresh'), refreshToken);
+router.post('/logout', logout);
+router.post('/verify-email', rateLimit('emailVerification'), verifyEmail);
+router.post('/forgot-password', rateLimit('passwordReset'), forgotPassword);
+router.post('/reset-password', rateLimit('passwordReset'), resetPassword);
 
 // Protected routes
-router.get('/me', protect, getMe);
+router.get('/me', accountSetup, getMe);
+router.post('/resend-verification', accountSetup, rateLimit('emailVerification'), resendVerification);
 router.put('/updateprofile', protect, profilePictureUpload, updateProfile);
 router.put('/updatepassword', protect, updatePassword);
 router.get('/check-uploads', protect, checkCloudinaryUploads);
 
-module.exports = router; 
\ No newline at end of file
+// Session management
+router.post('/logout-all', accountSetup, logoutAll);
+router.get('/sessions', accountSetup, getSessions);
+router.delete('/sessions/:sessionId', accountSetup, revokeSession);
+
+// Two-factor authentication (teachers and admins)
+router.get('/2fa', accountSetup, authorize('teacher', 'admin'), getTwoFactorStatus);
+router.post('/2fa/setup', accountSetup, authorize('teacher', 'admin'), setupTwoFactor);
+router.post('/2fa/enable', accountSetup, authorize('teacher', 'admin'), enableTwoFactor);
+router.post('/2fa/disable', protect, authorize('teacher', 'admin'), disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authorize('teacher', 'admin'), regenerateRecoveryCodes);
+
+module.exports = router; 
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { captionUpload } = require('../middleware/upload');
+const {
+  getCaptions,
+  getCaption,
+  getCaptionTrack,
+  captionTrackOptions,
+  uploadCaption,
+  updateCaption,
+  deleteCaption,
+  addCue,
+  updateCue,
+  deleteCue
+} = require('../controllers/captionController');
+
+// Mounted at /api/videos/:videoId/captions
+
+// Preflight for cross-origin <track> loading
+router.options('/:captionId/track.vtt', captionTrackOptions);
+
+// <track> elements send no Authorization header, the playback token authorizes the request
+router.get('/:captionId/track.vtt', optionalAuth, getCaptionTrack);
+
+router.use(protect);
+
+// Caption tracks - anyone who can watch the video
+router.get('/', getCaptions);
+router.get('/:captionId', getCaption);
+
+// Teacher routes - the video owner or an admin
+router.post('/', authorize('teacher', 'admin'), captionUpload, uploadCaption);
+router.put('/:captionId', authorize('teacher', 'admin'), updateCaption);
+router.delete('/:captionId', authorize('teacher', 'admin'), deleteCaption);
+
+// Cue editing
+router.post('/:captionId/cues', authorize('teacher', 'admin'), addCue);
+router.put('/:captionId/cues/:cueId', authorize('teacher', 'admin'), updateCue);
+router.delete('/:captionId/cues/:cueId', authorize('teacher', 'admin'), deleteCue);
+
+module.exports = router;
@@ -9,12 +9,13 @@ const {
 } = require('../controllers/commentController');
 const { protect } = require('../middleware/auth');
 const { authorize } = require('../middleware/roleCheck');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Protect all routes
 router.use(protect);
 
 // Create a comment
-router.post('/', createComment);
+router.post('/', rateLimit('comment'), createComment);
 
 // Get all comments for a video (by videoId query param)
 router.get('/', getComments);
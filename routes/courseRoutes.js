@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
+const {
+  getCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  updateStaff,
+  updateModules,
+  getEnrollments,
+  enrollStudents,
+  enrollFromCsv,
+  syncEnrollmentRules,
+  updateEnrollment,
+  dropEnrollment
+} = require('../controllers/courseController');
+
+router.use(protect);
+
+router.get('/', getCourses);
+router.get('/:id', getCourse);
+
+// Teacher routes (course-level roles are checked in the controller)
+router.post('/', authorize('teacher', 'admin'), createCourse);
+router.put('/:id', authorize('teacher', 'admin'), updateCourse);
+router.delete('/:id', authorize('teacher', 'admin'), deleteCourse);
+router.put('/:id/staff', authorize('teacher', 'admin'), updateStaff);
+
+// Course staff routes (instructors and TAs)
+router.put('/:id/modules', updateModules);
+router.get('/:id/enrollments', getEnrollments);
+router.post('/:id/enrollments', enrollStudents);
+router.post('/:id/enrollments/csv', csvUpload, enrollFromCsv);
+router.post('/:id/enrollments/sync', syncEnrollmentRules);
+router.put('/:id/enrollments/:userId', updateEnrollment);
+router.delete('/:id/enrollments/:userId', dropEnrollment);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getLocalMedia } = require('../controllers/mediaController');
+
+// Keys contain slashes, so the whole path after /media is the key
+router.get('/*', getLocalMedia);
+
+module.exports = router;
@@ -2,25 +2,60 @@ const express = require('express');
 const router = express.Router();
 const { 
   getNotifications, 
+  getUnreadCount,
   markAsRead, 
   markAllAsRead, 
   deleteNotification, 
-  deleteReadNotifications 
+  deleteReadNotifications,
+  deleteAllNotifications,
+  getPreferences,
+  updatePreferences,
+  unsubscribe
 } = require('../controllers/notificationController');
+const {
+  getPushPublicKey,
+  subscribe,
+  getSubscriptions,
+  unsubscribe: unsubscribePush,
+  sendTestPush
+} = require('../controllers/pushController');
 const { protect } = require('../middleware/auth');
 
-// Protect all routes
+// One-click unsubscribe from emails (signed link, no login)
+router.post('/unsubscribe', unsubscribe);
+
+// Protect all other routes
 router.use(protect);
 
 // Get user notifications
 router.get('/', getNotifications);
 
+// Unread badge count
+router.get('/unread-count', getUnreadCount);
+
+// Delivery preferences
+router.route('/preferences')
+  .get(getPreferences)
+  .put(updatePreferences);
+
+// Web Push devices
+router.get('/push/public-key', getPushPublicKey);
+router.route('/push/subscriptions')
+  .get(getSubscriptions)
+  .post(subscribe)
+  .delete(unsubscribePush);
+router.delete('/push/subscriptions/:id', unsubscribePush);
+router.post('/push/test', sendTestPush);
+
 // Mark all as read
 router.put('/read-all', markAllAsRead);
 
 // Delete all read notifications
 router.delete('/read', deleteReadNotifications);
 
+// Delete all notifications
+router.delete('/', deleteAllNotifications);
+
 // Mark single notification as read
 router.put('/:id', markAsRead);
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const {
   getPlaylists,
   getPlaylist,
@@ -12,9 +12,9 @@ const {
   reorderVideos
 } = require('../controllers/playlistController');
 
-// Public routes
-router.get('/', getPlaylists);
-router.get('/:id', getPlaylist);
+// Public routes (signed-in students are limited to their branch and year)
+router.get('/', optionalAuth, getPlaylists);
+router.get('/:id', optionalAuth, getPlaylist);
 
 // Protected routes
 router.use(protect);
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const {
   createQuestion,
   getQuestions,
@@ -14,12 +15,12 @@ router.use(protect);
 // Routes for questions
 router.route('/')
   .get(getQuestions)
-  .post(createQuestion);
+  .post(rateLimit('question'), createQuestion);
 
 router.route('/:id')
   .get(getQuestion);
 
 router.route('/:id/answers')
-  .post(addAnswer);
+  .post(rateLimit('question'), addAnswer);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const {
   createReport,
   getReports,
@@ -16,7 +17,7 @@ const {
 // None
 
 // Protected routes (logged-in users)
-router.post('/', protect, createReport);
+router.post('/', protect, rateLimit('report'), createReport);
 router.get('/count/:commentId', protect, getReportCount);
 router.get('/check/:commentId', protect, checkUserReport);
 router.get('/user-report/:commentId', protect, getUserReport);
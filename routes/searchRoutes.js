@@ -3,12 +3,16 @@ const router = express.Router();
 const { protect } = require('../middleware/auth');
 const {
   search,
-  getSuggestions
+  getSuggestions,
+  searchTranscripts
 } = require('../controllers/searchController');
 
 // Search videos, playlists, and notices
 router.get('/', protect, search);
 
+// Search inside video transcripts
+router.get('/transcripts', protect, searchTranscripts);
+
 // Get search suggestions
 router.get('/suggestions', protect, getSuggestions);
 
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProviders,
+  startSso,
+  ssoCallback,
+  getSamlMetadata
+} = require('../controllers/ssoController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Single sign-on (OIDC / SAML), all public: the identity provider authenticates the user
+router.get('/', getProviders);
+router.get('/saml/metadata', getSamlMetadata);
+router.get('/:provider/login', rateLimit('sso'), startSso);
+router.get('/:provider/callback', rateLimit('sso'), ssoCallback);
+router.post('/:provider/callback', rateLimit('sso'), ssoCallback);
+
+module.exports = router;
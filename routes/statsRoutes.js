@@ -4,7 +4,8 @@ const { protect, authorize } = require('../middleware/auth');
 const {
   getTeacherStats,
   getAdminStats,
-  getVideoStats
+  getVideoStats,
+  getVideoRetention
 } = require('../controllers/statsController');
 
 // Get teacher dashboard stats
@@ -16,4 +17,7 @@ router.get('/admin', protect, authorize('admin'), getAdminStats);
 // Get video stats
 router.get('/videos/:id', protect, authorize('teacher', 'admin'), getVideoStats);
 
+// Get audience retention and watch heatmap for a video
+router.get('/videos/:id/retention', protect, authorize('teacher', 'admin'), getVideoRetention);
+
 module.exports = router; 
\ No newline at end of file
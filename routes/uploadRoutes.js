@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  createUploadSession,
+  getUploadOffset,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} = require('../controllers/uploadController');
+
+// Resumable (tus-style) video uploads - teachers only
+router.use(protect);
+router.use(authorize('teacher', 'admin'));
+
+router.post('/', rateLimit('upload'), createUploadSession);
+router.head('/:id', getUploadOffset);
+router.patch('/:id', uploadChunk);
+router.delete('/:id', cancelUpload);
+router.post('/:id/complete', completeUpload);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { videoUpload, thumbnailUpload } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const captionRoutes = require('./captionRoutes');
 const {
   getVideos,
   getVideo,
@@ -19,44 +21,73 @@ const {
   getVideoSubjects,
   proxyVideo,
   getLikes,
+  getHlsMasterPlaylist,
+  getHlsMediaPlaylist,
+  getHlsSegment,
+  getProcessingStatus,
+  getStoryboard,
+  getRecommended,
+  getUpNext,
+  getStreamToken,
+  stopStream
 } = require('../controllers/videoController');
 
 // Public routes - accessible without authentication
-router.get('/', getVideos);
+router.get('/', optionalAuth, getVideos);
 
 // Special routes that should come BEFORE the :id route to avoid confusion
 router.get('/history', protect, getWatchHistory);
+router.get('/recommended', protect, getRecommended);
 router.get('/subjects', getVideoSubjects);
 
-// Add proxy route for video streaming - THIS WAS MISSING
-router.get('/proxy/:id', proxyVideo);
+// Add proxy route for video streaming (authorized by the signed playback token)
+router.get('/proxy/:id', optionalAuth, proxyVideo);
 // Add OPTIONS handler for proxy endpoint
 router.options('/proxy/:id', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, Origin, Referer');
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
+  res.header('Vary', 'Origin');
+  res.header('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, If-Range, Origin, Referer');
   res.status(204).send();
 });
 
 // Dynamic ID routes need to come AFTER specific routes
-router.get('/:id', getVideo);
-router.get('/:id/comments', getVideoComments);
+router.get('/:id', optionalAuth, getVideo);
+router.get('/:id/comments', optionalAuth, getVideoComments);
 router.get('/:id/likes', protect, getLikes);
+router.get('/:id/up-next', protect, getUpNext);
+router.get('/:id/stream-token', protect, getStreamToken);
+
+// Subtitles and closed captions
+router.use('/:videoId/captions', captionRoutes);
+
+// Seek-bar preview thumbnails
+router.get('/:id/storyboard.vtt', protect, getStoryboard);
+
+// HLS adaptive streaming - master playlist, rendition playlists and segments (playback token required)
+router.get('/:id/hls/master.m3u8', optionalAuth, getHlsMasterPlaylist);
+router.get('/:id/hls/:rendition/index.m3u8', optionalAuth, getHlsMediaPlaylist);
+router.get('/:id/hls/:rendition/:segment', optionalAuth, getHlsSegment);
 
 // Protected routes - require authentication
 router.use(protect);
 
 // Teacher routes - require teacher or admin role
-router.post('/upload', authorize('teacher', 'admin'), videoUpload, uploadVideo);
+// (upload is limited before multer reads the body)
+router.post('/upload', authorize('teacher', 'admin'), rateLimit('upload'), videoUpload, uploadVideo);
 router.post('/thumbnail', authorize('teacher', 'admin'), thumbnailUpload, uploadThumbnail);
 router.post('/', authorize('teacher', 'admin'), createVideo);
 router.put('/:id', authorize('teacher', 'admin'), thumbnailUpload, updateVideo);
 router.delete('/:id', authorize('teacher', 'admin'), deleteVideo);
+router.get('/:id/processing', authorize('teacher', 'admin'), getProcessingStatus);
+
+// Free a concurrent-stream slot when the player closes
+router.delete('/streams/:streamId', stopStream);
 
 // User interaction routes - require authentication but no specific role
 router.put('/:id/like', likeVideo);
 router.put('/:id/unlike', unlikeVideo);
-router.post('/:id/comments', addComment);
+router.post('/:id/comments', rateLimit('comment'), addComment);
 router.delete('/:id/comments/:commentId', removeComment);
 
 module.exports = router; 
\ No newline at end of file
@@ -4,7 +4,9 @@ const { protect, authorize } = require('../middleware/auth');
 const {
   recordView,
   getViewHistory,
-  getViewStats
+  getViewStats,
+  getContinueWatching,
+  dismissContinueWatching
 } = require('../controllers/viewController');
 
 // Protected routes
@@ -13,6 +15,8 @@ router.use(protect);
 // View routes - changed from '/' to ensure it works with the mounting point
 router.post('/', recordView);
 router.get('/history', getViewHistory);
+router.get('/continue-watching', getContinueWatching);
+router.delete('/continue-watching/:videoId', dismissContinueWatching);
 router.get('/stats/:videoId', authorize('teacher', 'admin'), getViewStats);
 
 module.exports = router; 
\ No newline at end of file
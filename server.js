@@ -1,10 +1,19 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const { setIo } = require('./services/socket');
+const { registerRealtime } = require('./services/realtime');
+const { attachAdapter } = require('./services/cluster');
+const registerJobs = require('./jobs');
+const jobQueue = require('./services/jobQueue');
+const { scheduleUploadCleanup } = require('./jobs/uploadCleanup');
+const { scheduleNotificationDigests } = require('./jobs/notificationDigest');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Load env vars
 dotenv.config();
@@ -14,6 +23,12 @@ connectDB();
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address (rate limits key on it)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Create HTTP server with increased timeout for video streaming
 const server = http.createServer({
   // Increase timeout for video streaming (5 minutes)
@@ -29,52 +44,19 @@ const io = socketIo(server, {
   }
 });
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log('New client connected');
-  
-  // Handle socket events for real-time chat/comments
-  socket.on('joinVideoRoom', (videoId) => {
-    socket.join(`video_${videoId}`);
-  });
-  
-  socket.on('leaveVideoRoom', (videoId) => {
-    socket.leave(`video_${videoId}`);
-  });
-  
-  socket.on('newComment', (data) => {
-    io.to(`video_${data.videoId}`).emit('commentReceived', data);
-  });
-  
-  socket.on('commentReplyReceived', (data) => {
-    io.to(`video_${data.videoId}`).emit('commentReplyReceived', data);
-  });
-  
-  socket.on('commentDeleted', (data) => {
-    io.to(`video_${data.videoId}`).emit('commentDeleted', data);
-  });
-  
-  socket.on('replyDeleted', (data) => {
-    io.to(`video_${data.videoId}`).emit('replyDeleted', data);
-  });
-  
-  socket.on('newQuestion', (data) => {
-    io.to(`video_${data.videoId}`).emit('questionReceived', data);
-  });
-  
-  socket.on('newAnswer', (data) => {
-    io.to(`video_${data.videoId}`).emit('answerReceived', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
-  });
-});
+// Share the Socket.io server with controllers and background jobs
+setIo(io);
+
+// Authenticated sockets, per-user rooms and video rooms with presence
+registerRealtime(io);
 
 // Body parser with increased limit for video uploads
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Cookie parser (refresh tokens are sent as httpOnly cookies)
+app.use(cookieParser());
+
 // Increase timeout for video streaming
 app.use((req, res, next) => {
   // Set timeout to 5 minutes for video routes
@@ -95,14 +77,32 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
-  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges']
+  exposedHeaders: [
+    'Content-Length',
+    'Content-Range',
+    'Accept-Ranges',
+    'Location',
+    'Tus-Resumable',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+    'Retry-After',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset'
+  ]
 }));
 
 // Set static folder
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Files of the local storage provider (signed URLs are checked)
+app.use('/media', require('./routes/mediaRoutes'));
+
 // Route files
 const authRoutes = require('./routes/authRoutes');
+const ssoRoutes = require('./routes/ssoRoutes');
 const userRoutes = require('./routes/userRoutes');
 const videoRoutes = require('./routes/videoRoutes');
 const playlistRoutes = require('./routes/playlistRoutes');
@@ -114,8 +114,18 @@ const noteRoutes = require('./routes/note');
 const commentRoutes = require('./routes/comment');
 const questionRoutes = require('./routes/questionRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const courseRoutes = require('./routes/courseRoutes');
+const accessRoutes = require('./routes/accessRoutes');
+const notificationRoutes = require('./routes/notification');
+
+// Overall API rate limit per IP; playback (proxy/HLS) requests are left out
+app.use('/api', rateLimit('api', {
+  skip: (req) => req.path.startsWith('/videos/proxy/') || req.path.includes('/hls/')
+}));
 
 // Mount routers
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/videos', videoRoutes);
@@ -128,6 +138,10 @@ app.use('/api/notes', noteRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/questions', questionRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/access', accessRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -157,9 +171,30 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-});
+// Sockets only connect once the cluster adapter is in place (CLUSTER_BACKEND)
+attachAdapter(io)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('Could not set up the Socket.io cluster adapter:', error.message);
+    process.exit(1);
+  });
+
+// Process background jobs in this instance unless a separate worker is used
+// (a separate worker needs CLUSTER_BACKEND=mongo, see worker.js)
+registerJobs();
+if (process.env.JOB_WORKER !== 'false') {
+  jobQueue.start();
+}
+
+// Garbage-collect expired resumable upload sessions
+scheduleUploadCleanup();
+
+// Email notification digests (safe to run on several instances)
+scheduleNotificationDigests();
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Video = require('../models/Video');
+const Notice = require('../models/Notice');
+
+// The one place that decides who may do what.
+// Each resource type lists its actions; an action passes when every `require` rule
+// holds and at least one `allow` rule does. Controllers ask `can(user, action, resource)`,
+// list endpoints use `accessFilter(user, type)` and admins can ask `explain(...)` why.
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Course ids looked up once per user document (i.e. once per request)
+const courseIdCache = new WeakMap();
+
+// Courses a user is enrolled in or helps teach
+const getUserCourseIds = async (user) => {
+  if (!user) return [];
+  if (courseIdCache.has(user)) return courseIdCache.get(user);
+
+  const [enrolled, staffed] = await Promise.all([
+    Enrollment.distinct('course', { user: user._id, status: { $in: ['active', 'completed'] } }),
+    Course.distinct('_id', { $or: [{ instructors: user._id }, { tas: user._id }] })
+  ]);
+
+  const ids = [...new Set([...enrolled, ...staffed].map(id => id.toString()))];
+  courseIdCache.set(user, ids);
+  return ids;
+};
+
+const rule = (name, description, test) => ({ name, description, test });
+
+// Shared rules
+const anonymous = rule('public', 'Visitors who are not signed in can browse', (user) => !user);
+const signedIn = rule('signed-in', 'Must be signed in', (user) => Boolean(user));
+const admin = rule('admin', 'Admins can do anything', (user) => Boolean(user) && user.role === 'admin');
+const notStudent = rule('staff-role', 'Teachers and admins are not limited to a branch/year', (user) =>
+  Boolean(user) && user.role !== 'student'
+);
+const owner = (field, description) => rule('owner', description, (user, resource) =>
+  Boolean(user) && sameId(resource[field], user._id)
+);
+
+// Branch/year match. Playlists store the year as a number, users as "1st".
+const sameBranchYear = (user, resource) =>
+  Boolean(user) &&
+  String(resource.branch) === String(user.branch) &&
+  (typeof resource.year === 'number'
+    ? resource.year === parseInt(user.year)
+    : String(resource.year) === String(user.year));
+
+// Video rules
+const specialAccess = rule('special-access', 'Student was granted special access to the video', (user, video) =>
+  Boolean(user) && Array.isArray(video.specialAccess) && video.specialAccess.some(id => sameId(id, user._id))
+);
+const courseMember = rule('course', 'Video belongs to a course the user is enrolled in or teaches', async (user, video) => {
+  const courses = video.courses || [];
+  if (!user || courses.length === 0) return false;
+
+  const courseIds = await getUserCourseIds(user);
+  return courses.some(id => courseIds.includes((id._id || id).toString()));
+});
+const videoBranchYear = rule('branch-year', 'Video is in no course and matches the student\'s branch and year', (user, video) =>
+  (video.courses || []).length === 0 && sameBranchYear(user, video)
+);
+
+const videoViewRules = [notStudent, specialAccess, courseMember, videoBranchYear];
+
+// Rule that defers to the video a question, comment or note belongs to
+const onVideo = (action) => rule(`video:${action}`, `Can ${action} the video it belongs to`, async (user, resource) => {
+  let video = resource.video;
+  if (!video) return false;
+
+  if (getResourceType(video) !== 'Video') {
+    video = await Video.findById(video._id || video);
+    if (!video) return false;
+  }
+
+  return can(user, action, video);
+});
+
+const policies = {
+  Video: {
+    // Catalogue details only (title, description, thumbnail); visitors can browse
+    browse: { allow: [anonymous, ...videoViewRules] },
+    // Watching and everything attached to the video; leaving out the login does not widen access
+    view: { require: [signedIn], allow: videoViewRules },
+    interact: { require: [signedIn], allow: videoViewRules }, // like, comment, ask, take notes
+    manage: { allow: [admin, owner('teacher', 'Teacher who uploaded the video')] }
+  },
+  Playlist: {
+    view: {
+      allow: [
+        anonymous,
+        notStudent,
+        rule('branch-year', 'Playlist matches the student\'s branch and year', sameBranchYear)
+      ]
+    },
+    manage: { allow: [admin, owner('teacher', 'Teacher who created the playlist')] }
+  },
+  Notice: {
+    view: {
+      require: [
+        signedIn,
+        rule('active', 'Notice is active and has not expired', (user, notice) =>
+          notice.isActive !== false && !(notice.isExpired && notice.isExpired())
+        )
+      ],
+      allow: [
+        notStudent,
+        rule('audience', 'Notice targets the student\'s branch and year (or "All")', (user, notice) =>
+          Boolean(user) && [user.branch, 'All'].includes(notice.branch) && [user.year, 'All'].includes(notice.year)
+        )
+      ]
+    },
+    manage: { allow: [admin, owner('teacher', 'Teacher who posted the notice')] }
+  },
+  Note: {
+    view: { allow: [owner('student', 'Student who wrote the note')] },
+    manage: { allow: [owner('student', 'Student who wrote the note')] }
+  },
+  Question: {
+    view: { allow: [onVideo('view')] },
+    answer: { allow: [onVideo('interact')] },
+    manage: { allow: [admin, owner('user', 'User who asked the question')] }
+  },
+  Comment: {
+    view: { allow: [onVideo('view')] },
+    update: { allow: [owner('user', 'User who wrote the comment')] },
+    delete: { allow: [admin, owner('user', 'User who wrote the comment')] }
+  }
+};
+
+const getResourceType = (resource) => resource && resource.constructor && resource.constructor.modelName;
+
+const getPolicy = (action, type) => {
+  const policy = policies[type] && policies[type][action];
+  if (!policy) {
+    throw new Error(`No access policy for ${action} on ${type || 'unknown resource'}`);
+  }
+  return policy;
+};
+
+// Check if a user may perform an action on a resource (a Mongoose document, or pass its type)
+const can = async (user, action, resource, type = getResourceType(resource)) => {
+  const policy = getPolicy(action, type);
+
+  for (const required of policy.require || []) {
+    if (!(await required.test(user, resource))) return false;
+  }
+  for (const allowed of policy.allow) {
+    if (await allowed.test(user, resource)) return true;
+  }
+  return false;
+};
+
+// Evaluate every rule and report which ones passed
+const explain = async (user, action, resource, type = getResourceType(resource)) => {
+  const policy = getPolicy(action, type);
+
+  const evaluate = (kind) => async (entry) => ({
+    rule: entry.name,
+    kind,
+    description: entry.description,
+    passed: Boolean(await entry.test(user, resource))
+  });
+
+  const checks = [
+    ...(await Promise.all((policy.require || []).map(evaluate('require')))),
+    ...(await Promise.all(policy.allow.map(evaluate('allow'))))
+  ];
+
+  const failedRequirement = checks.find(check => check.kind === 'require' && !check.passed);
+  const grantedBy = checks.find(check => check.kind === 'allow' && check.passed);
+
+  return {
+    allowed: !failedRequirement && Boolean(grantedBy),
+    type,
+    action,
+    decidedBy: failedRequirement ? failedRequirement.rule : (grantedBy ? grantedBy.rule : null),
+    checks
+  };
+};
+
+// Query limiting a list to the resources `can(user, 'view', ...)` would allow
+const accessFilter = async (user, type) => {
+  if (type === 'Note') {
+    return { student: user ? user._id : null };
+  }
+
+  if (type === 'Notice') {
+    // The "active" requirement applies to every role
+    const filter = { isActive: true, $and: [Notice.unexpiredFilter()] };
+
+    return user && user.role === 'student'
+      ? { ...filter, branch: { $in: [user.branch, 'All'] }, year: { $in: [user.year, 'All'] } }
+      : filter;
+  }
+
+  if (!user || user.role !== 'student') {
+    return {};
+  }
+
+  if (type === 'Video') {
+    // ObjectIds rather than strings so the filter also works in aggregations
+    const courseIds = (await getUserCourseIds(user)).map(id => new mongoose.Types.ObjectId(id));
+
+    return {
+      $or: [
+        { specialAccess: { $in: [user._id] } },
+        { courses: { $in: courseIds } },
+        { branch: user.branch, year: user.year, 'courses.0': { $exists: false } }
+      ]
+    };
+  }
+
+  if (type === 'Playlist') {
+    return { branch: user.branch, year: parseInt(user.year) };
+  }
+
+  throw new Error(`No access filter for ${type}`);
+};
+
+module.exports = {
+  policies,
+  getUserCourseIds,
+  can,
+  explain,
+  accessFilter
+};
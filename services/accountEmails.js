@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { sendTemplate } = require('./mailer');
+
+// Email verification and password reset links, backed by single-use hashed tokens
+
+const TOKEN_TTL = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Create a token for a user, invalidating any earlier unused one for the same purpose
+const issueToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+  });
+
+  return token;
+};
+
+// Mark a token used and return its user id, or null if it is unknown, used or expired
+const consumeToken = async (token, purpose) => {
+  if (!token) return null;
+
+  const record = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  return record ? record.user : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, 'verify-email');
+
+  return sendTemplate('verifyEmail', user.email, {
+    name: user.name,
+    url: `${getFrontendUrl()}/verify-email?token=${token}`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, 'reset-password');
+
+  return sendTemplate('resetPassword', user.email, {
+    name: user.name,
+    url: `${getFrontendUrl()}/reset-password?token=${token}`
+  });
+};
+
+module.exports = {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const { disconnectSession } = require('./socket');
+
+// Short-lived access tokens (JWT) plus rotating refresh tokens kept in an httpOnly cookie.
+// Every refresh token belongs to an AuthSession; access tokens carry the session id (`sid`)
+// so revoking a session signs that device out straight away.
+
+const REFRESH_COOKIE = 'refreshToken';
+const DEFAULT_REFRESH_DAYS = 30;
+// Two tabs refreshing at the same time both send the old token; don't treat that as theft
+const REUSE_GRACE = 10 * 1000;
+
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const getAccessTokenExpiry = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const getRefreshTtl = () =>
+  (parseInt(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_DAYS) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token: "<session id>.<random secret>", only its hash is stored
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const getSessionId = (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  return /^[a-f0-9]{24}$/i.test(sessionId) ? sessionId : null;
+};
+
+// Short label for the sessions list, e.g. "Firefox on Linux"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+const getClientInfo = (req) => {
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || (req.socket && req.socket.remoteAddress) || ''
+  };
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, getSecret(), {
+    expiresIn: getAccessTokenExpiry()
+  });
+
+// Start a session for a user who just signed in
+const createSession = async (user, req) => {
+  const session = new AuthSession({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTtl())
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    refreshToken,
+    accessToken: signAccessToken(user._id, session._id)
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting a token that was already rotated away means it was copied: the session is revoked.
+const refreshSession = async (refreshToken, req) => {
+  const sessionId = getSessionId(refreshToken);
+  if (!sessionId) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const session = await AuthSession.findById(sessionId).select('+tokenHash +previousTokenHash');
+  if (!session) {
+    throw new AuthError('Invalid refresh token');
+  }
+  if (session.revokedAt) {
+    throw new AuthError('This session has been signed out');
+  }
+  if (!session.isActive()) {
+    throw new AuthError('Session expired, please log in again');
+  }
+
+  const hash = hashToken(refreshToken);
+
+  if (hash !== session.tokenHash) {
+    if (hash === session.previousTokenHash) {
+      if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE) {
+        throw new AuthError('Refresh token already used');
+      }
+
+      await revokeSession(session._id, session.user, 'token-reuse');
+      console.warn('Refresh token reuse detected, session revoked:', session._id.toString());
+      throw new AuthError('Refresh token reuse detected, please log in again');
+    }
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    throw new AuthError('User not found');
+  }
+  if (!user.isApproved) {
+    throw new AuthError('Your account is pending approval. Please wait for admin approval.', 403);
+  }
+
+  // Only one concurrent refresh can win the rotation
+  const nextToken = createRefreshToken(session._id);
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw new AuthError('Refresh token already used');
+  }
+
+  return {
+    session: rotated,
+    user,
+    refreshToken: nextToken,
+    accessToken: signAccessToken(user._id, rotated._id)
+  };
+};
+
+// Verify an access token and check its session is still signed in. Returns the JWT payload.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (!decoded.sid) {
+    throw new AuthError('Token is not tied to a session, please log in again');
+  }
+
+  const active = await AuthSession.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!active) {
+    throw new AuthError('This session has been signed out');
+  }
+
+  return decoded;
+};
+
+// Sign out the session a refresh token belongs to (logout). Unknown tokens are ignored.
+const endSession = async (refreshToken) => {
+  const sessionId = getSessionId(refreshToken);
+  if (!sessionId) return false;
+
+  const session = await AuthSession.findById(sessionId).select('+tokenHash');
+  if (!session || session.tokenHash !== hashToken(refreshToken)) return false;
+
+  return revokeSession(session._id, session.user, 'logout');
+};
+
+// Sign out one session of a user. Returns false if it was not found or already signed out.
+const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.modifiedCount > 0) {
+    disconnectSession(sessionId);
+  }
+  return result.modifiedCount > 0;
+};
+
+// Sign out every session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, { except, reason = 'logout-all' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessionIds = await AuthSession.distinct('_id', filter);
+  const result = await AuthSession.updateMany({ ...filter, _id: { $in: sessionIds } }, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  sessionIds.forEach(disconnectSession);
+  return result.modifiedCount;
+};
+
+// Sessions a user is signed in with, most recently used first
+const listSessions = (userId) =>
+  AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+const getCookieOptions = () => {
+  const sameSite = (process.env.REFRESH_COOKIE_SAMESITE || 'lax').toLowerCase();
+  return {
+    httpOnly: true,
+    // Browsers reject SameSite=None cookies that are not Secure
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    sameSite,
+    path: '/api/auth'
+  };
+};
+
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...getCookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, getCookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE,
+  AuthError,
+  describeDevice,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  endSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+};
@@ -0,0 +1,137 @@
+// Parsing and serialising of SRT and WebVTT caption files
+
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(.*)$/;
+
+class CaptionParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptionParseError';
+    this.statusCode = 400;
+  }
+}
+
+// Helper to parse "01:02:03,450", "01:02:03.450" or "02:03.450" into seconds
+const parseTimestamp = (value) => {
+  const [clock, fraction] = value.trim().split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+
+  return hours * 3600 + minutes * 60 + seconds + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+// Helper to format seconds as a WebVTT timestamp (01:02:03.450)
+const formatTimestamp = (value) => {
+  const totalMs = Math.max(0, Math.round(value * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (number, size = 2) => String(number).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms, 3)}`;
+};
+
+// Cue text may not hold blank lines (they end the cue) or "-->" (it starts a new one)
+const cleanCueText = (text) => {
+  if (text === undefined || text === null) return text;
+
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter(line => line.trim())
+    .join('\n')
+    .replace(/--+>/g, '->');
+};
+
+// Cue settings belong on the timing line, so a single line without "-->"
+const cleanCueSettings = (settings) => {
+  if (settings === undefined || settings === null) return settings;
+
+  return String(settings).replace(/--+>/g, '').replace(/\s+/g, ' ').trim();
+};
+
+// Detect the format from the file name, falling back to the content
+const detectFormat = (content, filename = '') => {
+  const extension = filename.toLowerCase().split('.').pop();
+  if (extension === 'srt' || extension === 'vtt') return extension;
+
+  return /^\uFEFF?WEBVTT/.test(content) ? 'vtt' : 'srt';
+};
+
+// Parse SRT or WebVTT text into cues: [{ start, end, text, settings }]
+const parseCaptions = (content, format) => {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  format = format || detectFormat(text);
+
+  if (format === 'vtt' && !/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(text)) {
+    throw new CaptionParseError('WebVTT files must start with a WEBVTT header');
+  }
+
+  const blocks = text.trim().split(/\n[ \t]*\n/);
+  const cues = [];
+
+  blocks.forEach((block, index) => {
+    const lines = block.split('\n');
+    if (!block.trim()) return;
+
+    // WebVTT header and metadata blocks carry no cues
+    if (format === 'vtt' && (index === 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0]))) return;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw new CaptionParseError(`Invalid cue near "${lines[0].slice(0, 40)}"`);
+    }
+
+    const match = lines[timingIndex].match(TIMING_LINE);
+    if (!match) {
+      throw new CaptionParseError(`Invalid cue timing "${lines[timingIndex].trim()}"`);
+    }
+
+    const start = parseTimestamp(match[1]);
+    const end = parseTimestamp(match[2]);
+    if (end <= start) {
+      throw new CaptionParseError(`Cue ends before it starts at ${match[1]}`);
+    }
+
+    // Empty cues are valid in both formats but show nothing, drop them
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+    if (!cueText) return;
+
+    cues.push({
+      start,
+      end,
+      text: cleanCueText(cueText),
+      settings: format === 'vtt' ? cleanCueSettings(match[3]) : ''
+    });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+// Serialise cues as a WebVTT document
+const buildVtt = (cues) => {
+  const lines = ['WEBVTT', ''];
+
+  cues.forEach((cue, index) => {
+    const settings = cleanCueSettings(cue.settings);
+    lines.push(
+      String(index + 1),
+      `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${settings ? ` ${settings}` : ''}`,
+      cleanCueText(cue.text),
+      ''
+    );
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  CaptionParseError,
+  parseTimestamp,
+  formatTimestamp,
+  detectFormat,
+  cleanCueText,
+  cleanCueSettings,
+  parseCaptions,
+  buildVtt
+};
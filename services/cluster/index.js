@@ -0,0 +1,42 @@
+// Shared state for running several API instances side by side. The backend decides
+// how Socket.io events reach sockets connected to other instances and where
+// rate-limit and login counters are kept.
+
+// Available backends, loaded lazily
+const backends = {
+  memory: () => require('./memoryBackend'),
+  mongo: () => require('./mongoBackend')
+};
+
+let backend = null;
+
+// Get the configured backend (CLUSTER_BACKEND, defaults to memory for a single instance)
+const getBackend = () => {
+  if (!backend) {
+    const name = (process.env.CLUSTER_BACKEND || 'memory').toLowerCase();
+
+    if (!backends[name]) {
+      throw new Error(`Unknown cluster backend "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    const Backend = backends[name]();
+    backend = new Backend();
+    console.log('Cluster backend:', backend.name);
+  }
+
+  return backend;
+};
+
+// Install the Socket.io adapter. Call before the server starts listening: swapping
+// the adapter later drops the room memberships of sockets already connected.
+const attachAdapter = (io) => getBackend().attachAdapter(io);
+
+// Something with io's to()/in() API for processes without a Socket.io server (the
+// standalone worker). Null when the backend cannot reach other processes.
+const createEmitter = () => getBackend().createEmitter();
+
+module.exports = {
+  getBackend,
+  attachAdapter,
+  createEmitter
+};
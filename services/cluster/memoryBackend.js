@@ -0,0 +1,19 @@
+// Everything stays in this process: Socket.io's default in-memory adapter and
+// in-memory rate-limit counters. Only correct with a single API instance.
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.rateLimitStore = 'memory';
+  }
+
+  async attachAdapter(io) {
+    return io;
+  }
+
+  // A separate worker has no way to reach the API's sockets
+  async createEmitter() {
+    return null;
+  }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const { Emitter } = require('@socket.io/mongo-emitter');
+
+// Fans Socket.io events out through a capped MongoDB collection that every instance
+// follows with a change stream, so no Redis is needed. Change streams need MongoDB
+// to run as a replica set (a single node with rs.initiate() is enough) or a sharded
+// cluster. Rate-limit and login counters go to MongoDB as well.
+
+const DEFAULT_COLLECTION = 'socket.io-adapter-events';
+const DEFAULT_CAPPED_SIZE = 10 * 1024 * 1024; // bytes
+
+const getCollectionName = () => process.env.CLUSTER_MONGO_COLLECTION || DEFAULT_COLLECTION;
+const getCappedSize = () => parseInt(process.env.CLUSTER_MONGO_CAPPED_SIZE) || DEFAULT_CAPPED_SIZE;
+// How long fetchSockets() and other cluster-wide requests wait for the other instances
+const getRequestsTimeout = () => parseInt(process.env.CLUSTER_REQUESTS_TIMEOUT) || 5000;
+
+class MongoBackend {
+  constructor() {
+    this.name = 'mongo';
+    this.rateLimitStore = 'mongo';
+    this.collection = null;
+  }
+
+  // The events collection, created capped on first use
+  async getCollection() {
+    if (!this.collection) {
+      this.collection = this.openCollection().catch(error => {
+        this.collection = null;
+        throw error;
+      });
+    }
+    return this.collection;
+  }
+
+  async openCollection() {
+    const connection = await mongoose.connection.asPromise();
+    const { db } = connection;
+
+    const hello = await db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      throw new Error('CLUSTER_BACKEND=mongo needs MongoDB running as a replica set or sharded cluster (change streams)');
+    }
+
+    try {
+      await db.createCollection(getCollectionName(), { capped: true, size: getCappedSize() });
+    } catch (error) {
+      // NamespaceExists: another instance created it first
+      if (error.code !== 48) throw error;
+    }
+
+    return db.collection(getCollectionName());
+  }
+
+  async attachAdapter(io) {
+    io.adapter(createAdapter(await this.getCollection(), {
+      requestsTimeout: getRequestsTimeout()
+    }));
+    return io;
+  }
+
+  async createEmitter() {
+    return new Emitter(await this.getCollection());
+  }
+}
+
+module.exports = MongoBackend;
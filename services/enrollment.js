@@ -0,0 +1,193 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+
+// Course enrollment: manual, bulk CSV and branch/year rules, with prerequisite checks
+
+// Pull e-mail addresses out of a CSV export (an "email" column, or the first column)
+const parseCsvEmails = (content) => {
+  const rows = String(content)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')))
+    .filter(cells => cells.some(Boolean));
+
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const emailColumn = header.findIndex(cell => cell === 'email' || cell === 'e-mail');
+  const column = emailColumn === -1 ? 0 : emailColumn;
+  const dataRows = emailColumn === -1 ? rows : rows.slice(1);
+
+  return [...new Set(
+    dataRows
+      .map(cells => (cells[column] || '').toLowerCase())
+      .filter(email => /^\S+@\S+\.\S+$/.test(email))
+  )];
+};
+
+// Check if adding `prerequisiteIds` to a course would make it (indirectly) require itself
+const createsPrerequisiteCycle = async (courseId, prerequisiteIds) => {
+  const target = courseId.toString();
+  const visited = new Set();
+  let queue = prerequisiteIds.map(id => id.toString());
+
+  while (queue.length > 0) {
+    if (queue.includes(target)) return true;
+
+    queue.forEach(id => visited.add(id));
+    const courses = await Course.find({ _id: { $in: queue } }).select('prerequisites').lean();
+    queue = [...new Set(
+      courses.flatMap(course => course.prerequisites.map(id => id.toString()))
+    )].filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+// Prerequisite course codes each user has not completed yet, keyed by user id
+const getMissingPrerequisites = async (course, userIds) => {
+  const missing = new Map();
+  if (!course.prerequisites || course.prerequisites.length === 0) return missing;
+
+  const [prerequisites, completions] = await Promise.all([
+    Course.find({ _id: { $in: course.prerequisites } }).select('code').lean(),
+    Enrollment.find({
+      user: { $in: userIds },
+      course: { $in: course.prerequisites },
+      status: 'completed'
+    }).select('user course').lean()
+  ]);
+
+  userIds.forEach(userId => {
+    const done = new Set(
+      completions
+        .filter(enrollment => enrollment.user.toString() === userId.toString())
+        .map(enrollment => enrollment.course.toString())
+    );
+    const codes = prerequisites
+      .filter(prerequisite => !done.has(prerequisite._id.toString()))
+      .map(prerequisite => prerequisite.code);
+
+    if (codes.length > 0) missing.set(userId.toString(), codes);
+  });
+
+  return missing;
+};
+
+// Enroll users in a course. Returns who was enrolled and who was skipped (with a reason).
+// `override` lets course staff enroll students who lack prerequisites.
+const enrollUsers = async (course, users, { source = 'manual', enrolledBy, override = false } = {}) => {
+  const skipped = [];
+  const students = users.filter(user => {
+    if (user.role !== 'student') {
+      skipped.push({ user: user._id, email: user.email, reason: 'Only students can be enrolled' });
+      return false;
+    }
+    return true;
+  });
+
+  const existing = await Enrollment.find({
+    course: course._id,
+    user: { $in: students.map(user => user._id) }
+  }).select('user status').lean();
+  const statuses = new Map(existing.map(enrollment => [enrollment.user.toString(), enrollment.status]));
+
+  const candidates = students.filter(user => {
+    const status = statuses.get(user._id.toString());
+    if (status === 'active' || status === 'completed') {
+      skipped.push({ user: user._id, email: user.email, reason: 'Already enrolled' });
+      return false;
+    }
+    // Rules never bring back a student the staff removed
+    if (status === 'dropped' && source === 'rule') {
+      skipped.push({ user: user._id, email: user.email, reason: 'Dropped from the course' });
+      return false;
+    }
+    return true;
+  });
+
+  const missing = override
+    ? new Map()
+    : await getMissingPrerequisites(course, candidates.map(user => user._id));
+
+  const toEnroll = candidates.filter(user => {
+    const codes = missing.get(user._id.toString());
+    if (codes) {
+      skipped.push({ user: user._id, email: user.email, reason: `Missing prerequisites: ${codes.join(', ')}` });
+      return false;
+    }
+    return true;
+  });
+
+  if (toEnroll.length > 0) {
+    // Upsert so dropped students are re-activated rather than duplicated
+    await Enrollment.bulkWrite(toEnroll.map(user => ({
+      updateOne: {
+        filter: { course: course._id, user: user._id },
+        update: {
+          $set: { status: 'active', source, enrolledBy },
+          $unset: { completedAt: '' }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  return {
+    enrolled: toEnroll.map(user => ({ user: user._id, email: user.email, name: user.name })),
+    skipped
+  };
+};
+
+// Build the user query matching any of a course's enrollment rules
+const getRuleQuery = (rules) => ({
+  role: 'student',
+  isApproved: true,
+  $or: rules.map(rule => ({
+    ...(rule.branch && rule.branch !== 'All' ? { branch: rule.branch } : {}),
+    ...(rule.year && rule.year !== 'All' ? { year: rule.year } : {})
+  }))
+});
+
+// Enroll every student matching the course's branch/year rules
+const applyEnrollmentRules = async (course, { enrolledBy } = {}) => {
+  if (!course.enrollmentRules || course.enrollmentRules.length === 0) {
+    return { enrolled: [], skipped: [] };
+  }
+
+  const users = await User.find(getRuleQuery(course.enrollmentRules)).select('name email role');
+  return enrollUsers(course, users, { source: 'rule', enrolledBy });
+};
+
+// Enroll a (new) student in every published course whose rules match them
+const enrollByRules = async (user) => {
+  if (user.role !== 'student') return [];
+
+  const courses = await Course.find({
+    isPublished: true,
+    enrollmentRules: {
+      $elemMatch: {
+        branch: { $in: [user.branch, 'All', null] },
+        year: { $in: [user.year, 'All', null] }
+      }
+    }
+  });
+
+  const enrolled = [];
+  for (const course of courses) {
+    const result = await enrollUsers(course, [user], { source: 'rule' });
+    if (result.enrolled.length > 0) enrolled.push(course._id);
+  }
+
+  return enrolled;
+};
+
+module.exports = {
+  parseCsvEmails,
+  createsPrerequisiteCycle,
+  getMissingPrerequisites,
+  enrollUsers,
+  applyEnrollmentRules,
+  enrollByRules
+};
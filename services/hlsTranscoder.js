@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('../config/ffmpeg');
+const Video = require('../models/Video');
+const { getStorage, resolveSource } = require('./storage');
+
+// Adaptive bitrate ladder, from lowest to highest quality
+const HLS_LADDER = [
+  { name: '240p', width: 426, height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: '480p', width: 854, height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128 }
+];
+
+const SEGMENT_DURATION = 6; // seconds
+const SEGMENT_PATTERN = /^seg_\d{5}\.ts$/;
+
+// Storage key for a rendition file, e.g. streamvibe/hls/<videoId>/480p/seg_00001.ts
+const hlsKey = (videoId, rendition, filename) => `streamvibe/hls/${videoId}/${rendition}/${filename}`;
+
+// Helper to read the source height so we never upscale
+const probeHeight = (input) => {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(input, (err, metadata) => {
+      if (err) {
+        console.warn('Could not probe video for HLS ladder:', err.message);
+        return resolve(null);
+      }
+
+      const videoStream = (metadata.streams || []).find(stream => stream.codec_type === 'video');
+      resolve(videoStream ? videoStream.height : null);
+    });
+  });
+};
+
+// Pick the renditions to encode for a source of the given height
+const selectLadder = (sourceHeight) => {
+  if (!sourceHeight) return HLS_LADDER;
+
+  const ladder = HLS_LADDER.filter(rung => rung.height <= sourceHeight);
+  return ladder.length > 0 ? ladder : [HLS_LADDER[0]];
+};
+
+// Encode a single rendition into outputDir/index.m3u8 + seg_*.ts
+const encodeRendition = (input, rung, outputDir, onProgress) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .outputOptions([
+        `-vf scale=-2:${rung.height}`,
+        '-c:v libx264',
+        '-preset veryfast',
+        '-profile:v main',
+        '-pix_fmt yuv420p',
+        `-b:v ${rung.videoBitrate}k`,
+        `-maxrate ${Math.round(rung.videoBitrate * 1.07)}k`,
+        `-bufsize ${rung.videoBitrate * 2}k`,
+        // Keyframe every segment so renditions can be switched cleanly
+        `-force_key_frames expr:gte(t,n_forced*${SEGMENT_DURATION})`,
+        '-c:a aac',
+        `-b:a ${rung.audioBitrate}k`,
+        '-ac 2',
+        '-f hls',
+        `-hls_time ${SEGMENT_DURATION}`,
+        '-hls_playlist_type vod',
+        `-hls_segment_filename ${path.join(outputDir, 'seg_%05d.ts')}`
+      ])
+      .output(path.join(outputDir, 'index.m3u8'))
+      .on('progress', progress => {
+        if (onProgress && progress.percent) onProgress(progress.percent);
+      })
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+};
+
+// Build the master playlist that points at each rendition's media playlist
+const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="avc1.4d401f,mp4a.40.2"`,
+      `${rendition.name}/index.m3u8`
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Append a query string (e.g. a playback token) to every URI line of a playlist
+const appendQueryToPlaylist = (playlist, query) => {
+  return playlist
+    .split('\n')
+    .map(line => (line.trim() && !line.startsWith('#') ? `${line.trim()}?${query}` : line))
+    .join('\n');
+};
+
+// Segment file names referenced by a media playlist
+const listSegments = (playlist) => {
+  return (playlist || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => SEGMENT_PATTERN.test(line));
+};
+
+// Transcode a video into the HLS ladder and store the renditions
+const transcodeToHls = async (videoId, options = {}) => {
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new Error(`Video not found with id of ${videoId}`);
+  }
+
+  const storage = getStorage();
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'streamvibe-hls-'));
+
+  video.hls = { status: 'processing', renditions: [], updatedAt: Date.now() };
+  await video.save();
+
+  try {
+    const input = options.input || await resolveSource(video.videoUrl, { resourceType: 'video' });
+    const ladder = selectLadder(await probeHeight(input));
+    const renditions = [];
+
+    for (let i = 0; i < ladder.length; i++) {
+      const rung = ladder[i];
+      const outputDir = path.join(workDir, rung.name);
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      console.log(`Transcoding video ${video._id} to ${rung.name}`);
+      await encodeRendition(input, rung, outputDir, percent => {
+        if (options.onProgress) {
+          options.onProgress(Math.min(100, ((i + percent / 100) / ladder.length) * 100));
+        }
+      });
+
+      const playlist = await fs.promises.readFile(path.join(outputDir, 'index.m3u8'), 'utf8');
+
+      for (const segment of listSegments(playlist)) {
+        await storage.upload(path.join(outputDir, segment), {
+          key: hlsKey(video._id, rung.name, segment),
+          resourceType: 'raw',
+          contentType: 'video/mp2t'
+        });
+      }
+
+      renditions.push({
+        name: rung.name,
+        width: rung.width,
+        height: rung.height,
+        bandwidth: (rung.videoBitrate + rung.audioBitrate) * 1000,
+        playlist
+      });
+    }
+
+    video.hls = { status: 'ready', renditions, updatedAt: Date.now() };
+    await video.save();
+
+    console.log(`HLS renditions ready for video ${video._id}:`, renditions.map(r => r.name));
+    return video;
+  } catch (error) {
+    console.error(`HLS transcoding failed for video ${video._id}:`, error.message);
+
+    video.hls = { status: 'failed', error: error.message, renditions: [], updatedAt: Date.now() };
+    await video.save();
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Remove every stored HLS segment of a video
+const deleteHlsRenditions = async (videoId) => {
+  const video = await Video.findById(videoId).select('+hls.renditions.playlist');
+
+  if (!video || !video.hls || !video.hls.renditions) return;
+
+  const storage = getStorage();
+
+  for (const rendition of video.hls.renditions) {
+    for (const segment of listSegments(rendition.playlist)) {
+      try {
+        await storage.delete(hlsKey(video._id, rendition.name, segment), { resourceType: 'raw' });
+      } catch (error) {
+        console.error('Error deleting HLS segment:', error.message);
+      }
+    }
+  }
+};
+
+module.exports = {
+  HLS_LADDER,
+  SEGMENT_PATTERN,
+  hlsKey,
+  buildMasterPlaylist,
+  appendQueryToPlaylist,
+  transcodeToHls,
+  deleteHlsRenditions
+};
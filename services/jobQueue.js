@@ -0,0 +1,217 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// MongoDB backed job queue. Workers poll for runnable jobs and claim them
+// atomically, so several server instances can share the same queue.
+
+const handlers = {};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Settings are read when used so they can come from .env
+const getPollInterval = () => parseInt(process.env.JOB_POLL_INTERVAL, 10) || 2000; // 2 seconds
+const getLockTimeout = () => parseInt(process.env.JOB_LOCK_TIMEOUT, 10) || 30 * 60 * 1000; // 30 minutes
+const getBackoffBase = () => parseInt(process.env.JOB_BACKOFF_BASE, 10) || 30 * 1000; // 30 seconds
+
+let timer = null;
+let running = 0;
+let polling = false;
+let concurrency = 1;
+
+// Register the function that processes jobs of a given type.
+// Handlers receive (payload, job) where job.reportProgress(percent) is available.
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Add a job to the queue
+const enqueue = async (type, payload = {}, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || 3,
+    runAt: options.runAt || Date.now()
+  });
+
+  console.log(`Job queued: ${type} (${job._id})`);
+
+  // Pick it up straight away if this process is a worker
+  if (timer) setImmediate(poll);
+
+  return job;
+};
+
+// Exponential backoff: 30s, 60s, 120s, ...
+const getBackoff = (attempts) => getBackoffBase() * Math.pow(2, Math.max(0, attempts - 1));
+
+// Running jobs whose worker has not sent a heartbeat within the lock timeout
+const staleFilter = (now) => ({
+  status: 'running',
+  lockedAt: { $lte: new Date(now.getTime() - getLockTimeout()) }
+});
+
+// Atomically claim the next runnable job, including jobs whose worker died with attempts left
+const claimNext = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { ...staleFilter(now), $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+const runFailureHook = async (handler, job, error) => {
+  if (!handler.onFailed) return;
+
+  try {
+    await handler.onFailed(job.payload, error, job);
+  } catch (hookError) {
+    console.error('Job failure hook error:', hookError.message);
+  }
+};
+
+// Fail jobs whose worker died on their last attempt (e.g. killed by the OOM killer),
+// instead of reclaiming them forever
+const failAbandoned = async () => {
+  let job;
+
+  while ((job = await Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      ...staleFilter(new Date()),
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'failed',
+        lastError: 'The worker stopped while running the job',
+        lockedAt: null,
+        lockedBy: null
+      }
+    },
+    { new: true }
+  ))) {
+    console.error(`Job failed: ${job.type} (${job._id}), worker stopped on the last attempt`);
+    await runFailureHook(handlers[job.type], job, new Error(job.lastError));
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  job.reportProgress = async (progress) => {
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { progress: Math.round(progress), lockedAt: new Date() } }
+    );
+  };
+
+  // Keep the lock fresh through long steps that report no progress (storing, thumbnails)
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, status: 'running' }, { $set: { lockedAt: new Date() } })
+      .catch(error => console.error('Job heartbeat error:', error.message));
+  }, Math.max(1000, Math.floor(getLockTimeout() / 3)));
+  heartbeat.unref();
+
+  try {
+    console.log(`Job started: ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+    const result = await handler(job.payload, job);
+
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'completed',
+        progress: 100,
+        result,
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null
+      }
+    });
+
+    console.log(`Job completed: ${job.type} (${job._id})`);
+  } catch (error) {
+    const finalAttempt = job.attempts >= job.maxAttempts;
+
+    console.error(`Job failed: ${job.type} (${job._id})`, {
+      attempt: job.attempts,
+      error: error.message,
+      willRetry: !finalAttempt
+    });
+
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        status: finalAttempt ? 'failed' : 'queued',
+        lastError: error.message,
+        runAt: finalAttempt ? job.runAt : new Date(Date.now() + getBackoff(job.attempts)),
+        lockedAt: null,
+        lockedBy: null
+      }
+    });
+
+    if (finalAttempt) {
+      await runFailureHook(handler, job, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Claim and run jobs until the concurrency limit is reached or the queue is empty
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    await failAbandoned();
+
+    while (running < concurrency) {
+      const job = await claimNext();
+      if (!job) break;
+
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        setImmediate(poll);
+      });
+    }
+  } catch (error) {
+    console.error('Job queue poll error:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Start polling for jobs in this process
+const start = (options = {}) => {
+  if (timer) return;
+
+  concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+  timer = setInterval(poll, options.pollInterval || getPollInterval());
+  console.log(`Job worker ${WORKER_ID} started (concurrency ${concurrency})`);
+  poll();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  getBackoff
+};
@@ -0,0 +1,109 @@
+const { getStore, isEnabled } = require('./rateLimit');
+
+// Brute-force protection for password and 2FA logins.
+// Failures are counted per account (email) and per IP. After a few free attempts each
+// failure doubles the wait before the next try; too many failures lock the account
+// (or IP) for a while. A successful login clears the account's failures.
+
+const FAILURE_WINDOW = 15 * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+const getLimits = () => ({
+  account: {
+    freeAttempts: 3,
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 10
+  },
+  // Shared campus networks put many people behind one address
+  ip: {
+    freeAttempts: 10,
+    maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50
+  },
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+});
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const getSubjects = (email, ip) => [
+  { type: 'account', id: normalizeEmail(email) },
+  { type: 'ip', id: ip }
+].filter(subject => subject.id);
+
+const failureKey = ({ type, id }) => `login-failures:${type}:${id}`;
+const lockKey = ({ type, id }) => `login-lock:${type}:${id}`;
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((new Date(time).getTime() - Date.now()) / 1000));
+
+const lockedMessage = (retryAfter) =>
+  `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`;
+
+// Whether a login for this email from this IP may be attempted right now.
+// Returns null when allowed, otherwise { retryAfter, message }.
+const checkLogin = async (email, ip) => {
+  if (!isEnabled()) return null;
+
+  const store = getStore();
+  const limits = getLimits();
+
+  for (const subject of getSubjects(email, ip)) {
+    const lock = await store.get(lockKey(subject));
+    if (lock) {
+      const retryAfter = secondsUntil(lock.resetAt);
+      return { retryAfter, message: lockedMessage(retryAfter) };
+    }
+
+    const failures = await store.get(failureKey(subject));
+    const { freeAttempts } = limits[subject.type];
+
+    if (failures && failures.count >= freeAttempts) {
+      const delay = Math.min(2 ** (failures.count - freeAttempts), MAX_DELAY_SECONDS);
+      const allowedAt = new Date(failures.lastAt).getTime() + delay * 1000;
+
+      if (allowedAt > Date.now()) {
+        return {
+          retryAfter: secondsUntil(allowedAt),
+          message: 'Too many failed login attempts. Please wait before trying again.'
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Count a failed attempt. Returns { retryAfter, message } when it locked the account or IP.
+const recordFailure = async (email, ip) => {
+  if (!isEnabled()) return null;
+
+  const store = getStore();
+  const limits = getLimits();
+  let locked = null;
+
+  for (const subject of getSubjects(email, ip)) {
+    const { count } = await store.hit(failureKey(subject), FAILURE_WINDOW);
+
+    if (count >= limits[subject.type].maxFailures) {
+      await store.hit(lockKey(subject), limits.lockoutMs);
+      await store.reset(failureKey(subject));
+      console.log(`Login locked for ${subject.type} ${subject.id} after ${count} failed attempts`);
+
+      const retryAfter = Math.ceil(limits.lockoutMs / 1000);
+      locked = { retryAfter, message: lockedMessage(retryAfter) };
+    }
+  }
+
+  return locked;
+};
+
+// Clear the account's failures. The IP counter stays, otherwise signing in to one
+// account would reset the count for guesses against others.
+const recordSuccess = async (email) => {
+  if (!isEnabled()) return;
+
+  await getStore().reset(failureKey({ type: 'account', id: normalizeEmail(email) }));
+};
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Prints messages to the console (the default when no mail server is configured)
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    console.log([
+      '📧 Email (console transport)',
+      `  To: ${message.to}`,
+      `  Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'));
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
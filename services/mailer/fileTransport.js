@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file (MAIL_FILE_DIR, defaults to tmp/mail) so tests
+// and local development can read the links without a mail server
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = path.resolve(options.dir || process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(this.dir, `${messageId}.json`);
+
+    await fs.promises.writeFile(file, JSON.stringify({
+      ...message,
+      messageId,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { messageId, file };
+  }
+}
+
+module.exports = FileTransport;
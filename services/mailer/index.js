@@ -0,0 +1,48 @@
+const templates = require('./templates');
+
+// Available transports, loaded lazily so nodemailer is only required for SMTP
+const transports = {
+  smtp: () => require('./smtpTransport'),
+  file: () => require('./fileTransport'),
+  console: () => require('./consoleTransport')
+};
+
+let transport = null;
+
+// Get the configured transport (MAIL_TRANSPORT, defaults to smtp when SMTP_HOST is set, otherwise console)
+const getTransport = () => {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+
+    const Transport = transports[name]();
+    transport = new Transport();
+    console.log('Mail transport:', transport.name);
+  }
+
+  return transport;
+};
+
+// Send a message: { to, subject, text, html }
+const sendMail = async (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'StreamVibe <no-reply@streamvibe.local>',
+  ...message
+});
+
+// Render one of the templates and send it (extra: more message fields, e.g. headers)
+const sendTemplate = async (name, to, data, extra = {}) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+
+  return sendMail({ to, ...templates[name](data), ...extra });
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  sendTemplate
+};
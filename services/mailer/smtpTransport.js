@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+
+    const host = options.host || process.env.SMTP_HOST;
+    if (!host) {
+      throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+    }
+
+    const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+    const user = options.user || process.env.SMTP_USER;
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      // Port 465 uses implicit TLS, others upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: user
+        ? { user, pass: options.pass || process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,105 @@
+// Email templates. Each returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Simple layout: a greeting, a paragraph, a button and a footer line
+const render = ({ subject, name, intro, action, url, outro }) => ({
+  subject,
+  text: [
+    `Hi ${name},`,
+    '',
+    intro,
+    '',
+    `${action}: ${url}`,
+    '',
+    outro
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none">${escapeHtml(action)}</a></p>
+    <p style="color:#6b7280;font-size:13px">${escapeHtml(outro)}</p>
+  `.trim()
+});
+
+const verifyEmail = ({ name, url }) => render({
+  subject: 'Verify your StreamVibe email address',
+  name,
+  intro: 'Thanks for signing up. Please confirm this is your email address.',
+  action: 'Verify email',
+  url,
+  outro: 'The link expires in 24 hours. If you did not create an account you can ignore this email.'
+});
+
+const resetPassword = ({ name, url }) => render({
+  subject: 'Reset your StreamVibe password',
+  name,
+  intro: 'We received a request to reset your password.',
+  action: 'Choose a new password',
+  url,
+  outro: 'The link expires in 1 hour and can only be used once. If you did not ask for this you can ignore this email.'
+});
+
+const unsubscribeFooter = (url) => ({
+  text: `Stop these emails: ${url}`,
+  html: `<p style="color:#9ca3af;font-size:12px"><a href="${escapeHtml(url)}" style="color:#9ca3af">Unsubscribe</a> from these emails, or change your notification settings in StreamVibe.</p>`
+});
+
+const notification = ({ name, title, message, url, unsubscribeUrl }) => {
+  const email = render({
+    subject: title,
+    name,
+    intro: message,
+    action: 'Open StreamVibe',
+    url,
+    outro: 'You are getting this email because of your notification settings.'
+  });
+  const footer = unsubscribeFooter(unsubscribeUrl);
+
+  return {
+    ...email,
+    text: `${email.text}\n${footer.text}`,
+    html: `${email.html}\n${footer.html}`
+  };
+};
+
+// Several notifications in one email: [{ title, message }], plus how many were left out
+const notificationDigest = ({ name, heading, items, more = 0, url, unsubscribeUrl }) => {
+  const footer = unsubscribeFooter(unsubscribeUrl);
+  const moreLine = more > 0 ? `...and ${more} more.` : '';
+
+  return {
+    subject: `${heading}: ${items.length + more} unread notification${items.length + more === 1 ? '' : 's'}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `${heading}:`,
+      '',
+      ...items.map(item => `- ${item.title}: ${item.message}`),
+      ...(moreLine ? [moreLine] : []),
+      '',
+      `Open StreamVibe: ${url}`,
+      '',
+      footer.text
+    ].join('\n'),
+    html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(heading)}:</p>
+    <ul>${items.map(item => `<li><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.message)}</li>`).join('')}</ul>
+    ${moreLine ? `<p>${escapeHtml(moreLine)}</p>` : ''}
+    <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none">Open StreamVibe</a></p>
+    ${footer.html}
+  `.trim()
+  };
+};
+
+module.exports = {
+  verifyEmail,
+  resetPassword,
+  notification,
+  notificationDigest
+};
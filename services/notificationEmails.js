@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendTemplate } = require('./mailer');
+const { createUnsubscribeToken } = require('./notificationPreferences');
+
+// Emails for notifications: one at a time for the `email` delivery, batched for digests
+
+const DIGEST_ITEM_LIMIT = 50;
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+const getApiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+// Link for the email body (a frontend page that confirms) and the List-Unsubscribe
+// header, which mail clients POST to directly (RFC 8058)
+const getUnsubscribe = (userId, types) => {
+  const token = createUnsubscribeToken(userId, types);
+
+  return {
+    url: `${getFrontendUrl()}/unsubscribe?token=${token}`,
+    headers: {
+      'List-Unsubscribe': `<${getApiUrl()}/api/notifications/unsubscribe?token=${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+// Users that can receive notification emails (unverified addresses are skipped)
+const canEmail = (user) => Boolean(user && user.email && user.isEmailVerified !== false);
+
+// Email notifications straight away, marking each one as emailed
+const sendNotificationEmails = async (notifications) => {
+  if (notifications.length === 0) return;
+
+  const users = await User.find({ _id: { $in: notifications.map(n => n.recipient) } })
+    .select('name email isEmailVerified');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const notification of notifications) {
+    const user = byId.get(notification.recipient.toString());
+    if (!canEmail(user)) continue;
+
+    try {
+      const unsubscribe = getUnsubscribe(user._id, [notification.type]);
+
+      await sendTemplate('notification', user.email, {
+        name: user.name,
+        title: notification.title,
+        message: notification.message,
+        url: `${getFrontendUrl()}/notifications`,
+        unsubscribeUrl: unsubscribe.url
+      }, { headers: unsubscribe.headers });
+
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+    } catch (error) {
+      // Left un-emailed, so the next digest run picks it up
+      console.error(`Error emailing notification ${notification._id}:`, error.message);
+    }
+  }
+};
+
+// One email listing several unread notifications. Returns false when the user has no usable address.
+const sendDigestEmail = async (user, notifications, heading) => {
+  if (!canEmail(user)) return false;
+
+  const unsubscribe = getUnsubscribe(user._id, notifications.map(n => n.type));
+
+  await sendTemplate('notificationDigest', user.email, {
+    name: user.name,
+    heading,
+    items: notifications.slice(0, DIGEST_ITEM_LIMIT).map(n => ({ title: n.title, message: n.message })),
+    more: Math.max(0, notifications.length - DIGEST_ITEM_LIMIT),
+    url: `${getFrontendUrl()}/notifications`,
+    unsubscribeUrl: unsubscribe.url
+  }, { headers: unsubscribe.headers });
+
+  return true;
+};
+
+module.exports = {
+  sendNotificationEmails,
+  sendDigestEmail
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const NotificationPreference = require('../models/NotificationPreference');
+
+// Per-user choice of how each notification type is delivered:
+//   in_app         notification center only
+//   email          notification center and an email straight away (held back in quiet hours)
+//   daily_digest   notification center, and one email a day listing what is still unread
+//   weekly_digest  the same, once a week
+//   muted          not created at all
+
+const NOTIFICATION_TYPES = {
+  video_comment: { label: 'Comments on your videos', default: 'in_app' },
+  video_like: { label: 'Likes on your videos', default: 'in_app' },
+  video_view: { label: 'Views of your videos', default: 'in_app' },
+  video_access_granted: { label: 'Access granted to a video', default: 'in_app' },
+  comment_like: { label: 'Likes on your comments', default: 'in_app' },
+  question_asked: { label: 'Questions on your videos', default: 'in_app' },
+  question_answered: { label: 'Answers to your questions', default: 'in_app' },
+  notice_posted: { label: 'New notices', default: 'in_app' },
+  notice_updated: { label: 'Updated notices', default: 'in_app' },
+  playlist_updated: { label: 'Playlist updates', default: 'in_app' },
+  // These can be moved to another channel but not muted
+  account_status: { label: 'Account approval', default: 'email', required: true },
+  system_announcement: { label: 'Announcements', default: 'in_app', required: true }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class PreferenceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PreferenceError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A user's preferences (a default document when they never saved any)
+const getPreferences = async (userId) => {
+  const preferences = await NotificationPreference.findOne({ user: userId }).lean();
+  return preferences || new NotificationPreference({ user: userId }).toObject();
+};
+
+// Preferences for many users at once: Map of user id -> preferences
+const getPreferencesFor = async (userIds) => {
+  const saved = await NotificationPreference.find({ user: { $in: userIds } }).lean();
+  const byUser = new Map(saved.map(preferences => [preferences.user.toString(), preferences]));
+
+  return new Map(userIds.map(id => [
+    id.toString(),
+    byUser.get(id.toString()) || new NotificationPreference({ user: id }).toObject()
+  ]));
+};
+
+// Delivery for one notification type
+const resolveDelivery = (preferences, type) => {
+  const types = preferences.types instanceof Map ? Object.fromEntries(preferences.types) : (preferences.types || {});
+  const meta = NOTIFICATION_TYPES[type] || { default: 'in_app' };
+  return types[type] || meta.default;
+};
+
+// Weekday (0 = Sunday), hour and minute of a date in a timezone
+const getLocalTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(entry => entry.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    hour: parseInt(part('hour')),
+    minute: parseInt(part('minute'))
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a date falls in the user's quiet hours (the window may wrap past midnight)
+const isQuietHours = (preferences, date = new Date()) => {
+  const quietHours = preferences.quietHours;
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const { hour, minute } = getLocalTime(date, preferences.timezone || 'UTC');
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Shape sent to the client: every type with its label and current delivery
+const serializePreferences = (preferences) => ({
+  types: Object.entries(NOTIFICATION_TYPES).map(([type, meta]) => ({
+    type,
+    label: meta.label,
+    delivery: resolveDelivery(preferences, type),
+    default: meta.default,
+    required: Boolean(meta.required)
+  })),
+  deliveryOptions: NotificationPreference.DELIVERY_OPTIONS,
+  quietHours: {
+    enabled: Boolean(preferences.quietHours && preferences.quietHours.enabled),
+    start: preferences.quietHours ? preferences.quietHours.start : '22:00',
+    end: preferences.quietHours ? preferences.quietHours.end : '07:00'
+  },
+  timezone: preferences.timezone,
+  digestHour: preferences.digestHour,
+  weeklyDigestDay: preferences.weeklyDigestDay
+});
+
+// Save changes from the client; fields left out keep their value
+const updatePreferences = async (userId, changes = {}) => {
+  const preferences = await NotificationPreference.findOne({ user: userId })
+    || new NotificationPreference({ user: userId });
+
+  if (changes.types) {
+    Object.entries(changes.types).forEach(([type, delivery]) => {
+      const meta = NOTIFICATION_TYPES[type];
+
+      if (!meta) {
+        throw new PreferenceError(`Unknown notification type "${type}"`);
+      }
+      if (delivery === 'muted' && meta.required) {
+        throw new PreferenceError(`${meta.label} notifications cannot be muted`);
+      }
+      preferences.types.set(type, delivery);
+    });
+  }
+
+  if (changes.quietHours) {
+    ['enabled', 'start', 'end'].forEach(field => {
+      if (changes.quietHours[field] !== undefined) {
+        preferences.quietHours[field] = changes.quietHours[field];
+      }
+    });
+  }
+
+  ['timezone', 'digestHour', 'weeklyDigestDay'].forEach(field => {
+    if (changes[field] !== undefined) {
+      preferences[field] = changes[field];
+    }
+  });
+
+  await preferences.save();
+  return preferences;
+};
+
+// Unsubscribe links carry the user and the types the email was about, signed so they
+// work without logging in
+const getUnsubscribeSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('notification-unsubscribe').digest();
+};
+
+const createUnsubscribeToken = (userId, types) => jwt.sign(
+  { id: userId.toString(), types: [...new Set(types)] },
+  getUnsubscribeSecret(),
+  { audience: 'unsubscribe' }
+);
+
+// Stop emails for the token's types (they stay in the notification center)
+const unsubscribe = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), getUnsubscribeSecret(), { audience: 'unsubscribe' });
+  } catch (error) {
+    throw new PreferenceError('This unsubscribe link is not valid');
+  }
+
+  const types = (payload.types || []).filter(type => NOTIFICATION_TYPES[type]);
+  await updatePreferences(payload.id, {
+    types: Object.fromEntries(types.map(type => [type, 'in_app']))
+  });
+
+  return { userId: payload.id, types };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  PreferenceError,
+  getPreferences,
+  getPreferencesFor,
+  resolveDelivery,
+  getLocalTime,
+  isQuietHours,
+  serializePreferences,
+  updatePreferences,
+  createUnsubscribeToken,
+  unsubscribe
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { emitToUser } = require('./socket');
+const { getPreferencesFor, resolveDelivery, isQuietHours } = require('./notificationPreferences');
+const { sendNotificationEmails } = require('./notificationEmails');
+const { shouldPush, pushNotifications } = require('./webPush');
+
+// Single entry point for creating notifications. Applies each recipient's preferences
+// (muted types are dropped, `email` ones are also emailed unless it is their quiet hours;
+// digests are sent by jobs/notificationDigest), saves them and pushes each one, plus the
+// new unread count, to the recipient's Socket.io room (user_<id>). High-priority ones and
+// answers also go to the recipient's browsers through Web Push, outside quiet hours.
+//
+// Sockets receive:
+//   notification:new           the notification (sender populated)
+//   notification:unread-count  { count }
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Unread notifications of one user
+const getUnreadCount = (userId) => Notification.countDocuments({ recipient: userId, isRead: false });
+
+// Push the current unread count to a user's sockets (after reads and deletes too)
+const emitUnreadCount = async (userId) => {
+  try {
+    emitToUser(userId, 'notification:unread-count', { count: await getUnreadCount(userId) });
+  } catch (error) {
+    console.error('Error sending unread notification count:', error);
+  }
+};
+
+// Notify one or more users. `sender` is left out of the recipients.
+// Notifications are never critical: errors are logged and an empty list is returned.
+const notify = async (recipients, { type, title, message, data = {}, sender, priority, expiresAt }) => {
+  try {
+    const senderId = sender ? toId(sender).toString() : null;
+    const recipientIds = [...new Set((Array.isArray(recipients) ? recipients : [recipients])
+      .filter(Boolean)
+      .map(recipient => toId(recipient).toString()))]
+      .filter(id => id !== senderId && mongoose.Types.ObjectId.isValid(id));
+
+    if (recipientIds.length === 0) return [];
+
+    const preferences = await getPreferencesFor(recipientIds);
+    const deliveries = recipientIds
+      .map(recipient => ({ recipient, delivery: resolveDelivery(preferences.get(recipient), type) }))
+      .filter(({ delivery }) => delivery !== 'muted');
+
+    if (deliveries.length === 0) return [];
+
+    const notifications = await Notification.insertMany(deliveries.map(({ recipient, delivery }) => ({
+      recipient,
+      sender: senderId || undefined,
+      type,
+      title,
+      message,
+      data,
+      delivery,
+      ...(priority ? { priority } : {}),
+      ...(expiresAt ? { expiresAt } : {})
+    })));
+
+    const populated = await Notification.populate(notifications, { path: 'sender', select: 'name profilePicture' });
+
+    // One query for all the unread counts, however many recipients there are
+    const counts = await Notification.aggregate([
+      { $match: { recipient: { $in: notifications.map(n => n.recipient) }, isRead: false } },
+      { $group: { _id: '$recipient', count: { $sum: 1 } } }
+    ]);
+    const countByUser = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    populated.forEach(notification => {
+      const userId = notification.recipient.toString();
+      emitToUser(userId, 'notification:new', notification);
+      emitToUser(userId, 'notification:unread-count', { count: countByUser.get(userId) || 0 });
+    });
+
+    // Emails go out in the background so a notice to a whole year does not hold up the request;
+    // ones held back by quiet hours are sent by the digest job afterwards
+    const now = new Date();
+    const awake = notifications.filter(notification =>
+      !isQuietHours(preferences.get(notification.recipient.toString()), now));
+
+    sendNotificationEmails(awake.filter(notification => notification.delivery === 'email')).catch(error => {
+      console.error('Error sending notification emails:', error);
+    });
+
+    pushNotifications(awake.filter(shouldPush)).catch(error => {
+      console.error('Error sending push notifications:', error);
+    });
+
+    return populated;
+  } catch (error) {
+    console.error(`Error creating ${type} notifications:`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  notify,
+  getUnreadCount,
+  emitUnreadCount
+};
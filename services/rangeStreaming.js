@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { once } = require('events');
+
+// Serves stored files ourselves (local disk, S3/MinIO) with HTTP Range support:
+// single and multiple byte ranges, 206/416 responses, ETag/If-Range and
+// conditional GETs, so video seeking works without Cloudinary in front.
+
+// More ranges than this are treated as abuse and the whole file is sent instead
+const MAX_RANGES = 20;
+
+// Parse a Range header against the file size.
+// Returns null when the header should be ignored (missing, malformed or not bytes),
+// an empty array when none of the ranges can be satisfied, otherwise the ranges
+// sorted with overlapping and adjacent ones merged.
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const ranges = [];
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  for (const spec of specs) {
+    const parts = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length === 0) continue;
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) return null;
+    }
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+const stripWeak = (tag) => tag.replace(/^W\//, '');
+
+// Does an If-Match / If-None-Match list contain the ETag ("*" matches anything)
+const etagListMatches = (header, etag, { weak = false } = {}) => {
+  if (!etag) return false;
+
+  return header.split(',').map(tag => tag.trim()).some(tag => {
+    if (tag === '*') return true;
+    if (weak) return stripWeak(tag) === stripWeak(etag);
+    return !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag;
+  });
+};
+
+// HTTP dates have one second precision
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const parseDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+// Evaluate the conditional request headers (RFC 7232 section 6 order).
+// Returns 412, 304 or null when the request should be served normally.
+const checkPreconditions = (req, { etag, lastModified }) => {
+  const headers = req.headers;
+  const modified = lastModified ? toSeconds(lastModified) : null;
+
+  if (headers['if-match']) {
+    if (!etagListMatches(headers['if-match'], etag)) return 412;
+  } else if (headers['if-unmodified-since'] && modified !== null) {
+    const since = parseDate(headers['if-unmodified-since']);
+    if (since !== null && modified > since) return 412;
+  }
+
+  if (headers['if-none-match']) {
+    if (etagListMatches(headers['if-none-match'], etag, { weak: true })) return 304;
+  } else if (headers['if-modified-since'] && modified !== null) {
+    const since = parseDate(headers['if-modified-since']);
+    if (since !== null && modified <= since) return 304;
+  }
+
+  return null;
+};
+
+// If-Range: only honour the Range header when the client's copy is still current
+const rangeStillValid = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+    return etagListMatches(ifRange, etag);
+  }
+
+  const since = parseDate(ifRange);
+  return since !== null && Boolean(lastModified) && toSeconds(lastModified) === since;
+};
+
+// Copy a readable into the response without ending it, stopping if the client goes away
+const writeStream = async (res, stream) => {
+  const abort = () => stream.destroy();
+  res.once('close', abort);
+
+  try {
+    for await (const chunk of stream) {
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      if (res.destroyed) break;
+    }
+  } catch (error) {
+    // The client went away: nothing left to do
+    if (res.destroyed) return;
+
+    // Headers (and part of the body) are already out, so the only way to signal it is to cut the connection
+    res.destroy(error);
+    throw error;
+  } finally {
+    res.removeListener('close', abort);
+    stream.destroy();
+  }
+};
+
+// Send a stored file honouring Range and conditional headers.
+// `file` is { size, etag, lastModified, contentType, open({ start, end }) => Promise<Readable> }
+const sendFile = async (req, res, file) => {
+  const { size, etag, lastModified, contentType } = file;
+  const isHead = req.method === 'HEAD';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+
+  const precondition = checkPreconditions(req, file);
+  if (precondition) {
+    return res.status(precondition).end();
+  }
+
+  const ranges = rangeStillValid(req, file) ? parseRange(req.headers.range, size) : null;
+
+  if (ranges && ranges.length === 0) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+      success: false,
+      error: 'Requested range not satisfiable'
+    });
+  }
+
+  // Whole file
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', size);
+    if (isHead || size === 0) return res.end();
+
+    await writeStream(res, await file.open({}));
+    return res.end();
+  }
+
+  // Single range
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+
+    res.status(206);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+    if (isHead) return res.end();
+
+    await writeStream(res, await file.open({ start, end }));
+    return res.end();
+  }
+
+  // Several ranges: multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const partHeader = ({ start, end }, index) =>
+    `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`;
+  const closing = `\r\n--${boundary}--\r\n`;
+
+  const length = ranges.reduce(
+    (total, range, index) => total + Buffer.byteLength(partHeader(range, index)) + range.end - range.start + 1,
+    Buffer.byteLength(closing)
+  );
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+  if (isHead) return res.end();
+
+  for (const [index, range] of ranges.entries()) {
+    if (res.destroyed) return;
+    res.write(partHeader(range, index));
+    await writeStream(res, await file.open(range));
+  }
+
+  res.end(closing);
+};
+
+// Serve a key from a storage provider that can stat and read files (local, s3/minio).
+// Returns false when the provider cannot serve files itself (e.g. Cloudinary).
+const sendStoredFile = async (req, res, provider, key) => {
+  if (!key || typeof provider.stat !== 'function' || typeof provider.createReadStream !== 'function') {
+    return false;
+  }
+
+  let stats;
+  try {
+    stats = await provider.stat(key);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    res.status(404).json({
+      success: false,
+      error: 'Video file not found'
+    });
+    return true;
+  }
+
+  await sendFile(req, res, {
+    ...stats,
+    open: (range) => provider.createReadStream(key, range)
+  });
+  return true;
+};
+
+module.exports = {
+  parseRange,
+  checkPreconditions,
+  sendFile,
+  sendStoredFile
+};
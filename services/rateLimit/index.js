@@ -0,0 +1,56 @@
+const policies = require('./policies');
+const { getBackend } = require('../cluster');
+
+// Available stores, loaded lazily
+const stores = {
+  memory: () => require('./memoryStore'),
+  mongo: () => require('./mongoStore')
+};
+
+let store = null;
+
+// Get the configured store (RATE_LIMIT_STORE, defaults to the cluster backend's store)
+const getStore = () => {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || getBackend().rateLimitStore).toLowerCase();
+
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+
+    const Store = stores[name]();
+    store = new Store();
+    console.log('Rate limit store:', store.name);
+  }
+
+  return store;
+};
+
+// Rate limiting can be switched off for load tests (RATE_LIMIT_DISABLED=true)
+const isEnabled = () => process.env.RATE_LIMIT_DISABLED !== 'true';
+
+// A policy, with RATE_LIMIT_<NAME>="max/windowSeconds" overriding the defaults
+const getPolicy = (name) => {
+  const policy = policies[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+
+  const override = process.env[`RATE_LIMIT_${name.replace(/[A-Z]/g, char => `_${char}`).toUpperCase()}`];
+  if (override) {
+    const [max, seconds] = override.split('/').map(value => parseInt(value));
+    return {
+      ...policy,
+      max: max || policy.max,
+      windowMs: seconds ? seconds * 1000 : policy.windowMs
+    };
+  }
+
+  return policy;
+};
+
+module.exports = {
+  getStore,
+  getPolicy,
+  isEnabled
+};
@@ -0,0 +1,46 @@
+// Keeps counters in this process. Fine for a single server; CLUSTER_BACKEND=mongo
+// (or RATE_LIMIT_STORE=mongo) when several API processes share the load.
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+
+    // Drop expired windows now and then so the map does not grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      this.entries.forEach((entry, key) => {
+        if (entry.resetAt <= now) this.entries.delete(key);
+      });
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  // Count a hit in the key's window, starting a new window if the old one is over
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.count += 1;
+    entry.lastAt = now;
+
+    return { ...entry, resetAt: new Date(entry.resetAt), lastAt: new Date(entry.lastAt) };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+
+    return { ...entry, resetAt: new Date(entry.resetAt), lastAt: new Date(entry.lastAt) };
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
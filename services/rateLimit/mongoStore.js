@@ -0,0 +1,48 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Keeps counters in MongoDB so every API process sees the same numbers
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  // Count a hit in one atomic update, starting a new window if the old one is over
+  async hit(key, windowMs, retry = true) {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    let entry;
+    try {
+      entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] },
+            lastAt: now
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // Two first hits raced on the upsert; the second one now finds the document
+      if (error.code === 11000 && retry) {
+        return this.hit(key, windowMs, false);
+      }
+      throw error;
+    }
+
+    return { count: entry.count, resetAt: entry.resetAt, lastAt: entry.lastAt };
+  }
+
+  async get(key) {
+    const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return entry ? { count: entry.count, resetAt: entry.resetAt, lastAt: entry.lastAt } : null;
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,25 @@
+// Rate limit policies: `max` requests per `windowMs`, counted per IP or per user.
+// `user` policies fall back to the IP when nobody is signed in.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+  // Every API request; playback (proxy/HLS) is left out, players make many small requests
+  api: { max: 1000, windowMs: 5 * MINUTE, keyBy: 'ip' },
+
+  // Authentication
+  login: { max: 20, windowMs: 15 * MINUTE, keyBy: 'ip' },
+  loginTwoFactor: { max: 10, windowMs: 15 * MINUTE, keyBy: 'ip' },
+  register: { max: 10, windowMs: HOUR, keyBy: 'ip' },
+  refresh: { max: 60, windowMs: 15 * MINUTE, keyBy: 'ip' },
+  passwordReset: { max: 5, windowMs: 15 * MINUTE, keyBy: 'ip' },
+  emailVerification: { max: 10, windowMs: 15 * MINUTE, keyBy: 'ip' },
+  sso: { max: 30, windowMs: 15 * MINUTE, keyBy: 'ip' },
+
+  // Writing content
+  comment: { max: 10, windowMs: MINUTE, keyBy: 'user' },
+  question: { max: 10, windowMs: MINUTE, keyBy: 'user' },
+  report: { max: 10, windowMs: HOUR, keyBy: 'user' },
+  upload: { max: 20, windowMs: HOUR, keyBy: 'user' }
+};
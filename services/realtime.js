@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const { verifyAccessToken } = require('./authSessions');
+const { isTwoFactorRequired } = require('./twoFactor');
+const { can } = require('./accessPolicy');
+const { emitUnreadCount } = require('./notifications');
+
+// Socket.io connection handling. Sockets authenticate in the handshake with the same
+// access token as the REST API:
+//
+//   io(url, { auth: { token } })      (or an Authorization: Bearer header)
+//
+// Every socket joins user_<id> and session_<sid> (so signing a session out disconnects it).
+// Clients only join video rooms; the events in them are emitted by the REST controllers
+// after they have saved the change (see services/socket emitToVideo).
+
+// Presence updates for a busy room are batched
+const PRESENCE_DELAY = 1000;
+
+const getToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return String(auth.token).replace(/^Bearer /, '');
+
+  const header = headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Same account checks as the protect middleware
+const getAccountError = (user) => {
+  if (!user) return 'User not found';
+  if (!user.isApproved) return 'Your account is pending approval. Please wait for admin approval.';
+  if (user.isEmailVerified === false) return 'Please verify your email address to continue.';
+  if (isTwoFactorRequired(user) && !user.twoFactor.enabled) {
+    return 'Two-factor authentication is required for admin accounts. Please set it up to continue.';
+  }
+  return null;
+};
+
+// Handshake middleware: rejected sockets get a connect_error with the reason
+const authenticate = async (socket, next) => {
+  const token = getToken(socket);
+  if (!token) {
+    return next(new Error('Not authorized'));
+  }
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    const user = await User.findById(decoded.id);
+    const accountError = getAccountError(user);
+
+    if (accountError) {
+      return next(new Error(accountError));
+    }
+
+    // socket.data is shared with other servers through the adapter (fetchSockets)
+    socket.data.userId = user._id.toString();
+    socket.data.sessionId = decoded.sid;
+    socket.data.role = user.role;
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'AuthError' ? error.message : 'Not authorized'));
+  }
+};
+
+// Viewers in a video room: distinct users, and how many of them are students
+const countViewers = async (io, videoId) => {
+  const sockets = await io.in(`video_${videoId}`).fetchSockets();
+  const viewers = new Map(sockets.map(socket => [socket.data.userId, socket.data.role]));
+
+  return {
+    videoId,
+    watching: viewers.size,
+    students: [...viewers.values()].filter(role => role === 'student').length
+  };
+};
+
+const pendingPresence = new Map();
+
+// Tell a video room how many people are watching (batched per room)
+const schedulePresence = (io, videoId) => {
+  if (pendingPresence.has(videoId)) return;
+
+  pendingPresence.set(videoId, setTimeout(async () => {
+    pendingPresence.delete(videoId);
+    try {
+      io.to(`video_${videoId}`).emit('presence', await countViewers(io, videoId));
+    } catch (error) {
+      console.error('Error counting video viewers:', error.message);
+    }
+  }, PRESENCE_DELAY));
+};
+
+const joinVideoRoom = async (io, socket, videoId) => {
+  if (!mongoose.isValidObjectId(videoId)) {
+    return { success: false, error: 'Invalid video ID' };
+  }
+
+  // Fresh user document: access depends on enrollments and approval, which can change
+  const [user, video] = await Promise.all([
+    User.findById(socket.data.userId),
+    Video.findById(videoId)
+  ]);
+
+  if (!video) {
+    return { success: false, error: 'Video not found' };
+  }
+  if (getAccountError(user) || !(await can(user, 'view', video))) {
+    return { success: false, error: 'You do not have access to this video' };
+  }
+
+  socket.join(`video_${videoId}`);
+  schedulePresence(io, videoId);
+
+  return { success: true, presence: await countViewers(io, videoId) };
+};
+
+// Video ids of the rooms a socket is in
+const getVideoRooms = (socket) => [...socket.rooms]
+  .filter(room => room.startsWith('video_'))
+  .map(room => room.slice('video_'.length));
+
+const registerRealtime = (io) => {
+  io.use(authenticate);
+
+  io.on('connection', (socket) => {
+    const { userId, sessionId } = socket.data;
+    console.log('Client connected:', userId);
+
+    socket.join(`user_${userId}`);
+    socket.join(`session_${sessionId}`);
+
+    // Start the notification badge off with the current count
+    emitUnreadCount(userId);
+
+    // Optional acknowledgement callback gets { success, error?, presence? }
+    socket.on('joinVideoRoom', async (videoId, ack) => {
+      let result;
+      try {
+        result = await joinVideoRoom(io, socket, String(videoId || ''));
+      } catch (error) {
+        console.error('Error joining video room:', error);
+        result = { success: false, error: 'Could not join the video room' };
+      }
+
+      if (typeof ack === 'function') ack(result);
+      else if (!result.success) socket.emit('error', result.error);
+    });
+
+    socket.on('leaveVideoRoom', (videoId) => {
+      const room = `video_${videoId}`;
+      if (!socket.rooms.has(room)) return;
+
+      socket.leave(room);
+      schedulePresence(io, String(videoId));
+    });
+
+    // Rooms are still listed while disconnecting; the batched count runs after the socket has left
+    socket.on('disconnecting', () => {
+      getVideoRooms(socket).forEach(videoId => schedulePresence(io, videoId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', userId);
+    });
+  });
+};
+
+module.exports = {
+  registerRealtime,
+  countViewers
+};
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const VideoView = require('../models/VideoView');
+const Like = require('../models/Like');
+const Playlist = require('../models/Playlist');
+const { accessFilter } = require('./accessPolicy');
+
+// Ranks videos for a user from co-watch patterns, subject/tag similarity,
+// playlist order and videos they started but did not finish.
+
+const MAX_SEEDS = 20;
+const MAX_CANDIDATES = 200;
+const MAX_COWATCH_VIEWERS = 500;
+
+const WEIGHTS = {
+  playlist: 4,
+  unfinished: 3,
+  coWatch: 2,
+  similar: 2,
+  popular: 0.5
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// What the user has watched: finished videos, unfinished ones and the most recent
+const getWatchState = async (userId) => {
+  const views = await VideoView.find({ user: userId })
+    .select('video completionPercentage watchedAt')
+    .sort({ watchedAt: -1 })
+    .lean();
+
+  const completed = new Set();
+  const unfinished = [];
+
+  views.forEach(view => {
+    if (view.completionPercentage >= VideoView.COMPLETED_PERCENTAGE) {
+      completed.add(toId(view.video));
+    } else if (view.completionPercentage > 0) {
+      unfinished.push(toId(view.video));
+    }
+  });
+
+  return {
+    completed,
+    unfinished,
+    recent: views.slice(0, MAX_SEEDS).map(view => toId(view.video))
+  };
+};
+
+// Viewers of the seed videos also watched... scored 0-1 by how many of them did
+const getCoWatchScores = async (seedIds, userId) => {
+  if (seedIds.length === 0) return new Map();
+
+  const viewers = await VideoView.distinct('user', {
+    video: { $in: seedIds },
+    user: { $ne: userId }
+  });
+  if (viewers.length === 0) return new Map();
+
+  const rows = await VideoView.aggregate([
+    {
+      $match: {
+        user: { $in: viewers.slice(0, MAX_COWATCH_VIEWERS) },
+        video: { $nin: seedIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    { $group: { _id: '$video', viewers: { $sum: 1 } } },
+    { $sort: { viewers: -1 } },
+    { $limit: MAX_CANDIDATES }
+  ]);
+
+  const max = rows.length > 0 ? rows[0].viewers : 1;
+  return new Map(rows.map(row => [toId(row._id), row.viewers / max]));
+};
+
+// Subjects, topics and tags of the seed videos, weighted by how often they appear
+const buildProfile = (videos) => {
+  const profile = { subjects: new Map(), topics: new Set(), tags: new Map(), count: videos.length };
+
+  videos.forEach(video => {
+    profile.subjects.set(video.subject, (profile.subjects.get(video.subject) || 0) + 1);
+    if (video.topic) profile.topics.add(video.topic.toLowerCase());
+    (video.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      profile.tags.set(key, (profile.tags.get(key) || 0) + 1);
+    });
+  });
+
+  return profile;
+};
+
+// Score 0-1: same subject matters most, then shared tags, then the same topic
+const getSimilarity = (video, profile) => {
+  if (profile.count === 0) return 0;
+
+  const subject = (profile.subjects.get(video.subject) || 0) / profile.count;
+  const tags = (video.tags || []).map(tag => tag.toLowerCase());
+  const sharedTags = tags.filter(tag => profile.tags.has(tag)).length;
+  const tagScore = tags.length > 0 ? sharedTags / tags.length : 0;
+  const topic = video.topic && profile.topics.has(video.topic.toLowerCase()) ? 1 : 0;
+
+  return 0.5 * subject + 0.35 * tagScore + 0.15 * topic;
+};
+
+// For each playlist holding one of the videos, the next video after the furthest one watched
+const getPlaylistNext = async (videoIds, skipIds) => {
+  const next = new Set();
+  if (videoIds.length === 0) return next;
+
+  const watched = new Set(videoIds);
+  const playlists = await Playlist.find({ 'videos.video': { $in: videoIds } }).select('videos').lean();
+
+  playlists.forEach(playlist => {
+    const ordered = [...playlist.videos].sort((a, b) => a.order - b.order);
+    let furthest = -1;
+    ordered.forEach((item, index) => {
+      if (watched.has(toId(item.video))) furthest = index;
+    });
+
+    const following = ordered.slice(furthest + 1).find(item => !skipIds.has(toId(item.video)));
+    if (following) next.add(toId(following.video));
+  });
+
+  return next;
+};
+
+// Combine the signals into a ranked, access-checked list
+const rank = async (user, { seeds, unfinished = [], playlistNext, coWatch, exclude, limit }) => {
+  const videoFilter = await accessFilter(user, 'Video');
+  const excluded = [...exclude];
+
+  const seedVideos = seeds.length > 0
+    ? await Video.find({ _id: { $in: seeds } }).select('subject topic tags').lean()
+    : [];
+  const profile = buildProfile(seedVideos);
+
+  // Candidates: everything any signal points at, plus similar videos
+  const candidateIds = new Set([...unfinished, ...playlistNext, ...coWatch.keys()]);
+  const similarQuery = profile.count > 0
+    ? {
+      $or: [
+        { subject: { $in: [...profile.subjects.keys()] } },
+        { tags: { $in: [...profile.tags.keys()] } }
+      ]
+    }
+    : {};
+
+  const [signalled, similar] = await Promise.all([
+    Video.find({ $and: [videoFilter, { _id: { $in: [...candidateIds], $nin: excluded } }] })
+      .populate('teacher', 'name profilePicture'),
+    Video.find({ $and: [videoFilter, similarQuery, { _id: { $nin: excluded } }] })
+      .populate('teacher', 'name profilePicture')
+      .sort({ views: -1 })
+      .limit(MAX_CANDIDATES)
+  ]);
+
+  const videos = new Map();
+  [...signalled, ...similar].forEach(video => videos.set(toId(video), video));
+
+  const maxViews = Math.max(1, ...[...videos.values()].map(video => video.views || 0));
+  const unfinishedRank = new Map(unfinished.map((id, index) => [id, index]));
+
+  const ranked = [...videos.values()].map(video => {
+    const id = toId(video);
+    const signals = {
+      playlist: playlistNext.has(id) ? 1 : 0,
+      // Most recently started first
+      unfinished: unfinishedRank.has(id) ? 1 / (1 + unfinishedRank.get(id) * 0.25) : 0,
+      coWatch: coWatch.get(id) || 0,
+      similar: getSimilarity(video, profile),
+      popular: Math.log1p(video.views || 0) / Math.log1p(maxViews)
+    };
+
+    const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0);
+    const reasons = Object.keys(signals)
+      .filter(key => key !== 'popular' && signals[key] > 0)
+      .sort((a, b) => WEIGHTS[b] * signals[b] - WEIGHTS[a] * signals[a]);
+
+    return { video, score: Math.round(score * 1000) / 1000, reasons: reasons.length > 0 ? reasons : ['popular'] };
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// "Recommended for you": seeded by what the user recently watched and liked
+const getRecommendedVideos = async (user, { limit = 20 } = {}) => {
+  const userId = user._id;
+
+  const [state, likes] = await Promise.all([
+    getWatchState(userId),
+    Like.find({ user: userId }).select('video').sort({ createdAt: -1 }).limit(MAX_SEEDS).lean()
+  ]);
+
+  const seeds = [...new Set([...state.recent, ...likes.map(like => toId(like.video))])];
+
+  const [coWatch, playlistNext] = await Promise.all([
+    getCoWatchScores(seeds, userId),
+    getPlaylistNext(state.recent, state.completed)
+  ]);
+
+  return rank(user, {
+    seeds,
+    unfinished: state.unfinished,
+    playlistNext,
+    coWatch,
+    exclude: state.completed,
+    limit
+  });
+};
+
+// "Up next" after the given video
+const getUpNextVideos = async (user, video, { limit = 10 } = {}) => {
+  const videoId = toId(video);
+  const state = await getWatchState(user._id);
+
+  const skip = new Set([...state.completed, videoId]);
+  const [coWatch, playlistNext] = await Promise.all([
+    getCoWatchScores([videoId], user._id),
+    getPlaylistNext([videoId], skip)
+  ]);
+
+  return rank(user, {
+    seeds: [videoId],
+    unfinished: state.unfinished.filter(id => id !== videoId),
+    playlistNext,
+    coWatch,
+    exclude: skip,
+    limit
+  });
+};
+
+module.exports = {
+  getRecommendedVideos,
+  getUpNextVideos
+};
@@ -0,0 +1,35 @@
+// Holds the Socket.io server so controllers and background jobs can push events.
+// The standalone worker sets a cluster emitter instead (same to()/in() API).
+let io = null;
+
+const setIo = (server) => {
+  io = server;
+};
+
+const getIo = () => io;
+
+// Emit an event to every socket of a user (sockets join user_<id> rooms)
+const emitToUser = (userId, event, data) => {
+  if (!io || !userId) return;
+  io.to(`user_${userId}`).emit(event, data);
+};
+
+// Emit an event to everyone watching a video
+const emitToVideo = (videoId, event, data) => {
+  if (!io || !videoId) return;
+  io.to(`video_${videoId}`).emit(event, data);
+};
+
+// Drop the sockets of a signed-out session (sockets join session_<sid> rooms)
+const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) return;
+  io.in(`session_${sessionId}`).disconnectSockets(true);
+};
+
+module.exports = {
+  setIo,
+  getIo,
+  emitToUser,
+  emitToVideo,
+  disconnectSession
+};
@@ -0,0 +1,85 @@
+// Map identity provider claims (OIDC) or attributes (SAML) to StreamVibe profile fields.
+// Claim names and role values can be changed per deployment through env vars.
+
+const DEFAULT_ROLE_MAP = {
+  student: 'student',
+  teacher: 'teacher',
+  faculty: 'teacher',
+  instructor: 'teacher',
+  staff: 'teacher'
+};
+
+// SSO never hands out admin: admins are promoted by hand
+const PROVISIONED_ROLES = ['teacher', 'student'];
+
+const getClaimNames = () => ({
+  email: process.env.SSO_EMAIL_CLAIM || 'email',
+  name: process.env.SSO_NAME_CLAIM || 'name',
+  role: process.env.SSO_ROLE_CLAIM || 'role',
+  branch: process.env.SSO_BRANCH_CLAIM || 'branch',
+  year: process.env.SSO_YEAR_CLAIM || 'year',
+  department: process.env.SSO_DEPARTMENT_CLAIM || 'department'
+});
+
+// SSO_ROLE_MAP="member=student,faculty=teacher" adds to (or overrides) the defaults
+const getRoleMap = () => {
+  const map = { ...DEFAULT_ROLE_MAP };
+
+  (process.env.SSO_ROLE_MAP || '').split(',').forEach(pair => {
+    const [value, role] = pair.split('=').map(part => part && part.trim().toLowerCase());
+    if (value && PROVISIONED_ROLES.includes(role)) map[value] = role;
+  });
+
+  return map;
+};
+
+// SAML attributes are often multi-valued; take the first value
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+const getClaim = (claims, name) => {
+  const value = first(claims[name]);
+  return value === undefined || value === null || value === '' ? undefined : String(value).trim();
+};
+
+// "1", "1st", "first" -> "1st"
+const normalizeYear = (value) => {
+  if (!value) return undefined;
+
+  const words = { first: 1, second: 2, third: 3, fourth: 4 };
+  const number = words[value.toLowerCase()] || parseInt(value);
+  const suffixes = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th' };
+
+  return suffixes[number];
+};
+
+// Pick the role from the role claim; any value mapping to teacher wins over student
+const mapRole = (claims) => {
+  const values = [].concat(claims[getClaimNames().role] || []).map(value => String(value).toLowerCase());
+  const roleMap = getRoleMap();
+  const roles = values.map(value => roleMap[value]).filter(Boolean);
+
+  if (roles.includes('teacher')) return 'teacher';
+  if (roles.includes('student')) return 'student';
+
+  const fallback = (process.env.SSO_DEFAULT_ROLE || '').toLowerCase();
+  return PROVISIONED_ROLES.includes(fallback) ? fallback : null;
+};
+
+// Profile fields for a new or existing user; undefined values are left alone
+const mapClaims = (claims) => {
+  const names = getClaimNames();
+
+  return {
+    name: getClaim(claims, names.name),
+    role: mapRole(claims),
+    branch: getClaim(claims, names.branch),
+    year: normalizeYear(getClaim(claims, names.year)),
+    department: getClaim(claims, names.department)
+  };
+};
+
+module.exports = {
+  getClaimNames,
+  getClaim,
+  mapClaims
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const { getClaimNames, getClaim, mapClaims } = require('./claims');
+
+// Single sign-on with campus identity providers. Each adapter turns a login
+// response into { subject, email, emailVerified, claims }; this module links that
+// identity to a User, or provisions one just in time.
+
+const STATE_TTL = '10m';
+
+class SsoError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SsoError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Adapters, loaded lazily so the SAML library is only required when SAML is configured
+const adapters = {
+  oidc: () => require('./oidcProvider'),
+  saml: () => require('./samlProvider')
+};
+
+const instances = {};
+
+// Get a configured provider by id, or null
+const getProvider = (id) => {
+  if (!adapters[id]) return null;
+
+  if (!instances[id]) {
+    const Provider = adapters[id]();
+    if (!Provider.isConfigured()) return null;
+    instances[id] = new Provider();
+  }
+
+  return instances[id];
+};
+
+// Providers shown on the login page
+const listProviders = () => Object.keys(adapters)
+  .map(getProvider)
+  .filter(Boolean)
+  .map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    type: provider.type,
+    loginUrl: `/api/auth/sso/${provider.id}/login`
+  }));
+
+// Where the identity provider sends the browser back to
+const getCallbackUrl = (id) => {
+  const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  return `${apiUrl}/api/auth/sso/${id}/callback`;
+};
+
+// Login state (OIDC state, nonce and PKCE verifier, where to return) signed so it
+// can travel in a cookie or in the SAML RelayState
+const getStateSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('sso-state').digest();
+};
+
+const signState = (state) => jwt.sign(state, getStateSecret(), { expiresIn: STATE_TTL, audience: 'sso' });
+
+const verifyState = (token) => {
+  try {
+    return jwt.verify(String(token || ''), getStateSecret(), { audience: 'sso' });
+  } catch (error) {
+    throw new SsoError('Sign-in has expired, please try again');
+  }
+};
+
+// Only same-site paths, so the login cannot be used as an open redirect
+const safeReturnTo = (value) =>
+  typeof value === 'string' && /^\/(?!\/)/.test(value) && !value.includes('\\') ? value : '/';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keep branch/year/department in step with the campus directory
+const syncProfile = (user, fields) => {
+  if (user.role === 'student') {
+    if (fields.branch) user.branch = fields.branch;
+    if (fields.year) user.year = fields.year;
+  } else if (user.role === 'teacher' && fields.department) {
+    user.department = fields.department;
+  }
+};
+
+// Find the user for an identity: by linked identity, then by verified email, else create one.
+// Returns { user, created, linked }.
+const provisionUser = async (providerId, identity) => {
+  if (!identity.subject) {
+    throw new SsoError('The identity provider did not return a user identifier');
+  }
+
+  const fields = mapClaims(identity.claims);
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: providerId, subject: identity.subject } }
+  });
+
+  if (user) {
+    syncProfile(user, fields);
+    await user.save();
+    return { user, created: false, linked: false };
+  }
+
+  if (!identity.email) {
+    throw new SsoError(`The identity provider did not return an email address (${getClaimNames().email} claim)`);
+  }
+
+  const email = identity.email.toLowerCase();
+  const existing = await User.findOne({ email: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+
+  if (existing) {
+    // Only a verified address proves the IdP account and the local account are the same person
+    if (!identity.emailVerified) {
+      throw new SsoError('An account with this email already exists. Sign in with your password instead.', 409);
+    }
+
+    existing.identities.push({ provider: providerId, subject: identity.subject, email });
+    if (existing.isEmailVerified === false) {
+      existing.isEmailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    syncProfile(existing, fields);
+    await existing.save();
+    return { user: existing, created: false, linked: true };
+  }
+
+  if (!fields.role) {
+    throw new SsoError('Your campus account has no StreamVibe role. Please contact an administrator.', 403);
+  }
+
+  const missing = fields.role === 'student'
+    ? ['branch', 'year'].filter(field => !fields[field])
+    : ['department'].filter(field => !fields[field]);
+
+  if (missing.length > 0) {
+    throw new SsoError(`The identity provider did not send: ${missing.join(', ')}`);
+  }
+
+  try {
+    user = await User.create({
+      name: fields.name || getClaim(identity.claims, 'given_name') || email.split('@')[0],
+      email,
+      // Never used to sign in; a password can be set later through "forgot password"
+      password: crypto.randomBytes(32).toString('hex'),
+      role: fields.role,
+      ...(fields.role === 'student'
+        ? { branch: fields.branch, year: fields.year }
+        : { department: fields.department }),
+      // Teachers still need an admin to approve them unless the directory is trusted for that
+      isApproved: fields.role === 'student' || process.env.SSO_AUTO_APPROVE_TEACHERS === 'true',
+      isEmailVerified: Boolean(identity.emailVerified),
+      emailVerifiedAt: identity.emailVerified ? new Date() : undefined,
+      identities: [{ provider: providerId, subject: identity.subject, email }]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new SsoError(`Could not create your account: ${Object.values(error.errors).map(e => e.message).join(', ')}`);
+    }
+    throw error;
+  }
+
+  return { user, created: true, linked: false };
+};
+
+module.exports = {
+  SsoError,
+  getProvider,
+  listProviders,
+  getCallbackUrl,
+  signState,
+  verifyState,
+  safeReturnTo,
+  provisionUser
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { SsoError, getCallbackUrl } = require('./index');
+const { getClaimNames } = require('./claims');
+
+// OpenID Connect, authorization code flow with PKCE (S256).
+// Configure with OIDC_ISSUER, OIDC_CLIENT_ID and optionally OIDC_CLIENT_SECRET.
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const HTTP_TIMEOUT = 10000;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+class OidcProvider {
+  static isConfigured() {
+    return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+  }
+
+  constructor(options = {}) {
+    this.id = 'oidc';
+    this.type = 'oidc';
+    this.name = options.name || process.env.OIDC_NAME || 'Campus login';
+    this.issuer = (options.issuer || process.env.OIDC_ISSUER).replace(/\/+$/, '');
+    this.clientId = options.clientId || process.env.OIDC_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.OIDC_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri || process.env.OIDC_REDIRECT_URI || getCallbackUrl(this.id);
+    this.scopes = options.scopes || process.env.OIDC_SCOPES || 'openid email profile';
+
+    this.metadata = null;
+    this.keys = new Map();
+  }
+
+  // Provider endpoints from the discovery document (cached)
+  async discover() {
+    if (!this.metadata) {
+      const { data } = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT });
+
+      if (data.issuer.replace(/\/+$/, '') !== this.issuer) {
+        throw new Error(`OIDC issuer mismatch: expected ${this.issuer}, got ${data.issuer}`);
+      }
+      this.metadata = data;
+    }
+
+    return this.metadata;
+  }
+
+  // Public key for a key id, reloading the JWKS once when the IdP has rotated its keys
+  async getSigningKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT });
+
+      this.keys = new Map(
+        (data.keys || [])
+          .filter(jwk => !jwk.use || jwk.use === 'sig')
+          .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+      );
+    }
+
+    // Providers with a single key may leave out the kid
+    const key = this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null);
+    if (!key) {
+      throw new SsoError('ID token is signed with an unknown key', 401);
+    }
+    return key;
+  }
+
+  // Authorization URL plus the state the callback needs to check
+  async startLogin() {
+    const metadata = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      url: `${metadata.authorization_endpoint}?${params}`,
+      state: { state, nonce, codeVerifier }
+    };
+  }
+
+  // Exchange the authorization code and verify the ID token
+  async finishLogin(params, saved) {
+    if (params.error) {
+      throw new SsoError(params.error_description || `Sign-in was not completed (${params.error})`);
+    }
+    if (!params.code || !params.state || params.state !== saved.state) {
+      throw new SsoError('Invalid sign-in response, please try again');
+    }
+
+    const metadata = await this.discover();
+    const tokens = await this.exchangeCode(metadata, params.code, saved.codeVerifier);
+    const claims = await this.verifyIdToken(tokens.id_token, saved.nonce);
+
+    // Some providers only put profile claims in userinfo
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+      try {
+        const { data } = await axios.get(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+          timeout: HTTP_TIMEOUT
+        });
+        if (data.sub === claims.sub) {
+          Object.keys(data).forEach(key => {
+            if (claims[key] === undefined) claims[key] = data[key];
+          });
+        }
+      } catch (error) {
+        console.error('OIDC userinfo request failed:', error.message);
+      }
+    }
+
+    const email = claims[getClaimNames().email];
+
+    return {
+      subject: claims.sub,
+      email: typeof email === 'string' ? email : undefined,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      claims
+    };
+  }
+
+  async exchangeCode(metadata, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', this.clientSecret);
+      }
+    }
+
+    try {
+      const { data } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT });
+
+      if (!data.id_token) {
+        throw new SsoError('The identity provider did not return an ID token', 502);
+      }
+      return data;
+    } catch (error) {
+      if (error.name === 'SsoError') throw error;
+
+      const reason = error.response && error.response.data && (error.response.data.error_description || error.response.data.error);
+      console.error('OIDC token exchange failed:', reason || error.message);
+      throw new SsoError('Could not complete sign-in with the identity provider', 502);
+    }
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new SsoError('ID token is not signed with a supported algorithm', 401);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    let claims;
+
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: this.metadata.issuer,
+        audience: this.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new SsoError(`Invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new SsoError('Invalid ID token: nonce mismatch', 401);
+    }
+
+    return claims;
+  }
+}
+
+module.exports = OidcProvider;
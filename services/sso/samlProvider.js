@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { SAML } = require('@node-saml/node-saml');
+const SamlRequest = require('../../models/SamlRequest');
+const { SsoError, getCallbackUrl } = require('./index');
+const { getClaimNames, getClaim } = require('./claims');
+
+// SAML 2.0 (HTTP-Redirect for the request, HTTP-POST for the response).
+// Configure with SAML_ENTRY_POINT and the IdP signing certificate (SAML_IDP_CERT or SAML_IDP_CERT_FILE).
+
+const EMAIL_ATTRIBUTES = ['email', 'mail', 'urn:oid:0.9.2342.19200300.100.1.3'];
+const REQUEST_TTL = 10 * 60 * 1000; // same as the signed login state
+
+const getIdpCert = () => process.env.SAML_IDP_CERT_FILE
+  ? fs.readFileSync(process.env.SAML_IDP_CERT_FILE, 'utf8')
+  : process.env.SAML_IDP_CERT;
+
+// Outstanding AuthnRequest IDs, shared by every API instance. Responses must answer one
+// of them (no unsolicited or replayed responses). node-saml reads the ID before it removes
+// it, so two copies of a response posted at once could both pass; finishLogin claims the
+// ID itself instead, atomically, once the response has been verified.
+const requestCache = {
+  async saveAsync(key, value) {
+    await SamlRequest.create({
+      requestId: key,
+      issuedAt: value,
+      expiresAt: new Date(Date.now() + REQUEST_TTL)
+    });
+    return { value, createdAt: Date.now() };
+  },
+
+  async getAsync(key) {
+    const request = await SamlRequest.findOne({ requestId: key, expiresAt: { $gt: new Date() } });
+    return request ? request.issuedAt : null;
+  },
+
+  async removeAsync() {
+    return null;
+  }
+};
+
+const claimRequest = async (requestId) => Boolean(requestId && await SamlRequest.findOneAndDelete({ requestId }));
+
+class SamlProvider {
+  static isConfigured() {
+    return Boolean(process.env.SAML_ENTRY_POINT && (process.env.SAML_IDP_CERT || process.env.SAML_IDP_CERT_FILE));
+  }
+
+  constructor(options = {}) {
+    this.id = 'saml';
+    this.type = 'saml';
+    this.name = options.name || process.env.SAML_NAME || 'Campus login (SAML)';
+    this.issuer = options.issuer || process.env.SAML_ISSUER || 'streamvibe';
+
+    this.saml = new SAML({
+      entryPoint: options.entryPoint || process.env.SAML_ENTRY_POINT,
+      idpCert: options.idpCert || getIdpCert(),
+      issuer: this.issuer,
+      callbackUrl: options.callbackUrl || process.env.SAML_CALLBACK_URL || getCallbackUrl(this.id),
+      audience: this.issuer,
+      identifierFormat: null,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      acceptedClockSkewMs: 60 * 1000,
+      validateInResponseTo: 'always',
+      requestIdExpirationPeriodMs: REQUEST_TTL,
+      cacheProvider: options.cacheProvider || requestCache
+    });
+  }
+
+  // SAML has no PKCE; the signed state goes out as RelayState and comes back with the response
+  async startLogin({ relayState }) {
+    return {
+      url: await this.saml.getAuthorizeUrlAsync(relayState, undefined, {}),
+      state: {}
+    };
+  }
+
+  async finishLogin(params) {
+    if (!params.SAMLResponse) {
+      throw new SsoError('Invalid sign-in response, please try again');
+    }
+
+    let profile;
+    try {
+      ({ profile } = await this.saml.validatePostResponseAsync({ SAMLResponse: params.SAMLResponse }));
+    } catch (error) {
+      console.error('SAML response rejected:', error.message);
+      throw new SsoError('Could not verify the sign-in response from the identity provider', 401);
+    }
+
+    if (!profile) {
+      throw new SsoError('Invalid sign-in response, please try again');
+    }
+
+    if (!(await claimRequest(profile.inResponseTo))) {
+      throw new SsoError('This sign-in response has already been used, please try again', 401);
+    }
+
+    const emailAttribute = [getClaimNames().email, ...EMAIL_ATTRIBUTES].find(name => getClaim(profile, name));
+
+    return {
+      subject: profile.nameID,
+      email: emailAttribute ? getClaim(profile, emailAttribute) : undefined,
+      // Campus IdPs assert the directory address; SAML_TRUST_EMAIL=false turns off linking by email
+      emailVerified: process.env.SAML_TRUST_EMAIL !== 'false',
+      claims: profile
+    };
+  }
+
+  // Service provider metadata to register with the IdP
+  getMetadata() {
+    return this.saml.generateServiceProviderMetadata(null, null);
+  }
+}
+
+module.exports = SamlProvider;
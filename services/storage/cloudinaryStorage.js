@@ -0,0 +1,112 @@
+const path = require('path');
+const cloudinary = require('../../config/cloudinary');
+
+// Stores files on Cloudinary. Keys are Cloudinary public IDs.
+class CloudinaryStorage {
+  constructor() {
+    this.name = 'cloudinary';
+  }
+
+  async upload(filePath, options = {}) {
+    const resourceType = options.resourceType || 'image';
+    const uploadOptions = {
+      resource_type: resourceType,
+      folder: options.folder,
+      ...(options.cloudinary || {})
+    };
+
+    // Cloudinary appends the format itself, except for raw files
+    if (options.key) {
+      uploadOptions.public_id = resourceType === 'raw'
+        ? options.key
+        : options.key.replace(/\.[^/.]+$/, '');
+      delete uploadOptions.folder;
+    }
+
+    const result = await cloudinary.uploader.upload(filePath, uploadOptions);
+
+    return {
+      provider: this.name,
+      key: result.public_id,
+      url: result.secure_url,
+      bytes: result.bytes,
+      format: result.format,
+      originalFilename: result.original_filename,
+      derived: (result.eager || []).map(item => ({
+        url: item.secure_url,
+        format: item.format
+      }))
+    };
+  }
+
+  async delete(key, options = {}) {
+    await cloudinary.uploader.destroy(key, {
+      resource_type: options.resourceType || 'image'
+    });
+  }
+
+  async exists(key, options = {}) {
+    try {
+      await cloudinary.api.resource(key, {
+        resource_type: options.resourceType || 'image'
+      });
+      return true;
+    } catch (error) {
+      const status = error.http_code || (error.error && error.error.http_code);
+      if (status === 404) return false;
+      throw error;
+    }
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const urlOptions = {
+      resource_type: options.resourceType || 'image',
+      secure: true,
+      sign_url: true
+    };
+
+    // Token based authentication is required for URLs that actually expire
+    if (process.env.CLOUDINARY_AUTH_TOKEN_KEY) {
+      urlOptions.type = 'authenticated';
+      urlOptions.auth_token = {
+        key: process.env.CLOUDINARY_AUTH_TOKEN_KEY,
+        duration: options.expiresIn || 3600
+      };
+    }
+
+    return cloudinary.url(key, urlOptions);
+  }
+
+  // Without token based authentication a signed URL works forever
+  signedUrlsExpire() {
+    return Boolean(process.env.CLOUDINARY_AUTH_TOKEN_KEY);
+  }
+
+  // Example URL: https://res.cloudinary.com/cloud-name/video/upload/q_auto/v1234567890/folder/filename.mp4
+  keyFromUrl(url) {
+    if (!url || !url.includes('res.cloudinary.com')) return null;
+
+    const [, afterUpload] = url.split('?')[0].split('/upload/');
+    if (!afterUpload) return null;
+
+    const segments = afterUpload.split('/');
+    const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+    const publicPath = segments.slice(versionIndex + 1).join('/');
+
+    // Raw files (e.g. PDFs) keep their extension as part of the public ID
+    if (url.includes('/raw/upload/')) {
+      return decodeURIComponent(publicPath);
+    }
+
+    const extension = path.extname(publicPath);
+    return decodeURIComponent(extension ? publicPath.slice(0, -extension.length) : publicPath);
+  }
+
+  // Resource type Cloudinary used for a delivery URL (image, video or raw)
+  resourceTypeFromUrl(url) {
+    const match = url && url.match(/\/(image|video|raw)\/upload\//);
+    return match ? match[1] : 'image';
+  }
+}
+
+module.exports = CloudinaryStorage;
@@ -0,0 +1,103 @@
+const { buildKey } = require('./keys');
+
+// Available storage providers, loaded lazily so that unused SDKs
+// (and the Cloudinary connection test) are never initialised
+const providers = {
+  cloudinary: () => require('./cloudinaryStorage'),
+  local: () => require('./localStorage'),
+  s3: () => require('./s3Storage'),
+  minio: () => require('./s3Storage')
+};
+
+let storage = null;
+
+// Get the configured storage provider (STORAGE_PROVIDER, defaults to cloudinary)
+const getStorage = () => {
+  if (!storage) {
+    const name = (process.env.STORAGE_PROVIDER || 'cloudinary').toLowerCase();
+
+    if (!providers[name]) {
+      throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    const Provider = providers[name]();
+    storage = new Provider();
+    console.log('Storage provider:', storage.name);
+  }
+
+  return storage;
+};
+
+// Delete a previously stored file by its public URL, ignoring URLs
+// that do not belong to the active provider (e.g. default images)
+const deleteByUrl = async (url, options = {}) => {
+  if (!url) return false;
+
+  const provider = getStorage();
+  const key = provider.keyFromUrl(url);
+
+  if (!key) {
+    console.log('Skipping delete, URL is not managed by storage provider:', url);
+    return false;
+  }
+
+  await provider.delete(key, {
+    resourceType: options.resourceType ||
+      (provider.resourceTypeFromUrl ? provider.resourceTypeFromUrl(url) : undefined)
+  });
+  return true;
+};
+
+// Hosts a video may be linked from when the file is not in our storage
+// (VIDEO_SOURCE_ALLOWED_HOSTS, comma separated, subdomains included). None by default.
+const getAllowedSourceHosts = () => (process.env.VIDEO_SOURCE_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Whether a video URL may be handed to ffmpeg: a file in our storage, or http(s) on an
+// allowed host. Anything else (file:, concat:, internal addresses) would be read by the server.
+const isAllowedSource = (url) => {
+  if (!url || typeof url !== 'string') return false;
+  if (getStorage().keyFromUrl(url)) return true;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+  const host = parsed.hostname.toLowerCase();
+  return getAllowedSourceHosts().some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+};
+
+// Resolve a stored file URL into something ffmpeg can read: a local path
+// for the local provider, otherwise a (signed) URL
+const resolveSource = async (url, options = {}) => {
+  const provider = getStorage();
+  const key = provider.keyFromUrl(url);
+
+  if (!key) {
+    if (!isAllowedSource(url)) {
+      throw new Error('The video URL is not in storage or on an allowed host');
+    }
+    return url;
+  }
+
+  if (typeof provider.resolve === 'function') {
+    return provider.resolve(key);
+  }
+
+  return provider.getSignedUrl(key, options);
+};
+
+module.exports = {
+  getStorage,
+  buildKey,
+  deleteByUrl,
+  isAllowedSource,
+  resolveSource
+};
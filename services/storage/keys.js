@@ -0,0 +1,29 @@
+const path = require('path');
+
+// Build a storage key such as "streamvibe/videos/1700000000000-lecture-1.mp4"
+const buildKey = (folder, filename) => {
+  const safeName = path.basename(filename).replace(/\s+/g, '-').replace(/[^\w.-]/g, '');
+  return `${folder.replace(/\/+$/, '')}/${Date.now()}-${safeName}`;
+};
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.ts': 'video/mp2t',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// Guess a content type from a key's extension
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+module.exports = { buildKey, contentTypeFor };
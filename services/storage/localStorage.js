@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildKey, contentTypeFor } = require('./keys');
+
+// Images the app links to directly, like the public delivery URLs of the cloud
+// providers. Everything else (videos, HLS segments) needs a signed URL.
+const PUBLIC_FOLDERS = [
+  'streamvibe/thumbnails/',
+  'streamvibe/storyboards/',
+  'streamvibe/profiles/',
+  'streamvibe/playlists/',
+  'streamvibe/notices/'
+];
+
+// Stores files on the local filesystem, outside public/ so nothing is served
+// without going through the /media route (see controllers/mediaController.js).
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_ROOT || 'storage/media');
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.STORAGE_LOCAL_BASE_URL ||
+      `http://localhost:${process.env.PORT || 5000}/media`
+    ).replace(/\/+$/, '');
+    this.secret = options.secret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  // Resolve a key to an absolute path, refusing keys that escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async upload(filePath, options = {}) {
+    const key = options.key || buildKey(options.folder || 'streamvibe/misc', options.filename || filePath);
+    const destination = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.copyFile(filePath, destination);
+
+    const { size } = await fs.promises.stat(destination);
+
+    return {
+      provider: this.name,
+      key,
+      url: this.url(key),
+      bytes: size,
+      format: path.extname(key).replace('.', ''),
+      derived: []
+    };
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Size, modification time and content type, used to answer Range requests
+  async stat(key) {
+    const stats = await fs.promises.stat(this.resolve(key));
+
+    if (!stats.isFile()) {
+      throw Object.assign(new Error(`Not a file: ${key}`), { code: 'ENOENT' });
+    }
+
+    return {
+      size: stats.size,
+      lastModified: stats.mtime,
+      // Strong validator built the same way nginx does (mtime-size)
+      etag: `"${Math.floor(stats.mtimeMs).toString(16)}-${stats.size.toString(16)}"`,
+      contentType: contentTypeFor(key)
+    };
+  }
+
+  // Read the file, or an inclusive byte range of it
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolve(key), { start, end });
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 3600);
+    return `${this.url(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  signedUrlsExpire() {
+    return true;
+  }
+
+  sign(key, expires) {
+    if (!this.secret) {
+      throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET is required to sign local URLs');
+    }
+
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  // Check a signature produced by getSignedUrl
+  verifySignature(key, expires, signature) {
+    if (!signature || !expires || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Only normalized keys count, so "thumbnails/../videos/..." cannot pass as public
+  isPublic(key) {
+    return path.posix.normalize(key) === key && PUBLIC_FOLDERS.some(folder => key.startsWith(folder));
+  }
+
+  // Whether a request for a key may be served (query holds expires and signature)
+  canServe(key, query = {}) {
+    return this.isPublic(key) || this.verifySignature(key, query.expires, query.signature);
+  }
+
+  keyFromUrl(url) {
+    if (!url) return null;
+
+    const withoutQuery = url.split('?')[0];
+
+    if (!withoutQuery.startsWith(`${this.baseUrl}/`)) {
+      return null;
+    }
+
+    return decodeURIComponent(withoutQuery.slice(this.baseUrl.length + 1));
+  }
+}
+
+module.exports = LocalStorage;
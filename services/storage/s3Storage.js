@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { buildKey, contentTypeFor } = require('./keys');
+
+// Stores files in an S3 compatible bucket (AWS S3, MinIO, ...)
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : process.env.S3_FORCE_PATH_STYLE === 'true' || !!this.endpoint;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_PROVIDER is s3');
+    }
+
+    this.client = new S3Client({
+      region: this.region,
+      endpoint: this.endpoint,
+      forcePathStyle: this.forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+          }
+        : undefined
+    });
+
+    this.baseUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || this.defaultBaseUrl()).replace(/\/+$/, '');
+  }
+
+  defaultBaseUrl() {
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/+$/, '')}/${this.bucket}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async upload(filePath, options = {}) {
+    const key = options.key || buildKey(options.folder || 'streamvibe/misc', options.filename || filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: options.contentType || 'application/octet-stream'
+    }));
+
+    return {
+      provider: this.name,
+      key,
+      url: this.url(key),
+      bytes: size,
+      format: path.extname(key).replace('.', ''),
+      derived: []
+    };
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Size, modification time and content type, used to answer Range requests
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        etag: head.ETag,
+        contentType: head.ContentType && head.ContentType !== 'application/octet-stream'
+          ? head.ContentType
+          : contentTypeFor(key)
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        throw Object.assign(new Error(`Object not found: ${key}`), { code: 'ENOENT' });
+      }
+      throw error;
+    }
+  }
+
+  // Read the object, or an inclusive byte range of it
+  async createReadStream(key, { start, end } = {}) {
+    const { Body } = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+    }));
+
+    return Body;
+  }
+
+  async getSignedUrl(key, options = {}) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: options.expiresIn || 3600 }
+    );
+  }
+
+  signedUrlsExpire() {
+    return true;
+  }
+
+  keyFromUrl(url) {
+    if (!url) return null;
+
+    const withoutQuery = url.split('?')[0];
+
+    if (!withoutQuery.startsWith(`${this.baseUrl}/`)) {
+      return null;
+    }
+
+    return decodeURIComponent(withoutQuery.slice(this.baseUrl.length + 1));
+  }
+}
+
+module.exports = S3Storage;
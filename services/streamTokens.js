@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const StreamSession = require('../models/StreamSession');
+const User = require('../models/User');
+const { can } = require('./accessPolicy');
+
+// Short-lived, HMAC-signed playback tokens for the video proxy and HLS routes.
+// A token is bound to a video, a signed-in user and an expiry.
+// When MAX_CONCURRENT_STREAMS is set, users are also limited in how many streams they
+// can play at once.
+
+const DEFAULT_TTL = 30 * 60; // seconds
+const IDLE_TIMEOUT = 90 * 1000; // a stream with no requests for this long stops counting
+const TOUCH_INTERVAL = 15 * 1000; // how often lastSeenAt is written while playing
+
+class StreamTokenError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'StreamTokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A dedicated secret, or one derived from JWT_SECRET so login tokens and playback
+// tokens can never be swapped for each other
+const getSecret = () => {
+  if (process.env.STREAM_TOKEN_SECRET) return process.env.STREAM_TOKEN_SECRET;
+
+  if (!process.env.JWT_SECRET) {
+    throw new Error('STREAM_TOKEN_SECRET or JWT_SECRET must be configured');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('stream-tokens').digest();
+};
+
+const getTokenTtl = () => parseInt(process.env.STREAM_TOKEN_TTL) || DEFAULT_TTL;
+const getStreamLimit = () => parseInt(process.env.MAX_CONCURRENT_STREAMS) || 0;
+
+const signPayload = (encoded) => crypto.createHmac('sha256', getSecret()).update(encoded).digest('base64url');
+
+// Token: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+const createToken = (payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${signPayload(encoded)}`;
+};
+
+// Check the signature and expiry and return the payload
+const verifyToken = (token) => {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) {
+    throw new StreamTokenError('A playback token is required', 401);
+  }
+
+  const expected = Buffer.from(signPayload(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new StreamTokenError('Invalid playback token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new StreamTokenError('Invalid playback token');
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    throw new StreamTokenError('Playback token has expired', 401);
+  }
+
+  return payload;
+};
+
+// Issue a token for a signed-in user and a video.
+// Passing the streamId of an earlier token renews it without counting as a new stream.
+const issueStreamToken = async (user, video, { streamId } = {}) => {
+  if (!user) {
+    throw new StreamTokenError('Sign in to watch this video', 401);
+  }
+
+  const expiresAt = new Date(Date.now() + getTokenTtl() * 1000);
+  let id = null;
+
+  // Sessions are only tracked when there is a limit to enforce
+  if (getStreamLimit() > 0) {
+    const renewed = streamId
+      ? await StreamSession.findOneAndUpdate(
+        { streamId, user: user._id, video: video._id, endedAt: null },
+        { expiresAt },
+        { new: true }
+      )
+      : null;
+
+    id = renewed ? renewed.streamId : crypto.randomBytes(16).toString('hex');
+
+    if (!renewed) {
+      await StreamSession.create({ streamId: id, user: user._id, video: video._id, expiresAt });
+    }
+  }
+
+  const token = createToken({
+    v: video._id.toString(),
+    u: user._id.toString(),
+    s: id,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  });
+
+  return { token, streamId: id, expiresAt };
+};
+
+// Count the stream against the user's limit when it starts (or resumes after idling)
+const claimStreamSlot = async (payload) => {
+  const session = await StreamSession.findOne({ streamId: payload.s });
+  if (!session || session.endedAt) {
+    throw new StreamTokenError('This stream has ended');
+  }
+
+  const now = Date.now();
+  const playing = session.lastSeenAt && now - session.lastSeenAt.getTime() <= IDLE_TIMEOUT;
+  const limit = getStreamLimit();
+
+  if (!playing && limit > 0) {
+    const others = await StreamSession.countDocuments({
+      user: session.user,
+      streamId: { $ne: session.streamId },
+      endedAt: null,
+      lastSeenAt: { $gte: new Date(now - IDLE_TIMEOUT) }
+    });
+
+    if (others >= limit) {
+      throw new StreamTokenError(
+        `You are already watching on ${others} other device${others === 1 ? '' : 's'}. Stop one of them to continue.`,
+        429
+      );
+    }
+  }
+
+  if (!playing || now - session.lastSeenAt.getTime() > TOUCH_INTERVAL) {
+    await StreamSession.updateOne({ _id: session._id }, { lastSeenAt: new Date(now) });
+  }
+};
+
+// Validate a token for a request to stream `videoId`, returns the token payload
+const validateStreamToken = async (token, videoId, user) => {
+  const payload = verifyToken(token);
+
+  if (payload.v !== videoId.toString()) {
+    throw new StreamTokenError('Playback token is not valid for this video');
+  }
+
+  // Tokens from before sign-in was required carry no user
+  if (!payload.u) {
+    throw new StreamTokenError('Sign in to watch this video', 401);
+  }
+
+  if (user && payload.u !== user._id.toString()) {
+    throw new StreamTokenError('Playback token belongs to another user');
+  }
+
+  if (payload.s) {
+    await claimStreamSlot(payload);
+  }
+
+  return payload;
+};
+
+// Check a playback request: a valid token for the video, and the token's user may still
+// watch it. <video> and <track> elements send no Authorization header, so the token
+// says who is watching. Returns the user.
+const authorizePlayback = async (token, video, user) => {
+  const payload = await validateStreamToken(token, video._id, user);
+  const viewer = user || await User.findById(payload.u);
+
+  if (!viewer || !viewer.isApproved || !(await can(viewer, 'view', video))) {
+    throw new StreamTokenError('You do not have access to this video');
+  }
+
+  return viewer;
+};
+
+// Stop counting a stream, e.g. when the player is closed
+const endStream = async (streamId, user) => {
+  const result = await StreamSession.updateOne(
+    { streamId, user: user._id, endedAt: null },
+    { endedAt: new Date() }
+  );
+  return result.matchedCount > 0;
+};
+
+module.exports = {
+  StreamTokenError,
+  issueStreamToken,
+  validateStreamToken,
+  authorizePlayback,
+  endStream
+};
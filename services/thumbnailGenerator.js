@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('../config/ffmpeg');
+const { getStorage, deleteByUrl } = require('./storage');
+const { formatTimestamp } = require('./captions');
+
+// Points in the video (as a fraction of its duration) to take candidate thumbnails from
+const CANDIDATE_POSITIONS = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+// Storyboard tiles used for seek-bar hover previews
+const STORYBOARD_TILE = { width: 160, height: 90 };
+const STORYBOARD_GRID = { columns: 10, rows: 10 };
+const STORYBOARD_MAX_FRAMES = 200;
+const STORYBOARD_MIN_INTERVAL = 2; // seconds
+
+// Helper to grab a single frame as a JPEG
+const extractFrame = (input, time, outputPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .seekInput(time)
+      .outputOptions([
+        '-frames:v 1',
+        '-vf scale=1280:-2',
+        '-q:v 3'
+      ])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+};
+
+// Helper to render every storyboard frame into sprite sheets (sprite_001.jpg, ...)
+const renderSprites = (input, interval, outputDir) => {
+  const { width, height } = STORYBOARD_TILE;
+  const { columns, rows } = STORYBOARD_GRID;
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .outputOptions([
+        `-vf fps=1/${interval},scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${rows}`,
+        '-q:v 5',
+        '-an'
+      ])
+      .output(path.join(outputDir, 'sprite_%03d.jpg'))
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+};
+
+// Upload every file in a directory and return their URLs in file name order
+const uploadDirectory = async (dir, folder) => {
+  const storage = getStorage();
+  const files = (await fs.promises.readdir(dir)).sort();
+  const urls = [];
+
+  for (const file of files) {
+    const result = await storage.upload(path.join(dir, file), {
+      key: `${folder}/${file}`,
+      resourceType: 'image',
+      contentType: 'image/jpeg'
+    });
+    urls.push(result.url);
+  }
+
+  return urls;
+};
+
+// Extract candidate thumbnails at several timestamps
+const generateThumbnailCandidates = async (videoId, input, duration) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'streamvibe-thumbs-'));
+
+  try {
+    const times = duration > 0
+      ? CANDIDATE_POSITIONS.map(position => Math.floor(duration * position))
+      : [0];
+    const uniqueTimes = [...new Set(times)];
+
+    for (let i = 0; i < uniqueTimes.length; i++) {
+      await extractFrame(input, uniqueTimes[i], path.join(workDir, `candidate_${i + 1}.jpg`));
+    }
+
+    const urls = await uploadDirectory(workDir, `streamvibe/thumbnails/${videoId}`);
+    return urls.map((url, index) => ({ url, time: uniqueTimes[index] }));
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Generate sprite sheets of preview frames for the seek bar
+const generateStoryboard = async (videoId, input, duration) => {
+  if (!duration) return null;
+
+  const interval = Math.max(STORYBOARD_MIN_INTERVAL, Math.ceil(duration / STORYBOARD_MAX_FRAMES));
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'streamvibe-sprites-'));
+
+  try {
+    await renderSprites(input, interval, workDir);
+    const sheets = await uploadDirectory(workDir, `streamvibe/storyboards/${videoId}`);
+
+    return {
+      interval,
+      width: STORYBOARD_TILE.width,
+      height: STORYBOARD_TILE.height,
+      columns: STORYBOARD_GRID.columns,
+      rows: STORYBOARD_GRID.rows,
+      frameCount: Math.ceil(duration / interval),
+      sheets
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Build the WebVTT index mapping time ranges to sprite sheet regions
+const buildStoryboardVtt = (storyboard, duration) => {
+  const lines = ['WEBVTT', ''];
+  const perSheet = storyboard.columns * storyboard.rows;
+
+  for (let i = 0; i < storyboard.frameCount; i++) {
+    const sheet = storyboard.sheets[Math.floor(i / perSheet)];
+    if (!sheet) break;
+
+    const position = i % perSheet;
+    const x = (position % storyboard.columns) * storyboard.width;
+    const y = Math.floor(position / storyboard.columns) * storyboard.height;
+    const start = i * storyboard.interval;
+    const end = Math.min((i + 1) * storyboard.interval, duration || Infinity);
+
+    lines.push(
+      `${formatTimestamp(start)} --> ${formatTimestamp(end)}`,
+      `${sheet}#xywh=${x},${y},${storyboard.width},${storyboard.height}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+};
+
+// Remove generated thumbnails and sprite sheets from storage
+const deleteGeneratedImages = async (video) => {
+  const urls = [
+    ...(video.thumbnailCandidates || []).map(candidate => candidate.url),
+    ...((video.storyboard && video.storyboard.sheets) || [])
+  ];
+
+  for (const url of urls) {
+    try {
+      await deleteByUrl(url, { resourceType: 'image' });
+    } catch (error) {
+      console.error('Error deleting generated image:', error.message);
+    }
+  }
+};
+
+module.exports = {
+  generateThumbnailCandidates,
+  generateStoryboard,
+  buildStoryboardVtt,
+  deleteGeneratedImages
+};
@@ -0,0 +1,196 @@
+const Caption = require('../models/Caption');
+const Video = require('../models/Video');
+
+// Search inside caption cues and group the hits by video
+
+const MAX_CANDIDATE_TRACKS = 500;
+const SNIPPET_LENGTH = 160;
+
+// Words too common to be worth highlighting
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who', 'why', 'with'
+]);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split a query into quoted phrases and single search terms
+const parseQuery = (query) => {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.trim().toLowerCase());
+    return ' ';
+  });
+
+  const terms = rest.toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+  return { phrases: phrases.filter(Boolean), terms: [...new Set(terms)] };
+};
+
+// Match whole phrases, and terms as word prefixes so "recursion" also finds "recursive"
+const buildMatcher = ({ phrases, terms }) => {
+  const patterns = [
+    ...phrases.map(escapeRegex),
+    ...terms.map(term => `${escapeRegex(term.length > 5 ? term.slice(0, -2) : term)}[\\p{L}\\p{N}']*`)
+  ];
+
+  if (patterns.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+};
+
+// Looser pattern for MongoDB to pick candidate cues with, so only those are loaded.
+// Phrases are split into words because styling tags may sit between them.
+const buildCuePrefilter = ({ phrases, terms }) => {
+  const words = phrases.flatMap(phrase => phrase.split(/\s+/)).filter(word => word.length > 1);
+  const stems = [...terms.map(term => (term.length > 5 ? term.slice(0, -2) : term)), ...words];
+
+  return [...new Set(stems)].map(escapeRegex).join('|');
+};
+
+// Remove WebVTT/HTML styling tags from cue text
+const stripTags = (text) => text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+
+// Cut a snippet around the first match and wrap every match in <mark>
+const highlight = (text, matcher) => {
+  matcher.lastIndex = 0;
+  const first = matcher.exec(text);
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH && first) {
+    start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  matcher.lastIndex = 0;
+  const snippet = text.slice(start, end);
+  let result = '';
+  let last = 0;
+
+  snippet.replace(matcher, (match, offset) => {
+    result += `${escapeHtml(snippet.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  result += escapeHtml(snippet.slice(last));
+
+  return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+// Find and score the cues in a caption track that match the query
+const findCueHits = (caption, parsed, matcher) => {
+  const hits = [];
+
+  caption.cues.forEach(cue => {
+    const text = stripTags(cue.text);
+    const lower = text.toLowerCase();
+
+    if (parsed.phrases.some(phrase => !lower.includes(phrase))) return;
+
+    matcher.lastIndex = 0;
+    const matches = new Set((text.match(matcher) || []).map(match => match.toLowerCase()));
+    if (matches.size === 0) return;
+
+    hits.push({
+      cueId: cue._id,
+      time: cue.start,
+      end: cue.end,
+      language: caption.language,
+      snippet: highlight(text, matcher),
+      score: matches.size + parsed.phrases.length * 2
+    });
+  });
+
+  return hits;
+};
+
+// Search transcripts. videoFilter narrows which videos may appear (e.g. a student's branch/year).
+const searchTranscripts = async (query, { videoFilter = {}, page = 1, limit = 10, hitsPerVideo = 5 } = {}) => {
+  const parsed = parseQuery(query);
+  const matcher = buildMatcher(parsed);
+
+  const empty = { count: 0, total: 0, totalPages: 0, page, data: [] };
+  if (!matcher) return empty;
+
+  // Narrow to videos the caller may see first, so hidden tracks cannot crowd out the candidates
+  const videoIds = await Video.distinct('_id', videoFilter);
+  if (videoIds.length === 0) return empty;
+
+  const captions = await Caption.aggregate([
+    { $match: { $text: { $search: query }, video: { $in: videoIds } } },
+    { $sort: { score: { $meta: 'textScore' } } },
+    { $limit: MAX_CANDIDATE_TRACKS },
+    {
+      $project: {
+        video: 1,
+        language: 1,
+        label: 1,
+        cues: {
+          $filter: {
+            input: '$cues',
+            as: 'cue',
+            cond: { $regexMatch: { input: '$$cue.text', regex: buildCuePrefilter(parsed), options: 'i' } }
+          }
+        }
+      }
+    }
+  ]);
+
+  if (captions.length === 0) return empty;
+
+  // Group the matching cues by video
+  const byVideo = new Map();
+  captions.forEach(caption => {
+    const hits = findCueHits(caption, parsed, matcher);
+    if (hits.length === 0) return;
+
+    const key = caption.video.toString();
+    const entry = byVideo.get(key) || { hits: [], score: 0 };
+    entry.hits.push(...hits);
+    entry.score += hits.reduce((sum, hit) => sum + hit.score, 0);
+    byVideo.set(key, entry);
+  });
+
+  const videos = await Video.find({ _id: { $in: [...byVideo.keys()] } })
+    .select('title thumbnailUrl duration subject teacher branch year createdAt')
+    .populate('teacher', 'name profilePicture');
+
+  const results = videos
+    .map(video => {
+      const { hits, score } = byVideo.get(video._id.toString());
+      const ordered = hits
+        .sort((a, b) => b.score - a.score || a.time - b.time)
+        .slice(0, hitsPerVideo)
+        .sort((a, b) => a.time - b.time)
+        .map(({ score: hitScore, ...hit }) => hit);
+
+      return { video, hitCount: hits.length, score, hits: ordered };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const skip = (page - 1) * limit;
+
+  return {
+    count: Math.min(limit, Math.max(0, results.length - skip)),
+    total: results.length,
+    totalPages: Math.ceil(results.length / limit),
+    page,
+    data: results.slice(skip, skip + limit)
+  };
+};
+
+module.exports = {
+  parseQuery,
+  buildMatcher,
+  highlight,
+  findCueHits,
+  searchTranscripts
+};
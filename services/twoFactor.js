@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+
+// TOTP (RFC 6238) two-factor authentication: secrets encrypted at rest, hashed
+// single-use recovery codes and short-lived challenge tokens for the two-step login.
+
+const ISSUER = 'StreamVibe';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = input.replace(/=+$/, '').toUpperCase().split('').map(char => {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    return value.toString(2).padStart(5, '0');
+  }).join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Key used to encrypt secrets at rest (TWO_FACTOR_ENCRYPTION_KEY, or derived from JWT_SECRET)
+const getEncryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be configured');
+  }
+  return crypto.createHash('sha256').update(`two-factor:${source}`).digest();
+};
+
+// AES-256-GCM, stored as iv.tag.ciphertext (base64url)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for one time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(value).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code and return the time step it matched, or null.
+// Steps up to `lastUsedStep` are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+  const cleaned = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(cleaned)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(cleaned))) return candidate;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps, and the same as a QR code image (data URL)
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+const buildQrCode = (otpauthUri) => QRCode.toDataURL(otpauthUri);
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Fresh recovery codes: the plain codes are shown once, only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Admin accounts must use 2FA (REQUIRE_ADMIN_2FA=false turns this off, e.g. for a first setup)
+const isTwoFactorRequired = (user) => user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA !== 'false';
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled and mark it used.
+// `user` must be loaded with twoFactor.secret, twoFactor.lastUsedStep and twoFactor.recoveryCodes.
+// Returns { method, recoveryCodesRemaining } or null when the code is wrong or was already used.
+const consumeCode = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor || {};
+
+  if (code) {
+    const lastUsedStep = typeof twoFactor.lastUsedStep === 'number' ? twoFactor.lastUsedStep : -1;
+    const step = verifyCode(decryptSecret(twoFactor.secret), code, { lastUsedStep });
+    if (step === null) return null;
+
+    // Conditional update so two requests cannot both use the same code
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0
+      ? { method: 'totp', recoveryCodesRemaining: (twoFactor.recoveryCodes || []).length }
+      : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0
+      ? { method: 'recovery', recoveryCodesRemaining: (twoFactor.recoveryCodes || []).length - 1 }
+      : null;
+  }
+
+  return null;
+};
+
+// Signed token proving the password step passed; exchanged for a session with a code
+const getChallengeSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor-challenge').digest();
+};
+
+const createChallengeToken = (user) =>
+  jwt.sign({ id: user._id.toString() }, getChallengeSecret(), {
+    expiresIn: CHALLENGE_TTL,
+    audience: 'two-factor'
+  });
+
+// Returns the user id, or null for an invalid or expired challenge
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(String(token || ''), getChallengeSecret(), { audience: 'two-factor' }).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  buildQrCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  consumeCode,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,246 @@
+const VideoHeatmap = require('../models/VideoHeatmap');
+
+// Watched-segment tracking and the retention/heatmap analytics built on it
+
+const MAX_BUCKETS = 3600; // one per second for videos up to an hour
+const MAX_SEGMENTS_PER_REQUEST = 100;
+const MERGE_GAP = 1; // seconds, players report in ticks so close segments are joined
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Pick a bucket size that keeps the heatmap at most MAX_BUCKETS long
+const getBucketSize = (duration) => Math.max(1, Math.ceil(duration / MAX_BUCKETS));
+
+// Validate posted [start, end] pairs and clamp them to the video length
+const normalizeSegments = (segments, duration) => {
+  if (!Array.isArray(segments)) return [];
+
+  return segments
+    .slice(0, MAX_SEGMENTS_PER_REQUEST)
+    .filter(segment => Array.isArray(segment) && segment.length === 2)
+    .map(([start, end]) => [Number(start), Number(end)])
+    .filter(([start, end]) => Number.isFinite(start) && Number.isFinite(end))
+    .map(([start, end]) => [round(Math.max(0, start)), round(duration > 0 ? Math.min(end, duration) : end)])
+    .filter(([start, end]) => end > start);
+};
+
+// Sort and join overlapping or nearly touching intervals
+const mergeSegments = (segments) => {
+  const sorted = segments
+    .map(([start, end]) => [start, end])
+    .sort((a, b) => a[0] - b[0]);
+
+  return sorted.reduce((merged, segment) => {
+    const last = merged[merged.length - 1];
+    if (last && segment[0] <= last[1] + MERGE_GAP) {
+      last[1] = Math.max(last[1], segment[1]);
+    } else {
+      merged.push(segment);
+    }
+    return merged;
+  }, []);
+};
+
+// Total seconds covered by merged intervals
+const coveredSeconds = (segments) => segments.reduce((total, [start, end]) => total + (end - start), 0);
+
+// Bucket indexes an interval touches
+const bucketRange = ([start, end], bucketSize, bucketCount) => {
+  const first = Math.floor(start / bucketSize);
+  const last = Math.min(Math.ceil(end / bucketSize) - 1, bucketCount - 1);
+  const indexes = [];
+
+  for (let i = first; i <= last; i++) indexes.push(i);
+  return indexes;
+};
+
+const bucketSet = (segments, bucketSize, bucketCount) => {
+  const set = new Set();
+  segments.forEach(segment => bucketRange(segment, bucketSize, bucketCount).forEach(i => set.add(i)));
+  return set;
+};
+
+// Create the heatmap for a video with zeroed counters (so $inc on array slots works)
+const getOrCreateHeatmap = async (video) => {
+  const bucketSize = getBucketSize(video.duration);
+  const bucketCount = Math.ceil(video.duration / bucketSize);
+
+  const create = () => VideoHeatmap.findOneAndUpdate(
+    { video: video._id },
+    {
+      $setOnInsert: {
+        duration: video.duration,
+        bucketSize,
+        viewers: new Array(bucketCount).fill(0),
+        plays: new Array(bucketCount).fill(0)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await create();
+  } catch (error) {
+    // Two first views at the same time, the other request created it
+    if (error.code === 11000) return create();
+    throw error;
+  }
+};
+
+// Add posted segments to a view and to the video's heatmap.
+// Returns the seconds of new segments so callers can update watch time.
+const recordSegments = async (view, video, segments) => {
+  const posted = normalizeSegments(segments, video.duration);
+  if (posted.length === 0) return 0;
+
+  const before = (view.segments || []).map(([start, end]) => [start, end]);
+  const after = mergeSegments([...before, ...posted]);
+
+  view.segments = after;
+
+  // Counters need a known duration, the view keeps the segments either way
+  if (video.duration > 0) {
+    const heatmap = await getOrCreateHeatmap(video);
+    const bucketCount = heatmap.viewers.length;
+    const inc = {};
+
+    // Unique viewers: only buckets this user had not covered yet
+    const seen = bucketSet(before, heatmap.bucketSize, bucketCount);
+    bucketSet(after, heatmap.bucketSize, bucketCount).forEach(i => {
+      if (!seen.has(i)) inc[`viewers.${i}`] = 1;
+    });
+
+    // Plays: every posted segment counts, so rewatched parts add up
+    posted.forEach(segment => {
+      bucketRange(segment, heatmap.bucketSize, bucketCount).forEach(i => {
+        inc[`plays.${i}`] = (inc[`plays.${i}`] || 0) + 1;
+      });
+    });
+
+    if (before.length === 0) {
+      inc.uniqueViewers = 1;
+    }
+
+    await VideoHeatmap.updateOne(
+      { _id: heatmap._id },
+      { $inc: inc, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  return coveredSeconds(posted);
+};
+
+// Average a series into `count` evenly sized points
+const resample = (values, count) => {
+  if (!count || count >= values.length) return values.map((value, index) => ({ index, size: 1, value }));
+
+  const size = values.length / count;
+  return Array.from({ length: count }, (_, i) => {
+    const from = Math.floor(i * size);
+    const to = Math.max(from + 1, Math.floor((i + 1) * size));
+    const slice = values.slice(from, to);
+    return { index: from, size: to - from, value: slice.reduce((a, b) => a + b, 0) / slice.length };
+  });
+};
+
+// Join neighbouring buckets that pass a test into [start, end] ranges
+const toRanges = (flags) => {
+  const ranges = [];
+  flags.forEach((flag, i) => {
+    if (!flag) return;
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === i - 1) {
+      last.to = i;
+    } else {
+      ranges.push({ from: i, to: i });
+    }
+  });
+  return ranges;
+};
+
+// Moving average to keep single noisy buckets from showing up as drop-offs
+const smooth = (values, window) => values.map((_, i) => {
+  const from = Math.max(0, i - window);
+  const slice = values.slice(from, i + window + 1);
+  return slice.reduce((a, b) => a + b, 0) / slice.length;
+});
+
+// Build the retention curve, rewatch hotspots and drop-off points
+const buildRetentionReport = (heatmap, { points, limit = 5 } = {}) => {
+  const { bucketSize, uniqueViewers } = heatmap;
+  const viewers = heatmap.viewers.map(value => value || 0);
+  const plays = heatmap.plays.map(value => value || 0);
+  const toTime = (index) => index * bucketSize;
+
+  const viewerPoints = resample(viewers, points);
+  const playPoints = resample(plays, points);
+
+  const curve = viewerPoints.map((point, i) => ({
+    time: toTime(point.index),
+    viewers: Math.round(point.value * 10) / 10,
+    retention: uniqueViewers > 0 ? Math.round((point.value / uniqueViewers) * 1000) / 10 : 0,
+    plays: Math.round(playPoints[i].value * 10) / 10
+  }));
+
+  // Hotspots: stretches played noticeably more often than they were reached
+  const rewatchRatio = plays.map((count, i) => (viewers[i] > 0 ? count / viewers[i] : 0));
+  const watched = rewatchRatio.filter(ratio => ratio > 0);
+  const meanRatio = watched.length > 0 ? watched.reduce((a, b) => a + b, 0) / watched.length : 0;
+  const threshold = Math.max(1.25, meanRatio * 1.5);
+
+  const hotspots = toRanges(rewatchRatio.map((ratio, i) => ratio >= threshold && viewers[i] >= 2))
+    .map(({ from, to }) => {
+      const span = rewatchRatio.slice(from, to + 1);
+      return {
+        start: toTime(from),
+        end: toTime(to + 1),
+        rewatchRatio: Math.round(Math.max(...span) * 100) / 100,
+        plays: Math.max(...plays.slice(from, to + 1))
+      };
+    })
+    .sort((a, b) => b.rewatchRatio - a.rewatchRatio || b.plays - a.plays)
+    .slice(0, limit);
+
+  // Drop-offs: steepest falls in the smoothed unique-viewer curve, ignoring the ending
+  const smoothed = smooth(viewers, 2);
+  const ending = Math.floor(smoothed.length * 0.95);
+  const drops = [];
+
+  for (let i = 1; i < ending; i++) {
+    const lost = smoothed[i - 1] - smoothed[i];
+    if (lost > 0) drops.push({ index: i, lost });
+  }
+
+  const dropOffs = drops
+    .sort((a, b) => b.lost - a.lost)
+    .filter((drop, i, all) => all.slice(0, i).every(other => Math.abs(other.index - drop.index) > 5))
+    .slice(0, limit)
+    .map(({ index }) => {
+      // Report the real fall across the smoothing window, not the averaged one
+      const lost = Math.max(0, viewers[Math.max(0, index - 3)] - viewers[Math.min(viewers.length - 1, index + 2)]);
+      return {
+        time: toTime(index),
+        viewersLost: lost,
+        percentageLost: uniqueViewers > 0 ? Math.round((lost / uniqueViewers) * 1000) / 10 : 0
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+
+  return {
+    duration: heatmap.duration,
+    bucketSize: points && points < viewers.length ? (viewers.length * bucketSize) / points : bucketSize,
+    uniqueViewers,
+    curve,
+    hotspots,
+    dropOffs,
+    updatedAt: heatmap.updatedAt
+  };
+};
+
+module.exports = {
+  normalizeSegments,
+  mergeSegments,
+  coveredSeconds,
+  recordSegments,
+  buildRetentionReport
+};
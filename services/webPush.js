@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const VapidKey = require('../models/VapidKey');
+const { encryptSecret, decryptSecret } = require('./twoFactor');
+const { describeDevice } = require('./authSessions');
+
+// Web Push (VAPID) delivery to subscribed browsers. Keys come from VAPID_PUBLIC_KEY /
+// VAPID_PRIVATE_KEY, or are generated once and stored in MongoDB. Payloads are encrypted
+// for each subscription by web-push (aes128gcm).
+
+// Deliveries that fail this many times in a row remove the subscription
+const MAX_FAILURES = 5;
+const SEND_CONCURRENCY = 10;
+const PUSH_TTL = 24 * 60 * 60; // seconds the push service keeps an undelivered message
+const MAX_BODY_LENGTH = 500;
+
+// Push services browsers use; the server POSTs to the endpoint, so other hosts are refused
+const DEFAULT_ALLOWED_HOSTS = ['googleapis.com', 'mozilla.com', 'notify.windows.com', 'push.apple.com'];
+
+class PushError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PushError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isPushEnabled = () => process.env.WEB_PUSH_ENABLED !== 'false';
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+const getAllowedHosts = () => process.env.WEB_PUSH_ALLOWED_HOSTS
+  ? process.env.WEB_PUSH_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_HOSTS;
+
+const loadVapidKeys = async () => {
+  const subject = process.env.VAPID_SUBJECT || 'mailto:admin@streamvibe.local';
+  const { VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey } = process.env;
+
+  if (publicKey || privateKey) {
+    if (!publicKey || !privateKey) {
+      throw new Error('Set both VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY');
+    }
+    return { subject, publicKey, privateKey };
+  }
+
+  let stored = await VapidKey.findOne({ name: 'default' }).select('+privateKey');
+
+  if (!stored) {
+    const generated = webpush.generateVAPIDKeys();
+    try {
+      stored = await VapidKey.create({
+        publicKey: generated.publicKey,
+        privateKey: encryptSecret(generated.privateKey)
+      });
+      console.log('Generated a VAPID key pair for Web Push');
+    } catch (error) {
+      // Another instance generated one first
+      if (error.code !== 11000) throw error;
+      stored = await VapidKey.findOne({ name: 'default' }).select('+privateKey');
+    }
+  }
+
+  return { subject, publicKey: stored.publicKey, privateKey: decryptSecret(stored.privateKey) };
+};
+
+let vapidKeys = null;
+
+// VAPID details (cached; a failed load is retried next time)
+const getVapidKeys = () => {
+  if (!vapidKeys) {
+    vapidKeys = loadVapidKeys().catch(error => {
+      vapidKeys = null;
+      throw error;
+    });
+  }
+  return vapidKeys;
+};
+
+const getPublicKey = async () => (await getVapidKeys()).publicKey;
+
+const checkEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(String(endpoint || ''));
+  } catch (error) {
+    throw new PushError('Invalid push subscription endpoint');
+  }
+
+  const host = url.hostname.toLowerCase();
+  const allowed = getAllowedHosts();
+
+  if (url.protocol !== 'https:') {
+    throw new PushError('Push subscription endpoints must use https');
+  }
+  if (!allowed.includes('*') && !allowed.some(suffix => host === suffix || host.endsWith(`.${suffix}`))) {
+    throw new PushError('Push service is not supported');
+  }
+};
+
+// Register (or move to this user) a browser subscription: the object from pushManager.subscribe()
+const saveSubscription = async (userId, subscription = {}, req) => {
+  const { endpoint, keys = {}, expirationTime } = subscription;
+
+  checkEndpoint(endpoint);
+  if (!keys.p256dh || !keys.auth) {
+    throw new PushError('Push subscription keys are missing');
+  }
+
+  const userAgent = (req && req.get('user-agent')) || '';
+
+  return PushSubscription.findOneAndUpdate(
+    { endpoint },
+    {
+      $set: {
+        user: userId,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        vapidPublicKey: await getPublicKey(),
+        userAgent,
+        device: describeDevice(userAgent),
+        failureCount: 0,
+        expiresAt: expirationTime ? new Date(expirationTime) : null
+      },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+const listSubscriptions = (userId) => PushSubscription.find({ user: userId })
+  .select('device userAgent lastSuccessAt createdAt expiresAt')
+  .sort({ createdAt: -1 });
+
+// Remove one of a user's subscriptions by id or endpoint; false if it was not theirs
+const removeSubscription = async (userId, { id, endpoint }) => {
+  if (id && !mongoose.isValidObjectId(id)) return false;
+
+  const filter = id ? { _id: id, user: userId } : { endpoint: String(endpoint || ''), user: userId };
+  const result = await PushSubscription.deleteOne(filter);
+  return result.deletedCount > 0;
+};
+
+// Send one payload to a subscription, pruning it if the push service says it is gone
+const sendToSubscription = async (subscription, payload, options, keys) => {
+  if (subscription.vapidPublicKey !== keys.publicKey) {
+    // Subscribed with a key we no longer sign with; the browser has to subscribe again
+    await PushSubscription.deleteOne({ _id: subscription._id });
+    return false;
+  }
+
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      {
+        vapidDetails: keys,
+        TTL: PUSH_TTL,
+        urgency: options.urgency || 'normal',
+        timeout: 10000
+      }
+    );
+
+    await PushSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { failureCount: 0, lastSuccessAt: new Date() } }
+    );
+    return true;
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return false;
+    }
+
+    console.error(`Web Push delivery failed (${error.statusCode || error.message}) for subscription ${subscription._id}`);
+    const updated = await PushSubscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $inc: { failureCount: 1 } },
+      { new: true }
+    );
+    if (updated && updated.failureCount >= MAX_FAILURES) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+    }
+    return false;
+  }
+};
+
+// Send a payload to every device of a user. Returns how many deliveries succeeded.
+const sendToUser = async (userId, payload, options = {}) => {
+  if (!isPushEnabled()) return 0;
+
+  const subscriptions = await PushSubscription.find({ user: userId });
+  if (subscriptions.length === 0) return 0;
+
+  const keys = await getVapidKeys();
+  const results = await Promise.all(subscriptions.map(subscription =>
+    sendToSubscription(subscription, payload, options, keys)));
+
+  return results.filter(Boolean).length;
+};
+
+// Notifications that are worth interrupting someone for
+const shouldPush = (notification) =>
+  notification.priority === 'high' || notification.type === 'question_answered';
+
+const buildPayload = (notification) => ({
+  title: notification.title,
+  body: notification.message.length > MAX_BODY_LENGTH
+    ? `${notification.message.slice(0, MAX_BODY_LENGTH - 3)}...`
+    : notification.message,
+  tag: `notification-${notification._id}`,
+  url: `${getFrontendUrl()}/notifications`,
+  notificationId: notification._id,
+  type: notification.type,
+  data: notification.data
+});
+
+// Push notifications to their recipients' devices, a few users at a time
+const pushNotifications = async (notifications) => {
+  if (!isPushEnabled()) return;
+
+  for (let i = 0; i < notifications.length; i += SEND_CONCURRENCY) {
+    await Promise.all(notifications.slice(i, i + SEND_CONCURRENCY).map(notification =>
+      sendToUser(notification.recipient, buildPayload(notification), {
+        urgency: notification.priority === 'high' ? 'high' : 'normal'
+      }).catch(error => {
+        console.error(`Error pushing notification ${notification._id}:`, error.message);
+      })));
+  }
+};
+
+module.exports = {
+  PushError,
+  isPushEnabled,
+  getPublicKey,
+  saveSubscription,
+  listSubscriptions,
+  removeSubscription,
+  sendToUser,
+  shouldPush,
+  pushNotifications
+};
@@ -0,0 +1,37 @@
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const connectDB = require('./config/db');
+const registerJobs = require('./jobs');
+const jobQueue = require('./services/jobQueue');
+const { createEmitter } = require('./services/cluster');
+const { setIo } = require('./services/socket');
+
+// Standalone background worker, run with `npm run worker` to process
+// jobs outside the API server (set JOB_WORKER=false on the API server).
+// Requires CLUSTER_BACKEND=mongo: processing progress reaches the uploading teacher's
+// socket through it. With the memory backend, leave JOB_WORKER unset and let the API
+// servers process jobs themselves.
+const startWorker = async () => {
+  await connectDB();
+
+  const emitter = await createEmitter();
+  if (!emitter) {
+    console.error('The standalone worker requires CLUSTER_BACKEND=mongo to deliver socket events. ' +
+      'Unset JOB_WORKER on the API server to process jobs there instead.');
+    process.exit(1);
+  }
+
+  setIo(emitter);
+  registerJobs();
+  jobQueue.start();
+};
+
+startWorker();
+
+process.on('SIGTERM', () => {
+  jobQueue.stop();
+  process.exit(0);
+});